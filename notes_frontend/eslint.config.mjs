@@ -39,16 +39,55 @@ export default [
         window: "readonly",
         document: "readonly",
         localStorage: "readonly",
+        indexedDB: "readonly",
+        fetch: "readonly",
+        Blob: "readonly",
+        URL: "readonly",
+        Response: "readonly",
+        TextEncoder: "readonly",
+        TextDecoder: "readonly",
+        DecompressionStream: "readonly",
+        BroadcastChannel: "readonly",
         sessionStorage: "readonly",
         navigator: "readonly",
         crypto: "readonly",
+        btoa: "readonly",
+        atob: "readonly",
         Node: "readonly",
         Element: "readonly",
         HTMLElement: "readonly",
         setTimeout: "readonly",
         clearTimeout: "readonly",
+        setInterval: "readonly",
+        clearInterval: "readonly",
         console: "readonly",
       },
     },
   },
+  {
+    files: ["src/serviceWorker.js"],
+    languageOptions: {
+      globals: {
+        self: "readonly",
+        caches: "readonly",
+      },
+    },
+  },
+  {
+    files: ["mock/**/*.js"],
+    languageOptions: {
+      globals: {
+        process: "readonly",
+      },
+    },
+  },
+  {
+    files: ["test/**/*.js"],
+    languageOptions: {
+      globals: {
+        process: "readonly",
+        File: "readonly",
+      },
+    },
+  },
 ];
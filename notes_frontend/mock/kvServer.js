@@ -0,0 +1,71 @@
+//
+// In-memory key/value server for the REST storage backend (src/storage/restAdapter.js).
+//
+//   npm run mock:kv              # listens on http://localhost:4020 (MOCK_KV_PORT to change)
+//   VITE_NOTES_STORAGE=rest VITE_NOTES_API_URL=http://localhost:4020 npm run dev
+//
+// Implements GET, PUT and DELETE /kv/<key> with text bodies. Data lives only as long as the process.
+//
+import { createServer } from 'node:http';
+
+/**
+ * PUBLIC INTERFACE
+ * Create the key/value request handler and its state.
+ */
+/** Returns { handle(req, res), items } where items maps key → stored text. */
+export function createKvHandler() {
+  const items = new Map();
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => (data += chunk));
+      req.on('end', () => resolve(data));
+      req.on('error', reject);
+    });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body = '') => {
+      res.writeHead(status, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      });
+      res.end(body);
+    };
+
+    if (req.method === 'OPTIONS') return send(204);
+    const match = /^\/kv\/(.+)$/.exec(url.pathname);
+    if (!match) return send(404, 'Not found');
+    const key = decodeURIComponent(match[1]);
+    if (req.method === 'GET') {
+      return items.has(key) ? send(200, items.get(key)) : send(404, 'Not found');
+    }
+    if (req.method === 'PUT') {
+      items.set(key, await readBody(req));
+      return send(204);
+    }
+    if (req.method === 'DELETE') {
+      items.delete(key);
+      return send(204);
+    }
+    return send(405, 'Method not allowed');
+  }
+
+  return { handle, items };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.MOCK_KV_PORT || 4020);
+  const { handle } = createKvHandler();
+  createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error(err);
+      res.writeHead(500).end();
+    });
+  }).listen(port, () => console.log(`Mock key/value server on http://localhost:${port}`));
+}
@@ -0,0 +1,111 @@
+//
+// In-memory sync server for local development and testing of src/sync.js.
+//
+//   npm run mock:sync            # listens on http://localhost:4010 (MOCK_SYNC_PORT to change)
+//   VITE_NOTES_SYNC_URL=http://localhost:4010 npm run dev
+//
+// Implements POST /sync/push and GET /sync/pull?since=<cursor> with per-field last-writer-wins.
+// Data lives only as long as the process.
+//
+import { createServer } from 'node:http';
+
+/** Note fields the server merges; mirrors SYNC_FIELDS in src/store.js. */
+const FIELDS = ['title', 'content', 'tags', 'favorite', 'createdAt', 'deletedAt', 'notebookId', 'encrypted', 'remindAt', 'remindedAt', 'pinned'];
+
+/**
+ * PUBLIC INTERFACE
+ * Create the sync request handler and its state.
+ */
+/** Returns { handle(req, res), notes } where notes maps id → stored note (with fieldUpdatedAt and seq). */
+export function createSyncHandler() {
+  const notes = new Map();
+  let seq = 0;
+
+  function applyChange(change) {
+    if (change.op === 'purge') {
+      notes.set(change.noteId, { id: change.noteId, purged: true, seq: ++seq });
+      return;
+    }
+    const current = notes.get(change.noteId);
+    const note = current && !current.purged ? current : { id: change.noteId, fieldUpdatedAt: {} };
+    let changed = false;
+    for (const f of FIELDS) {
+      if (!(f in (change.fields || {}))) continue;
+      const at = change.fieldTimes?.[f] || new Date().toISOString();
+      const known = note.fieldUpdatedAt[f];
+      if (known && Date.parse(known) > Date.parse(at)) continue;
+      note[f] = change.fields[f];
+      note.fieldUpdatedAt[f] = at;
+      changed = true;
+    }
+    if (!changed) return;
+    note.updatedAt = Object.values(note.fieldUpdatedAt).sort().pop();
+    note.seq = ++seq;
+    notes.set(note.id, note);
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', (chunk) => (data += chunk));
+      req.on('end', () => {
+        try {
+          resolve(data ? JSON.parse(data) : {});
+        } catch (err) {
+          reject(err);
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+      });
+      res.end(body === undefined ? '' : JSON.stringify(body));
+    };
+
+    if (req.method === 'OPTIONS') return send(204);
+    if (req.method === 'POST' && url.pathname === '/sync/push') {
+      let body;
+      try {
+        body = await readBody(req);
+      } catch {
+        return send(400, { error: 'Invalid JSON' });
+      }
+      const changes = Array.isArray(body.changes) ? body.changes : [];
+      changes.forEach(applyChange);
+      return send(200, { applied: changes.length });
+    }
+    if (req.method === 'GET' && url.pathname === '/sync/pull') {
+      const since = Number(url.searchParams.get('since') || 0);
+      const changed = [...notes.values()].filter((n) => n.seq > since).sort((a, b) => a.seq - b.seq);
+      const out = changed.map((n) => {
+        const note = { ...n };
+        delete note.seq;
+        return note;
+      });
+      return send(200, { cursor: String(seq), notes: out });
+    }
+    return send(404, { error: 'Not found' });
+  }
+
+  return { handle, notes };
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const port = Number(process.env.MOCK_SYNC_PORT || 4010);
+  const { handle } = createSyncHandler();
+  createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error(err);
+      res.writeHead(500).end();
+    });
+  }).listen(port, () => console.log(`Mock sync server on http://localhost:${port}`));
+}
@@ -0,0 +1,172 @@
+//
+// Attachment blobs: images and files added to notes live in their own IndexedDB database, keyed by
+// attachment id; notes only hold references to them (see Note.attachments in ./store.js). Where IndexedDB
+// is not available (e.g. Node scripts), blobs are kept in memory for the session.
+//
+// In note content an attachment is referenced as `attachment:<id>`, e.g. `![photo.png](attachment:…)`.
+//
+const DB_NAME = 'notes_app_attachments';
+const OBJECT_STORE = 'blobs';
+
+/** @type {Promise<IDBDatabase>|null} */
+let dbPromise = null;
+/** @type {Map<string, {blob: Blob, storedAt: number}>} Fallback when IndexedDB is unavailable. */
+const memory = new Map();
+/** @type {Map<string, string>} Object URLs handed out by attachmentUrl(), by attachment id. */
+const urls = new Map();
+
+/**
+ * Wrap an IDBRequest in a Promise.
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Run a request against the blob store and resolve once its transaction has committed.
+ * @param {'readonly'|'readwrite'} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} fn
+ * @returns {Promise<any>}
+ */
+async function run(mode, fn) {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(OBJECT_STORE);
+    };
+    dbPromise = promisify(req);
+  }
+  const db = await dbPromise;
+  const tx = db.transaction(OBJECT_STORE, mode);
+  const result = promisify(fn(tx.objectStore(OBJECT_STORE)));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+  return result;
+}
+
+/**
+ * Whether blobs go to IndexedDB rather than the in-memory fallback.
+ * @returns {boolean}
+ */
+function persistent() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Store the blob of an attachment.
+ */
+/** Resolves once the blob is saved under `id`, replacing any blob already stored there. */
+export async function putAttachmentBlob(id, blob) {
+  const record = { blob, storedAt: Date.now() };
+  if (!persistent()) {
+    memory.set(id, record);
+    return;
+  }
+  await run('readwrite', (s) => s.put(record, id));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Read the blob of an attachment.
+ */
+/** Resolves to the Blob stored under `id`, or null if there is none. */
+export async function getAttachmentBlob(id) {
+  const record = persistent() ? await run('readonly', (s) => s.get(id)) : memory.get(id);
+  return record?.blob || null;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List the stored attachment blobs.
+ */
+/** Resolves to [{ id, storedAt }] (storedAt in ms since the epoch) for every stored blob. */
+export async function listAttachmentBlobs() {
+  if (!persistent()) {
+    return [...memory].map(([id, record]) => ({ id, storedAt: record.storedAt }));
+  }
+  const out = [];
+  await run('readonly', (s) => {
+    const req = s.openCursor();
+    req.addEventListener('success', () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      out.push({ id: cursor.key, storedAt: cursor.value?.storedAt || 0 });
+      cursor.continue();
+    });
+    return req;
+  });
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Delete attachment blobs.
+ */
+/** Removes the blobs stored under `ids` and revokes their object URLs. */
+export async function deleteAttachmentBlobs(ids) {
+  for (const id of ids) {
+    if (urls.has(id)) {
+      URL.revokeObjectURL(urls.get(id));
+      urls.delete(id);
+    }
+  }
+  if (!persistent()) {
+    ids.forEach((id) => memory.delete(id));
+    return;
+  }
+  if (ids.length === 0) return;
+  await run('readwrite', (s) => {
+    let last;
+    for (const id of ids) last = s.delete(id);
+    return last;
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Get a URL for showing an attachment.
+ */
+/** Resolves to an object URL for the attachment's blob (reused across calls), or null if the blob is missing. */
+export async function attachmentUrl(id) {
+  if (urls.has(id)) return urls.get(id);
+  const blob = await getAttachmentBlob(id);
+  if (!blob) return null;
+  // Another call may have created one while the blob was being read.
+  if (!urls.has(id)) urls.set(id, URL.createObjectURL(blob));
+  return urls.get(id);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Encode a blob for a JSON backup.
+ */
+/** Resolves to the blob's bytes as base64. */
+export async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Chunked, since String.fromCharCode() takes its bytes as call arguments.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Decode a blob from a JSON backup.
+ */
+/** Returns a Blob of the given MIME type from base64 data; throws if the data is not valid base64. */
+export function base64ToBlob(data, type) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+}
@@ -0,0 +1,178 @@
+//
+// Line diff for comparing note revisions, and a three-way line merge for edit conflicts.
+//
+
+/** Above this many line pairs the LCS table gets too large; fall back to a whole-block replace. */
+const MAX_CELLS = 4_000_000;
+
+/**
+ * PUBLIC INTERFACE
+ * Compute a line-based diff between two texts.
+ */
+/** Returns [{ type: 'same'|'add'|'del', text }] turning `before` into `after`. */
+export function diffLines(before, after) {
+  return diffArrays(String(before || '').split('\n'), String(after || '').split('\n'));
+}
+
+/**
+ * Diff two arrays of lines.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{type: 'same'|'add'|'del', text: string}[]}
+ */
+function diffArrays(a, b) {
+  // Trim the common prefix and suffix; most edits touch a small region.
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((text) => ({ type: 'same', text }));
+  const tail = a.slice(endA).map((text) => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_CELLS) {
+    return [
+      ...head,
+      ...midA.map((text) => ({ type: 'del', text })),
+      ...midB.map((text) => ({ type: 'add', text })),
+      ...tail,
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of midA[i:] and midB[j:]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const body = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      body.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      body.push({ type: 'del', text: midA[i++] });
+    } else {
+      body.push({ type: 'add', text: midB[j++] });
+    }
+  }
+  while (i < n) body.push({ type: 'del', text: midA[i++] });
+  while (j < m) body.push({ type: 'add', text: midB[j++] });
+
+  return [...head, ...body, ...tail];
+}
+
+/**
+ * Express `other` as replacements of ranges of `base`.
+ * @param {string[]} base
+ * @param {string[]} other
+ * @returns {{start: number, end: number, lines: string[]}[]} Sorted, non-overlapping base ranges [start, end).
+ */
+function hunks(base, other) {
+  const out = [];
+  let pos = 0;
+  let cur = null;
+  for (const part of diffArrays(base, other)) {
+    if (part.type === 'same') {
+      if (cur) out.push(cur);
+      cur = null;
+      pos++;
+      continue;
+    }
+    if (!cur) cur = { start: pos, end: pos, lines: [] };
+    if (part.type === 'del') {
+      pos++;
+      cur.end = pos;
+    } else {
+      cur.lines.push(part.text);
+    }
+  }
+  if (cur) out.push(cur);
+  return out;
+}
+
+/**
+ * Apply hunks to the base range [start, end).
+ * @returns {string[]}
+ */
+function applyHunks(base, start, end, list) {
+  const out = [];
+  let pos = start;
+  for (const h of list) {
+    out.push(...base.slice(pos, h.start), ...h.lines);
+    pos = h.end;
+  }
+  out.push(...base.slice(pos, end));
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Three-way merge of two edited versions of a text.
+ */
+/**
+ * Combines the changes `mine` and `theirs` made to `base`, line by line. Where both changed the same
+ * (or adjacent) lines differently, both versions are kept between conflict markers.
+ * Returns { text, conflicts } where conflicts is the number of marked regions.
+ */
+export function mergeLines(base, mine, theirs) {
+  const b = String(base || '').split('\n');
+  const hm = hunks(b, String(mine || '').split('\n'));
+  const ht = hunks(b, String(theirs || '').split('\n'));
+  const out = [];
+  let conflicts = 0;
+  let pos = 0;
+  let i = 0;
+  let j = 0;
+
+  while (i < hm.length || j < ht.length) {
+    const start = Math.min(i < hm.length ? hm[i].start : Infinity, j < ht.length ? ht[j].start : Infinity);
+    out.push(...b.slice(pos, start));
+
+    // Collect every hunk from either side that overlaps or touches the growing region.
+    const gm = [];
+    const gt = [];
+    let end = start;
+    let grew = true;
+    while (grew) {
+      grew = false;
+      if (i < hm.length && hm[i].start <= end) {
+        end = Math.max(end, hm[i].end);
+        gm.push(hm[i++]);
+        grew = true;
+      }
+      if (j < ht.length && ht[j].start <= end) {
+        end = Math.max(end, ht[j].end);
+        gt.push(ht[j++]);
+        grew = true;
+      }
+    }
+
+    const mineLines = applyHunks(b, start, end, gm);
+    const theirLines = applyHunks(b, start, end, gt);
+    if (gt.length === 0) {
+      out.push(...mineLines);
+    } else if (gm.length === 0 || mineLines.join('\n') === theirLines.join('\n')) {
+      out.push(...theirLines);
+    } else {
+      conflicts++;
+      out.push('<<<<<<< mine', ...mineLines, '=======', ...theirLines, '>>>>>>> theirs');
+    }
+    pos = end;
+  }
+  out.push(...b.slice(pos));
+  return { text: out.join('\n'), conflicts };
+}
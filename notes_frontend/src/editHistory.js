@@ -0,0 +1,84 @@
+//
+// Undo/redo for the note editor. A textarea's own undo stack does not survive its value being set from code,
+// which the editor does when formatting, when a note is reloaded and when switching notes; this history is kept
+// per note instead and replays states through the normal input path, so saves happen as for any other edit.
+//
+
+const DEFAULT_LIMIT = 200;
+/** Typing within this long of the previous keystroke joins the same undo step… */
+const MERGE_MS = 1000;
+/** …but a step never spans more than this much typing. */
+const MAX_BURST_MS = 5000;
+
+/**
+ * PUBLIC INTERFACE
+ * Create an undo/redo history.
+ */
+/**
+ * Keeps up to `limit` states ({ value, start, end }) per key. Returns:
+ *   load(key, state)            start the history of a key, or add the state if it differs from the current one
+ *   record(key, state, options) add the state after an edit; options.merge joins typing into the previous step
+ *   undo(key) / redo(key)       move through the history; return the state to show, or null at either end
+ *   canUndo(key) / canRedo(key)
+ *   forget(key)                 drop a key's history
+ */
+export function createEditHistory({ limit = DEFAULT_LIMIT } = {}) {
+  /** @type {Map<string, {entries: Object[], index: number}>} */
+  const histories = new Map();
+
+  function load(key, state) {
+    const history = histories.get(key);
+    if (!history) {
+      histories.set(key, { entries: [{ ...state, at: 0, since: 0, merge: false }], index: 0 });
+    } else if (history.entries[history.index].value !== state.value) {
+      record(key, state);
+    }
+  }
+
+  function record(key, state, { merge = false, now = Date.now() } = {}) {
+    const history = histories.get(key);
+    if (!history) {
+      load(key, state);
+      return;
+    }
+    const top = history.entries[history.index];
+    if (top.value === state.value) {
+      // Only the selection moved (or this is a state being replayed by undo/redo).
+      Object.assign(top, { start: state.start, end: state.end });
+      return;
+    }
+    const atEnd = history.index === history.entries.length - 1;
+    if (merge && top.merge && atEnd && now - top.at < MERGE_MS && now - top.since < MAX_BURST_MS) {
+      history.entries[history.index] = { ...state, at: now, since: top.since, merge: true };
+      return;
+    }
+    history.entries.splice(history.index + 1);
+    history.entries.push({ ...state, at: now, since: now, merge });
+    if (history.entries.length > limit) history.entries.shift();
+    history.index = history.entries.length - 1;
+  }
+
+  function step(key, delta) {
+    const history = histories.get(key);
+    const index = history ? history.index + delta : -1;
+    if (index < 0 || index >= history.entries.length) return null;
+    history.index = index;
+    // A replayed state never absorbs the typing that follows it.
+    history.entries[index].merge = false;
+    const { value, start, end } = history.entries[index];
+    return { value, start, end };
+  }
+
+  return {
+    load,
+    record,
+    undo: (key) => step(key, -1),
+    redo: (key) => step(key, 1),
+    canUndo: (key) => (histories.get(key)?.index ?? 0) > 0,
+    canRedo: (key) => {
+      const history = histories.get(key);
+      return Boolean(history) && history.index < history.entries.length - 1;
+    },
+    forget: (key) => histories.delete(key),
+  };
+}
@@ -0,0 +1,167 @@
+//
+// Passphrase-based encryption with WebCrypto: PBKDF2-SHA-256 derives an AES-GCM key from the passphrase.
+// Encrypted text is stored as a JSON envelope carrying everything but the passphrase:
+//   { format: 'notes-encrypted', v: 1, kdf: { name, hash, iterations, salt }, iv, data }
+// Salt, IV and data are base64. AES-GCM authenticates the data, so a wrong passphrase fails to decrypt
+// instead of producing garbage.
+//
+
+const ENVELOPE_FORMAT = 'notes-encrypted';
+const ENVELOPE_VERSION = 1;
+/** PBKDF2 work factor for new keys; existing envelopes keep the count they were written with. */
+const DEFAULT_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Return the WebCrypto subtle API, or throw where it is unavailable (e.g. pages served over plain HTTP).
+ * @returns {SubtleCrypto}
+ */
+function subtle() {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error('Encryption needs the Web Crypto API, which this browser only offers on secure (https) pages');
+  }
+  return crypto.subtle;
+}
+
+/**
+ * Encode bytes as base64.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  // Chunked so large stores do not overflow the argument limit of String.fromCharCode.
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Create an error for a passphrase that does not decrypt the data.
+ * @returns {Error}
+ */
+function wrongPassphrase() {
+  return Object.assign(new Error('Wrong passphrase'), { code: 'wrong-passphrase' });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Parse an encrypted envelope.
+ */
+/** Returns the envelope object if `text` is encrypted by this module, otherwise null (plain text, JSON or empty). */
+export function readEnvelope(text) {
+  if (typeof text !== 'string' || !text.startsWith('{') || !text.includes(ENVELOPE_FORMAT)) return null;
+  try {
+    const data = JSON.parse(text);
+    return data?.format === ENVELOPE_FORMAT && data.kdf && data.iv && typeof data.data === 'string' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Tell whether a string is encrypted.
+ */
+/** Shorthand for readEnvelope(text) !== null. */
+export function isEncrypted(text) {
+  return readEnvelope(text) !== null;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Derive an encryption key from a passphrase.
+ */
+/**
+ * Returns { key, salt, iterations } where key is a non-extractable AES-GCM CryptoKey. A fresh random salt is
+ * used unless options.salt (base64) is given, as when re-deriving the key for existing data.
+ */
+export async function deriveKey(passphrase, { salt, iterations = DEFAULT_ITERATIONS } = {}) {
+  if (!passphrase) {
+    throw new Error('Passphrase is empty');
+  }
+  const saltBytes = salt ? fromBase64(salt) : crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  const key = await subtle().deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+  return { key, salt: salt || toBase64(saltBytes), iterations };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Derive the key that decrypts an envelope.
+ */
+/** Re-derives the key with the envelope's salt and iteration count; rejects with code 'wrong-passphrase' if it does not decrypt. */
+export async function unlockKey(passphrase, text) {
+  const envelope = readEnvelope(text);
+  if (!envelope) {
+    throw new Error('Data is not encrypted');
+  }
+  const keyInfo = await deriveKey(passphrase, { salt: envelope.kdf.salt, iterations: envelope.kdf.iterations });
+  await decryptText(text, keyInfo);
+  return keyInfo;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Encrypt a string.
+ */
+/** Resolves to the envelope (a JSON string) for `text`, encrypted under keyInfo from deriveKey() with a fresh IV. */
+export async function encryptText(text, keyInfo) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await subtle().encrypt({ name: 'AES-GCM', iv }, keyInfo.key, new TextEncoder().encode(text));
+  return JSON.stringify({
+    format: ENVELOPE_FORMAT,
+    v: ENVELOPE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: keyInfo.iterations, salt: keyInfo.salt },
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data)),
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Decrypt an envelope.
+ */
+/**
+ * Resolves to the plain text. Rejects with code 'wrong-passphrase' when keyInfo was derived from another
+ * passphrase or salt (including after the passphrase was changed elsewhere).
+ */
+export async function decryptText(text, keyInfo) {
+  const envelope = readEnvelope(text);
+  if (!envelope) {
+    throw new Error('Data is not encrypted');
+  }
+  if (envelope.v > ENVELOPE_VERSION) {
+    throw new Error(`Encrypted data uses format v${envelope.v}, newer than this app supports`);
+  }
+  if (envelope.kdf.salt !== keyInfo.salt || envelope.kdf.iterations !== keyInfo.iterations) {
+    throw wrongPassphrase();
+  }
+  let plain;
+  try {
+    plain = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, keyInfo.key, fromBase64(envelope.data));
+  } catch {
+    throw wrongPassphrase();
+  }
+  return new TextDecoder().decode(plain);
+}
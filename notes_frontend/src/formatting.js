@@ -0,0 +1,246 @@
+//
+// Markdown formatting for the note editor: the formatting toolbar's actions and the editing keys (list
+// continuation on Enter, Tab/Shift+Tab indentation) as pure transforms of the editor's text and selection.
+// Every transform takes and returns an EditorState { value, start, end }; the ones that may not apply
+// return null when they don't.
+//
+
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d{1,9}[.)])(\s+)(\[[ xX]\]\s+)?/;
+const QUOTE_RE = /^(\s*)>\s?/;
+const HEADING_RE = /^\s{0,3}#{1,6}(?:\s+|$)/;
+const FENCE_RE = /^\s{0,3}(```|~~~)/;
+const URL_RE = /^(https?:\/\/|mailto:)\S+$/i;
+const INDENT = '  ';
+
+/**
+ * Offsets of the lines a selection touches: from the start of its first line to the end of its last.
+ * A selection ending right after a line break does not touch the next line.
+ * @param {EditorState} state
+ * @returns {{from: number, to: number}}
+ */
+function lineRange({ value, start, end }) {
+  const from = value.lastIndexOf('\n', start - 1) + 1;
+  const stop = end > start && value[end - 1] === '\n' ? end - 1 : end;
+  const next = value.indexOf('\n', stop);
+  return { from, to: next === -1 ? value.length : next };
+}
+
+/**
+ * Rewrite the lines a selection touches. Changes are assumed to be at the start of each line, so the
+ * selection moves with the text it covered; with `selectLines` the rewritten lines are selected instead.
+ * @param {EditorState} state
+ * @param {(lines: string[]) => string[]} fn
+ * @param {boolean} [selectLines]
+ * @returns {EditorState}
+ */
+function mapLines(state, fn, selectLines = false) {
+  const { from, to } = lineRange(state);
+  const lines = state.value.slice(from, to).split('\n');
+  const next = fn(lines);
+  const block = next.join('\n');
+  const value = state.value.slice(0, from) + block + state.value.slice(to);
+  if (selectLines) return { value, start: from, end: from + block.length };
+  // A selection from the start of a line keeps starting there; a caret moves past a new marker.
+  const start = state.start === from && state.end > state.start ? from : Math.max(from, state.start + next[0].length - lines[0].length);
+  const end = Math.max(start, state.end + block.length - (to - from));
+  return { value, start, end };
+}
+
+/**
+ * Whether a position is inside a fenced code block.
+ * @param {string} value
+ * @param {number} pos
+ * @returns {boolean}
+ */
+function inCodeBlock(value, pos) {
+  const before = value.slice(0, value.lastIndexOf('\n', pos - 1) + 1).split('\n');
+  return before.filter((line) => FENCE_RE.test(line)).length % 2 === 1;
+}
+
+/**
+ * The block kind a line is marked up as.
+ * @param {string} line
+ * @returns {'bullet'|'number'|'task'|'quote'|null}
+ */
+function blockKind(line) {
+  if (QUOTE_RE.test(line)) return 'quote';
+  const m = LIST_ITEM_RE.exec(line);
+  if (!m) return null;
+  if (m[4]) return 'task';
+  return /\d/.test(m[2]) ? 'number' : 'bullet';
+}
+
+/**
+ * Split a line into its indentation and its text without any list or quote marker.
+ * @param {string} line
+ * @returns {{indent: string, text: string}}
+ */
+function stripBlock(line) {
+  const m = QUOTE_RE.exec(line) || LIST_ITEM_RE.exec(line);
+  if (m) return { indent: m[1], text: line.slice(m[0].length) };
+  const indent = /^\s*/.exec(line)[0];
+  return { indent, text: line.slice(indent.length) };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Toggle an inline marker such as `**` around the selection.
+ */
+/**
+ * Removes `marker` when the selection is already wrapped in it (just outside or inside the selection), otherwise
+ * wraps the selection without its surrounding whitespace. With nothing selected the caret ends up between the markers.
+ */
+export function toggleInline(state, marker) {
+  const { value, start, end } = state;
+  const n = marker.length;
+  if (start >= n && value.slice(start - n, start) === marker && value.slice(end, end + n) === marker) {
+    return { value: value.slice(0, start - n) + value.slice(start, end) + value.slice(end + n), start: start - n, end: end - n };
+  }
+  const selected = value.slice(start, end);
+  if (selected.length >= 2 * n && selected.startsWith(marker) && selected.endsWith(marker)) {
+    const inner = selected.slice(n, -n);
+    return { value: value.slice(0, start) + inner + value.slice(end), start, end: start + inner.length };
+  }
+  const from = selected.trim() ? start + selected.length - selected.trimStart().length : start;
+  const to = selected.trim() ? end - (selected.length - selected.trimEnd().length) : start;
+  return {
+    value: value.slice(0, from) + marker + value.slice(from, to) + marker + value.slice(to),
+    start: from + n,
+    end: to + n,
+  };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Toggle code formatting.
+ */
+/** Inline code within a line; a selection across lines is fenced as a code block instead (or unfenced, if it is one). */
+export function toggleCode(state) {
+  if (!state.value.slice(state.start, state.end).includes('\n')) return toggleInline(state, '`');
+  return mapLines(state, (lines) => {
+    if (lines.length > 1 && FENCE_RE.test(lines[0]) && FENCE_RE.test(lines[lines.length - 1])) return lines.slice(1, -1);
+    return ['```', ...lines, '```'];
+  }, true);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Toggle a list or quote on the selected lines.
+ */
+/**
+ * kind: 'bullet' | 'number' | 'task' | 'quote'. If every non-blank selected line already is of that kind the marker is
+ * removed, otherwise each line gets it (replacing another list or quote marker, keeping the indentation). Numbered
+ * items are numbered from 1.
+ */
+export function toggleBlock(state, kind) {
+  return mapLines(state, (lines) => {
+    const filled = lines.filter((line) => line.trim());
+    const remove = filled.length > 0 && filled.every((line) => blockKind(line) === kind);
+    let count = 0;
+    return lines.map((line) => {
+      if (lines.length > 1 && !line.trim()) return line;
+      const { indent, text } = stripBlock(line);
+      if (remove) return indent + text;
+      count++;
+      const marker = { bullet: '- ', number: `${count}. `, task: '- [ ] ', quote: '> ' }[kind];
+      return indent + marker + text;
+    });
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Make the selected lines headings.
+ */
+/** Gives each selected line a heading of `level` (1–6), replacing any heading marker it had; level 0 makes them plain text. */
+export function setHeading(state, level) {
+  return mapLines(state, (lines) =>
+    lines.map((line) => {
+      if (lines.length > 1 && !line.trim()) return line;
+      const text = line.replace(HEADING_RE, '');
+      return level > 0 ? `${'#'.repeat(level)} ${text}` : text;
+    }),
+  );
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Insert a link.
+ */
+/**
+ * Selected text becomes the label of `[text](url)` with the `url` placeholder selected for typing over; a selected
+ * URL becomes the target of `[](url)`, and with nothing selected `[](url)` is inserted. The caret then sits in the empty label.
+ */
+export function insertLink(state) {
+  const { value, start, end } = state;
+  const selected = value.slice(start, end);
+  const splice = (text) => value.slice(0, start) + text + value.slice(end);
+  if (URL_RE.test(selected)) {
+    return { value: splice(`[](${selected})`), start: start + 1, end: start + 1 };
+  }
+  if (!selected) {
+    return { value: splice('[](url)'), start: start + 1, end: start + 1 };
+  }
+  const url = start + selected.length + 3;
+  return { value: splice(`[${selected}](url)`), start: url, end: url + 3 };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Continue a list or quote on Enter.
+ */
+/**
+ * For a caret after the marker of a list item or quote line, returns the state after Enter: a new item of the same
+ * kind (numbered one higher, unchecked for tasks) or, on an empty item, the marker removed to end the list.
+ * Returns null where Enter should just insert a line break.
+ */
+export function continueList(state) {
+  const { value, start, end } = state;
+  if (start !== end || inCodeBlock(value, start)) return null;
+  const { from, to } = lineRange(state);
+  const line = value.slice(from, to);
+  const list = LIST_ITEM_RE.exec(line);
+  const m = list || QUOTE_RE.exec(line);
+  if (!m || start - from < m[0].length) return null;
+  if (!line.slice(m[0].length).trim()) {
+    return { value: value.slice(0, from) + value.slice(to), start: from, end: from };
+  }
+  let marker = `${m[1]}> `;
+  if (list) {
+    const num = /^(\d+)([.)])$/.exec(list[2]);
+    marker = m[1] + (num ? `${Number(num[1]) + 1}${num[2]}` : list[2]) + list[3] + (list[4] ? '[ ] ' : '');
+  }
+  const insert = `\n${marker}`;
+  return { value: value.slice(0, start) + insert + value.slice(end), start: start + insert.length, end: start + insert.length };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Indent or outdent on Tab / Shift+Tab.
+ */
+/**
+ * Indents the selected lines by two spaces, or outdents them. A caret on a list item moves the whole item; elsewhere
+ * Tab inserts the spaces at the caret. Returns null if there is nothing to outdent.
+ */
+export function indent(state, outdent = false) {
+  const { value, start, end } = state;
+  const { from, to } = lineRange(state);
+  if (!outdent && start === end && !blockKind(value.slice(from, to))) {
+    return { value: value.slice(0, start) + INDENT + value.slice(end), start: start + INDENT.length, end: start + INDENT.length };
+  }
+  const next = mapLines(state, (lines) =>
+    lines.map((line) => {
+      if (!outdent) return lines.length > 1 && !line.trim() ? line : INDENT + line;
+      return line.replace(/^(\t| {1,2})/, '');
+    }),
+  );
+  return next.value === value ? null : next;
+}
+
+/**
+ * Text and selection of the editor
+ * @typedef {Object} EditorState
+ * @property {string} value
+ * @property {number} start Selection start offset
+ * @property {number} end Selection end offset
+ */
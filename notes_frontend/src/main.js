@@ -1,5 +1,7 @@
 import './style.css';
 import { initApp } from './ui/app.js';
+import { toast } from './ui/components.js';
+import { registerServiceWorker } from './pwa.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   const mount = document.getElementById('app');
@@ -9,5 +11,23 @@ document.addEventListener('DOMContentLoaded', () => {
   // PUBLIC_INTERFACE
   // Initialize the Notes app within the mount element.
   /** Bootstraps the application and renders the UI. */
-  initApp(mount);
+  initApp(mount, {
+    storage: import.meta.env.VITE_NOTES_STORAGE,
+    apiUrl: import.meta.env.VITE_NOTES_API_URL,
+    syncUrl: import.meta.env.VITE_NOTES_SYNC_URL,
+  }).catch((err) => {
+    mount.textContent = `Could not load notes: ${err.message}`;
+    console.error(err);
+  });
+
+  // The service worker only exists in production builds (see vite.config.js).
+  if (import.meta.env.PROD) {
+    registerServiceWorker({
+      onUpdateReady: (applyUpdate) =>
+        toast('A new version of Notes is available.', {
+          timeout: 0,
+          action: { label: 'Reload', onSelect: applyUpdate },
+        }),
+    }).catch((err) => console.error('Service worker registration failed:', err));
+  }
 });
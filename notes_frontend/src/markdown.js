@@ -0,0 +1,348 @@
+//
+// Minimal Markdown renderer for note previews.
+// Supports headings, paragraphs, emphasis, inline code, fenced code blocks, links, images,
+// blockquotes, horizontal rules, nested ordered/unordered lists, task checkboxes, GFM tables and
+// [[wiki links]] between notes (rendered as <a class="wiki-link" data-title="…"> for the app to resolve).
+// Links and images pointing at `attachment:<id>` (files stored with the note, see ./attachments.js) become
+// <a class="attachment-link" data-attachment="…"> and <img class="attachment-image" data-attachment="…"> without
+// a URL; the app fills in the blob's URL or opens the file.
+//
+// Sanitization is by construction: all source text is HTML-escaped, raw HTML is never passed
+// through, and link/image URLs are limited to safe schemes. The output can be assigned to innerHTML.
+//
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const FENCE_RE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const HR_RE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_RE = /^\[([ xX])\]\s+(.*)$/;
+/** `@due(YYYY-MM-DD)` in a rendered task item (see ./tasks.js); the date survives escaping unchanged. */
+const TASK_DUE_RE = /@due\((\d{4}-\d{2}-\d{2})\)/g;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const ATTACHMENT_URL_RE = /^attachment:([\w-]+)$/;
+/** Placeholder renderInline() leaves for an already rendered fragment; U+E000/U+E001 are private-use characters. */
+const HELD_RE = /\uE000(\d+)\uE001/g;
+
+/**
+ * PUBLIC INTERFACE
+ * Escape text for safe inclusion in HTML.
+ */
+/** Returns text with &, <, >, " and ' replaced by entities. */
+export function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ESCAPES[c]);
+}
+
+/**
+ * Return the URL if its scheme is allowed, otherwise null.
+ * Relative URLs and fragments are allowed; javascript:, data:, vbscript: etc. are not.
+ * @param {string} url Already HTML-escaped URL.
+ * @returns {string|null}
+ */
+function safeUrl(url) {
+  // Browsers ignore control characters and whitespace when parsing a scheme.
+  const compact = [...url].filter((c) => c.charCodeAt(0) > 32).join('');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(compact);
+  if (!scheme) return url.trim();
+  return ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase()) ? url.trim() : null;
+}
+
+/**
+ * Render inline Markdown (code, images, links, emphasis) to HTML.
+ * @param {string} text Raw source text.
+ * @returns {string}
+ */
+function renderInline(text) {
+  const slots = [];
+  const hold = (html) => `\uE000${slots.push(html) - 1}\uE001`;
+  // Held fragments inside an attribute value (alt, title) are put back as their text only.
+  const attr = (value) => value.replace(HELD_RE, (_, i) => slots[Number(i)].replace(/<[^>]*>/g, ''));
+
+  // Code spans first so their contents are never treated as markup. The placeholder delimiters are
+  // removed from the source beforehand, so note text cannot forge a placeholder.
+  let out = String(text).replace(/[\uE000\uE001]/g, '').replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, __, code) =>
+    hold(`<code>${escapeHtml(code.trim())}</code>`),
+  );
+  out = escapeHtml(out);
+
+  out = out.replace(/\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g, (m, title, alias) =>
+    hold(`<a href="#" class="wiki-link" data-title="${title.trim()}">${(alias || title).trim()}</a>`),
+  );
+  out = out.replace(/!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+&quot;([^)]*)&quot;)?\s*\)/g, (m, alt, url, title) => {
+    // A URL made of held markup (a code span, a wiki link) is not a URL.
+    if (url.includes('\uE000')) return m;
+    alt = attr(alt);
+    title = title && attr(title);
+    const attachment = ATTACHMENT_URL_RE.exec(url);
+    if (attachment) {
+      return hold(`<img class="attachment-image" data-attachment="${attachment[1]}" alt="${alt}"${title ? ` title="${title}"` : ''}>`);
+    }
+    const href = safeUrl(url);
+    if (href == null) return alt;
+    return hold(`<img src="${href}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`);
+  });
+  out = out.replace(/\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+&quot;([^)]*)&quot;)?\s*\)/g, (m, label, url, title) => {
+    if (url.includes('\uE000')) return m;
+    title = title && attr(title);
+    const attachment = ATTACHMENT_URL_RE.exec(url);
+    if (attachment) {
+      return hold(`<a href="#" class="attachment-link" data-attachment="${attachment[1]}"${title ? ` title="${title}"` : ''}>${label}</a>`);
+    }
+    const href = safeUrl(url);
+    if (href == null) return label;
+    return hold(
+      `<a href="${href}"${title ? ` title="${title}"` : ''} target="_blank" rel="noopener noreferrer">${label}</a>`,
+    );
+  });
+
+  out = out
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(?<![\w*\\])(\*|_)(?=\S)([\s\S]*?\S)\1(?![\w*])/g, '<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+  // Restore held fragments; labels may themselves contain held code spans.
+  let prev;
+  do {
+    prev = out;
+    out = out.replace(HELD_RE, (_, i) => slots[Number(i)]);
+  } while (out !== prev);
+  return out;
+}
+
+/**
+ * Split a table row into trimmed cells.
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Measure indentation in columns (tabs count as four).
+ * @param {string} ws
+ * @returns {number}
+ */
+function indentOf(ws) {
+  return ws.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Render a flat list of parsed list entries as nested <ul>/<ol> HTML.
+ * @param {{indent: number, ordered: boolean, start: number, text: string, line: number}[]} entries
+ * @returns {string}
+ */
+function renderListEntries(entries) {
+  const roots = [];
+  const stack = [];
+  const newList = (e) => ({ indent: e.indent, ordered: e.ordered, start: e.start, items: [] });
+
+  for (const e of entries) {
+    while (stack.length && e.indent < stack[stack.length - 1].indent) stack.pop();
+    const top = stack[stack.length - 1];
+    if (!top || e.indent > top.indent) {
+      const list = newList(e);
+      if (top && top.items.length) top.items[top.items.length - 1].children.push(list);
+      else roots.push(list);
+      stack.push(list);
+    } else if (top.ordered !== e.ordered) {
+      const list = newList(e);
+      const parent = stack[stack.length - 2];
+      if (parent) parent.items[parent.items.length - 1].children.push(list);
+      else roots.push(list);
+      stack[stack.length - 1] = list;
+    }
+    stack[stack.length - 1].items.push({ ...e, children: [] });
+  }
+
+  const renderList = (list) => {
+    const tag = list.ordered ? 'ol' : 'ul';
+    const start = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+    const hasTasks = list.items.some((it) => TASK_RE.test(it.text));
+    const items = list.items
+      .map((it) => {
+        const task = TASK_RE.exec(it.text);
+        const body = task
+          ? `<input type="checkbox" class="task-checkbox" data-line="${it.line}"${
+              task[1] !== ' ' ? ' checked' : ''
+            } disabled> ${renderInline(task[2]).replace(TASK_DUE_RE, '<time class="task-due" datetime="$1">due $1</time>')}`
+          : renderInline(it.text);
+        return `<li${task ? ' class="task-item"' : ''}>${body}${it.children.map(renderList).join('')}</li>`;
+      })
+      .join('');
+    return `<${tag}${start}${hasTasks ? ' class="task-list"' : ''}>${items}</${tag}>`;
+  };
+  return roots.map(renderList).join('');
+}
+
+/**
+ * Return true if a line starts a block other than a paragraph.
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+  return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line) || LIST_RE.test(line);
+}
+
+/**
+ * Render block-level Markdown to HTML.
+ * @param {string[]} lines
+ * @param {number} offset Line number of lines[0] in the original source.
+ * @returns {string}
+ */
+function renderBlocks(lines, offset) {
+  const html = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE_RE.exec(line);
+    if (fence) {
+      const marker = fence[1];
+      const lang = fence[2];
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(marker)) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++;
+      const cls = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+      html.push(`<pre><code${cls}>${escapeHtml(body.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const start = i;
+      const body = [];
+      while (i < lines.length && lines[i].trim() && QUOTE_RE.test(lines[i])) {
+        body.push(QUOTE_RE.exec(lines[i])[1]);
+        i++;
+      }
+      html.push(`<blockquote>${renderBlocks(body, offset + start)}</blockquote>`);
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const entries = [];
+      while (i < lines.length) {
+        const m = LIST_RE.exec(lines[i]);
+        if (m) {
+          const marker = m[2];
+          const ordered = /\d/.test(marker);
+          entries.push({
+            indent: indentOf(m[1]),
+            ordered,
+            start: ordered ? parseInt(marker, 10) : 1,
+            text: m[3],
+            line: offset + i,
+          });
+          i++;
+        } else if (lines[i].trim() && !startsBlock(lines[i]) && /^\s+/.test(lines[i])) {
+          // Indented continuation of the previous item.
+          entries[entries.length - 1].text += ' ' + lines[i].trim();
+          i++;
+        } else if (!lines[i].trim() && i + 1 < lines.length && LIST_RE.test(lines[i + 1])) {
+          i++;
+        } else {
+          break;
+        }
+      }
+      html.push(renderListEntries(entries));
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      const head = splitRow(line);
+      const aligns = splitRow(lines[i + 1]).map((c) =>
+        c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : '',
+      );
+      const cell = (tag, text, col) =>
+        `<${tag}${aligns[col] ? ` style="text-align:${aligns[col]}"` : ''}>${renderInline(text)}</${tag}>`;
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitRow(lines[i]);
+        rows.push(`<tr>${head.map((_, c) => cell('td', cells[c] || '', c)).join('')}</tr>`);
+        i++;
+      }
+      html.push(
+        `<table><thead><tr>${head.map((h, c) => cell('th', h, c)).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`,
+      );
+      continue;
+    }
+
+    const para = [];
+    while (i < lines.length && lines[i].trim() && (para.length === 0 || !startsBlock(lines[i]))) {
+      para.push(lines[i].trim());
+      i++;
+    }
+    html.push(`<p>${para.map(renderInline).join('<br>')}</p>`);
+  }
+  return html.join('\n');
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Render Markdown source to sanitized HTML.
+ */
+/**
+ * Returns an HTML string safe to assign to innerHTML. Task checkboxes carry data-line (0-based source line);
+ * due dates in tasks become <time class="task-due" datetime="YYYY-MM-DD">.
+ */
+export function renderMarkdown(source) {
+  return renderBlocks(String(source || '').replace(/\r\n?/g, '\n').split('\n'), 0);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Strip Markdown syntax, leaving readable plain text.
+ */
+/** Returns text without Markdown markers, suitable for list snippets and excerpts. */
+export function stripMarkdown(source) {
+  return String(source || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .filter((line) => !FENCE_RE.test(line) && !HR_RE.test(line) && !TABLE_SEP_RE.test(line))
+    .map((line) =>
+      line
+        .replace(/^\s{0,3}#{1,6}\s+/, '')
+        .replace(/^\s{0,3}(>\s?)+/, '')
+        .replace(/^\s*([-*+]|\d{1,9}[.)])\s+(\[[ xX]\]\s+)?/, '')
+        .replace(/\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g, (m, title, alias) => (alias || title).trim())
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__|~~|`+)(.+?)\1/g, '$2')
+        .replace(/(\*|_)(?=\S)(.+?\S)\1(?!\w)/g, '$2')
+        .replace(/^\s*\||\|\s*$/g, '')
+        .replace(/\s*\|\s*/g, ' · ')
+        .trim(),
+    )
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
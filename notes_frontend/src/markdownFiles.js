@@ -0,0 +1,311 @@
+//
+// Notes as Markdown files with YAML front matter, for export (single file or zip) and import.
+//
+//   ---
+//   title: "Meeting notes"
+//   tags: ["work", "meetings"]
+//   favorite: true
+//   createdAt: 2024-05-01T09:00:00.000Z
+//   updatedAt: 2024-05-02T10:30:00.000Z
+//   ---
+//   Note content…
+//
+// In a zip export, attachments (see ./attachments.js) go into an `attachments/` folder and links to them in the
+// notes are rewritten to point there. Importing such a zip (or the folder it was unpacked to) reads the files back
+// and relinkAttachments() points the links at the re-imported attachments again.
+//
+import { createZip, readZip } from './zip.js';
+
+const FRONT_MATTER_RE = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const MARKDOWN_EXT_RE = /\.(md|markdown|txt)$/i;
+// Files in an `attachments/` folder of a zip or folder selection, as written by notesToZip().
+const ATTACHMENT_PATH_RE = /(?:^|\/)(attachments\/[^/]+)$/;
+// Relative links to those files in note content; notesToZip() leaves no spaces or parentheses in them.
+const ATTACHMENT_LINK_RE = /\]\(\s*(attachments\/[^\s)]+)/g;
+
+/** MIME types for attachment file extensions, so re-imported images show as images again. */
+const MIME_TYPES = {
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+  json: 'application/json',
+  zip: 'application/zip',
+  md: 'text/markdown',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  mp3: 'audio/mpeg',
+  mp4: 'video/mp4',
+};
+
+/**
+ * PUBLIC INTERFACE
+ * Turn a note title into a safe file name.
+ */
+/** Returns a file name without path separators or reserved characters, ending in `ext`. */
+export function fileNameFor(title, ext = '.md') {
+  const base = [...String(title || 'Untitled')]
+    .filter((c) => c.charCodeAt(0) >= 32)
+    .join('')
+    .replace(/[\\/:*?"<>|]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100)
+    .replace(/^\.+/, '');
+  return (base || 'Untitled') + ext;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Serialize a note as Markdown with front matter.
+ */
+/** Returns the Markdown text for a note. String values are written as double-quoted (JSON-compatible) YAML scalars. */
+export function noteToMarkdown(note) {
+  const lines = [
+    '---',
+    `title: ${JSON.stringify(note.title || '')}`,
+    `tags: [${(note.tags || []).map((t) => JSON.stringify(t)).join(', ')}]`,
+    `favorite: ${note.favorite ? 'true' : 'false'}`,
+    `createdAt: ${note.createdAt}`,
+    `updatedAt: ${note.updatedAt}`,
+    '---',
+    '',
+  ];
+  return lines.join('\n') + (note.content || '');
+}
+
+/**
+ * Parse a YAML scalar from the subset written by noteToMarkdown (plus common hand-written forms).
+ * @param {string} raw
+ * @returns {string|boolean|number|null}
+ */
+function parseScalar(raw) {
+  const v = raw.trim();
+  if (v.startsWith('"')) {
+    try {
+      return JSON.parse(v);
+    } catch {
+      return v.slice(1, -1);
+    }
+  }
+  if (v.startsWith("'") && v.endsWith("'")) return v.slice(1, -1).replace(/''/g, "'");
+  if (/^(true|yes)$/i.test(v)) return true;
+  if (/^(false|no)$/i.test(v)) return false;
+  if (v === '' || v === '~' || v === 'null') return null;
+  return v;
+}
+
+/**
+ * Parse a flow sequence such as `[a, "b, c"]`.
+ * @param {string} raw
+ * @returns {string[]}
+ */
+function parseFlowList(raw) {
+  const inner = raw.trim().slice(1, -1);
+  const items = inner.match(/\s*(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+)/g) || [];
+  return items.map((i) => parseScalar(i)).filter((i) => i != null && i !== '').map(String);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Split front matter from Markdown text.
+ */
+/** Returns { data, body } where data holds the parsed front matter keys (empty if there is none). */
+export function parseFrontMatter(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const m = FRONT_MATTER_RE.exec(source);
+  if (!m) return { data: {}, body: source };
+
+  const data = {};
+  let listKey = null;
+  for (const line of m[1].split(/\r?\n/)) {
+    const item = /^\s+-\s+(.*)$/.exec(line) || /^-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(String(parseScalar(item[1])));
+      continue;
+    }
+    const kv = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!kv) continue;
+    const [, key, value] = kv;
+    listKey = null;
+    if (value.trim() === '') {
+      data[key] = [];
+      listKey = key;
+    } else if (value.trim().startsWith('[')) {
+      data[key] = parseFlowList(value);
+    } else {
+      data[key] = parseScalar(value);
+    }
+  }
+  return { data, body: source.slice(m[0].length) };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Turn a Markdown file into note fields for createNote.
+ */
+/** Returns { title, content, tags, favorite, createdAt?, updatedAt? }; the title falls back to the file name. */
+export function markdownToNote(fileName, text) {
+  const { data, body } = parseFrontMatter(text);
+  const baseName = String(fileName || '')
+    .split('/')
+    .pop()
+    .replace(MARKDOWN_EXT_RE, '');
+  const validDate = (v) => (typeof v === 'string' && !Number.isNaN(Date.parse(v)) ? new Date(v).toISOString() : undefined);
+  const tags = Array.isArray(data.tags) ? data.tags : typeof data.tags === 'string' ? data.tags.split(',') : [];
+  return {
+    title: typeof data.title === 'string' && data.title.trim() ? data.title : baseName || 'Untitled',
+    content: body,
+    tags,
+    favorite: data.favorite === true,
+    createdAt: validDate(data.createdAt),
+    updatedAt: validDate(data.updatedAt),
+  };
+}
+
+/**
+ * Make a file name unique within `used` (compared case-insensitively) by numbering it before its extension.
+ * @param {string} name
+ * @param {Set<string>} used Lower-cased names taken so far; the result is added.
+ * @returns {string}
+ */
+function uniqueName(name, used) {
+  const dot = name.lastIndexOf('.');
+  const [stem, ext] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+  let out = name;
+  for (let i = 2; used.has(out.toLowerCase()); i++) out = `${stem} (${i})${ext}`;
+  used.add(out.toLowerCase());
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Build a zip of Markdown files, one per note.
+ */
+/**
+ * Returns zip bytes; duplicate titles get a numeric suffix. `attachments` maps attachment ids to { name, data: Uint8Array }
+ * for the files to include under attachments/; `attachment:<id>` links to them are rewritten to relative paths.
+ */
+export function notesToZip(notes, attachments = new Map()) {
+  const usedFiles = new Set();
+  const paths = new Map();
+  const files = [];
+  for (const [id, file] of attachments) {
+    const path = `attachments/${uniqueName(fileNameFor(file.name, ''), usedFiles)}`;
+    // Escaped so the path stays a single Markdown link destination.
+    paths.set(id, encodeURI(path).replace(/[()]/g, (c) => (c === '(' ? '%28' : '%29')));
+    files.push({ name: path, data: file.data });
+  }
+  const used = new Set();
+  for (const n of notes) {
+    let name = fileNameFor(n.title);
+    for (let i = 2; used.has(name.toLowerCase()); i++) {
+      name = fileNameFor(`${n.title || 'Untitled'} (${i})`);
+    }
+    used.add(name.toLowerCase());
+    const content = (n.content || '').replace(/\]\(\s*attachment:([\w-]+)/g, (m, id) => (paths.has(id) ? `](${paths.get(id)}` : m));
+    files.push({ name, data: noteToMarkdown({ ...n, content }), date: new Date(n.updatedAt) });
+  }
+  return createZip(files);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Read user-selected files for import.
+ */
+/**
+ * Accepts File objects (.md/.markdown/.txt, .zip of those, or .json backups, including folder selections).
+ * Resolves to { notes: Partial<Note>[], backups: { name, data }[], attachments: { path, name, data: Blob }[],
+ * skipped: string[], failed: { name, reason }[] }; `attachments` are the files in an attachments/ folder, by the
+ * `attachments/<name>` path the notes link to (see relinkAttachments()). .json files that are not valid JSON are
+ * listed in `failed`.
+ */
+export async function readImportFiles(files) {
+  const notes = [];
+  const backups = [];
+  const attachments = [];
+  const skipped = [];
+  const failed = [];
+  const decoder = new TextDecoder('utf-8');
+  const addAttachmentFile = (path, data) => {
+    const name = path.slice(path.indexOf('/') + 1);
+    const ext = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    attachments.push({ path, name, data: new Blob([data], { type: MIME_TYPES[ext] || '' }) });
+  };
+
+  for (const file of files) {
+    const name = file.webkitRelativePath || file.name;
+    if (/\.zip$/i.test(name)) {
+      const entries = await readZip(await file.arrayBuffer());
+      for (const entry of entries) {
+        const base = entry.name.split('/').pop();
+        if (entry.name.startsWith('__MACOSX/') || base.startsWith('.')) continue;
+        const attachment = ATTACHMENT_PATH_RE.exec(entry.name);
+        if (attachment) {
+          addAttachmentFile(attachment[1], entry.data);
+        } else if (MARKDOWN_EXT_RE.test(entry.name)) {
+          notes.push(markdownToNote(entry.name, decoder.decode(entry.data)));
+        } else {
+          skipped.push(`${name}/${entry.name}`);
+        }
+      }
+    } else if (ATTACHMENT_PATH_RE.test(name)) {
+      addAttachmentFile(ATTACHMENT_PATH_RE.exec(name)[1], await file.arrayBuffer());
+    } else if (/\.json$/i.test(name)) {
+      try {
+        backups.push({ name, data: JSON.parse(await file.text()) });
+      } catch (err) {
+        failed.push({ name, reason: err.message });
+      }
+    } else if (MARKDOWN_EXT_RE.test(name)) {
+      notes.push(markdownToNote(name, await file.text()));
+    } else {
+      skipped.push(name);
+    }
+  }
+  return { notes, backups, attachments, skipped, failed };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List the attachments/ files that Markdown content links to.
+ */
+/** Returns the distinct decoded `attachments/<name>` paths, in order of first appearance, to match readImportFiles() output. */
+export function attachmentPaths(content) {
+  const paths = new Set();
+  for (const m of String(content || '').matchAll(ATTACHMENT_LINK_RE)) {
+    const path = decodePath(m[1]);
+    if (path) paths.add(path);
+  }
+  return [...paths];
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Point links to attachments/ files back at stored attachments.
+ */
+/** `ids` maps paths from attachmentPaths() to attachment ids; those links become `attachment:<id>`, others are left as they are. */
+export function relinkAttachments(content, ids) {
+  return String(content || '').replace(ATTACHMENT_LINK_RE, (m, target) => {
+    const id = ids.get(decodePath(target));
+    return id ? `](attachment:${id}` : m;
+  });
+}
+
+/**
+ * Decode a percent-encoded link path; null if it is malformed.
+ * @param {string} path
+ * @returns {string|null}
+ */
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,87 @@
+//
+// Progressive web app glue: service worker registration with update detection, and launches
+// through the manifest's share target (?share-target&title=…&text=…&url=…).
+//
+
+const SHARE_PARAM = 'share-target';
+
+/**
+ * PUBLIC INTERFACE
+ * Register the service worker and report new builds.
+ */
+/**
+ * Registers /sw.js. When a new build has installed and is waiting, calls onUpdateReady(applyUpdate);
+ * applyUpdate() activates it and reloads the page. Resolves to the registration, or null if unsupported.
+ */
+export async function registerServiceWorker({ url = '/sw.js', onUpdateReady } = {}) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  const registration = await navigator.serviceWorker.register(url);
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  const announce = (worker) => {
+    onUpdateReady?.(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+  };
+  // Only an update if a previous version controls the page; the first install activates right away.
+  if (registration.waiting && navigator.serviceWorker.controller) announce(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) announce(worker);
+    });
+  });
+  return registration;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Read shared content from a share-target launch URL.
+ */
+/** Returns { title, content } for a URL produced by the manifest's share_target, otherwise null. */
+export function parseSharedNote(href) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch {
+    return null;
+  }
+  if (!url.searchParams.has(SHARE_PARAM)) return null;
+  const title = (url.searchParams.get('title') || '').trim();
+  const text = (url.searchParams.get('text') || '').trim();
+  const link = (url.searchParams.get('url') || '').trim();
+  if (!title && !text && !link) return null;
+  const content = [text, link && !text.includes(link) ? link : ''].filter(Boolean).join('\n\n');
+  return { title: title || text.split('\n')[0].slice(0, 80) || link || 'Shared note', content };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Receive content shared to the app.
+ */
+/**
+ * Calls onShare({ title, content }) for the current URL and, where the Launch Handler API exists, for later
+ * launches into this window. Each launch URL is handled once and then removed from the address bar.
+ */
+export function watchShareLaunches(onShare) {
+  if (typeof window === 'undefined') return;
+  const handled = new Set();
+  const handle = (href) => {
+    if (!href || handled.has(href)) return;
+    handled.add(href);
+    const shared = parseSharedNote(href);
+    if (!shared) return;
+    onShare(shared);
+    if (parseSharedNote(window.location.href)) {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  };
+  handle(window.location.href);
+  if ('launchQueue' in window) {
+    window.launchQueue.setConsumer((params) => handle(params.targetURL));
+  }
+}
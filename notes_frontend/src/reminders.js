@@ -0,0 +1,58 @@
+//
+// Reminder scheduler: while the app is open, fires note reminders (remindAt) when they fall due.
+// Reminders that fell due while the app was closed are reported once, as missed, when the scheduler starts.
+// Delivery is left to the caller (see ui/app.js, which uses the Notifications API or an in-app toast).
+//
+import { nextReminderAt, takeDueReminders } from './store.js';
+
+/** Longest single wait; timers are re-armed at least this often so sleep and clock changes are caught up. */
+const MAX_WAIT_MS = 60 * 1000;
+
+/**
+ * PUBLIC INTERFACE
+ * Create a reminder scheduler.
+ */
+/**
+ * options: { onFire(notes, { missed }) }. Returns { start(), stop(), reschedule() }.
+ * start() first reports reminders that fell due before it was called (missed: true), then fires the others as
+ * they come due (missed: false). Call reschedule() after reminders change, so an earlier one is not waited past.
+ * Each reminder is handed to onFire only once; the store marks it shown.
+ */
+export function createReminderScheduler({ onFire }) {
+  let timer = null;
+  let running = false;
+
+  function fire(missed) {
+    const due = takeDueReminders();
+    if (due.length) onFire(due, { missed });
+  }
+
+  function reschedule() {
+    if (!running) return;
+    clearTimeout(timer);
+    const next = nextReminderAt();
+    if (next === null) {
+      timer = null;
+      return;
+    }
+    timer = setTimeout(() => {
+      fire(false);
+      reschedule();
+    }, Math.min(Math.max(next - Date.now(), 0), MAX_WAIT_MS));
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    fire(true);
+    reschedule();
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  return { start, stop, reschedule };
+}
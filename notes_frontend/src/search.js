@@ -0,0 +1,375 @@
+//
+// Full-text search: an incrementally maintained inverted index, a small query language,
+// and relevance scoring. Pure functions over plain data so the store can own the index.
+//
+// Query syntax (terms are ANDed, matching is case- and accent-insensitive):
+//   word          notes containing a word starting with "word" (title or content)
+//   "some phrase" notes containing the exact phrase
+//   title:word    restrict a word or "phrase" to the title (content: works the same way)
+//   tag:work      notes tagged "work" or a tag nested below it ("work/meetings")
+//   is:favorite   favorite notes (also is:fav); is:pinned for pinned notes; is:encrypted for password-protected notes,
+//                 is:task for notes with open checklist items, is:reminder for notes with a reminder set
+//   -anything     exclude notes matching any of the above
+//
+import { normalizeTag, tagMatches } from './tags.js';
+import { parseTasks } from './tasks.js';
+
+const TITLE_WEIGHT = 3;
+const CONTENT_WEIGHT = 1;
+const PREFIX_FACTOR = 0.5;
+const PHRASE_BONUS = { title: 6, content: 2 };
+
+/** Predicates for `is:` filters. */
+const IS_FILTERS = {
+  favorite: (n) => Boolean(n.favorite),
+  fav: (n) => Boolean(n.favorite),
+  pinned: (n) => Boolean(n.pinned),
+  encrypted: (n) => Boolean(n.encrypted),
+  task: (n) => !n.encrypted && parseTasks(n.content).some((t) => !t.done),
+  reminder: (n) => Boolean(n.remindAt),
+};
+
+/**
+ * Return the content that may be searched: none for encrypted notes, whose content is ciphertext
+ * and must never be indexed.
+ * @param {{content: string, encrypted?: boolean}} note
+ * @returns {string}
+ */
+function searchableContent(note) {
+  return note.encrypted ? '' : note.content;
+}
+
+/**
+ * Lowercase and strip diacritics.
+ * @param {string} text
+ * @returns {string}
+ */
+function fold(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * fold() one code point at a time, keeping track of where each folded character came from, so that
+ * matches in the folded text map back to the original even where folding changes the length
+ * (ligatures such as "ﬁ", compatibility characters such as "½", decomposed accents).
+ * Final sigma is folded to σ, since lowercasing a lone character cannot tell where a word ends.
+ * @param {string} source
+ * @returns {{folded: string, starts: number[], ends: number[]}} starts/ends: source range of each folded code unit
+ */
+function foldWithOffsets(source) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  for (const char of source) {
+    const part = fold(char).replace(/ς/g, 'σ');
+    // A character that folds away (a combining accent) belongs to the one before it.
+    if (!part && ends.length) ends[ends.length - 1] = offset + char.length;
+    for (let i = 0; i < part.length; i++) {
+      starts.push(offset);
+      ends.push(offset + char.length);
+    }
+    folded += part;
+    offset += char.length;
+  }
+  return { folded, starts, ends };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Split text into normalized search tokens.
+ */
+/** Returns lowercase, accent-free word tokens of text. */
+export function tokenize(text) {
+  return fold(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Count token occurrences.
+ * @param {string[]} tokens
+ * @returns {Map<string, number>}
+ */
+function countTokens(tokens) {
+  const counts = new Map();
+  for (const t of tokens) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create an empty inverted index.
+ */
+/** Returns { postings: Map<token, Map<noteId, {title, content}>>, docs: Map<noteId, string[]> }. */
+export function createIndex() {
+  return { postings: new Map(), docs: new Map() };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Remove a note from the index.
+ */
+/** Drops every posting for the note id. */
+export function unindexNote(index, id) {
+  const tokens = index.docs.get(id);
+  if (!tokens) return;
+  for (const t of tokens) {
+    const posting = index.postings.get(t);
+    if (!posting) continue;
+    posting.delete(id);
+    if (posting.size === 0) index.postings.delete(t);
+  }
+  index.docs.delete(id);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Add or re-index a note.
+ */
+/** Replaces the note's postings with fresh title/content token counts. Encrypted notes are indexed by title only. */
+export function indexNote(index, note) {
+  unindexNote(index, note.id);
+  const title = countTokens(tokenize(note.title));
+  const content = countTokens(tokenize(searchableContent(note)));
+  const all = new Set([...title.keys(), ...content.keys()]);
+  for (const t of all) {
+    let posting = index.postings.get(t);
+    if (!posting) {
+      posting = new Map();
+      index.postings.set(t, posting);
+    }
+    posting.set(note.id, { title: title.get(t) || 0, content: content.get(t) || 0 });
+  }
+  index.docs.set(note.id, [...all]);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Build an index over a list of notes.
+ */
+/** Returns a new index containing every note. */
+export function buildIndex(notes) {
+  const index = createIndex();
+  for (const n of notes) indexNote(index, n);
+  return index;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Parse a query string into clauses.
+ */
+/**
+ * Returns an array of { kind: 'term'|'phrase'|'tag'|'is', value, field?, negate } clauses.
+ * Unknown `prefix:` operators are treated as plain text.
+ */
+export function parseQuery(query) {
+  const clauses = [];
+  const re = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let m;
+  while ((m = re.exec(String(query || ''))) !== null) {
+    const negate = m[1] === '-';
+    const op = (m[2] || '').toLowerCase();
+    const quoted = m[3];
+    const bare = m[4];
+    const raw = quoted != null ? quoted : bare;
+
+    if (op === 'tag' && raw) {
+      clauses.push({ kind: 'tag', value: normalizeTag(raw).toLowerCase(), negate });
+      continue;
+    }
+    if (op === 'is' && raw) {
+      clauses.push({ kind: 'is', value: raw.trim().toLowerCase(), negate });
+      continue;
+    }
+    const field = op === 'title' || op === 'content' ? op : undefined;
+    const text = field || !op ? raw : `${op} ${raw}`;
+    const tokens = tokenize(text);
+    if (tokens.length === 0) continue;
+    if (quoted != null && tokens.length > 1) {
+      clauses.push({ kind: 'phrase', value: tokens, field, negate });
+    } else {
+      for (const t of tokens) clauses.push({ kind: 'term', value: t, field, negate, exact: quoted != null });
+    }
+  }
+  return clauses;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Words a UI should highlight for a query.
+ */
+/** Returns the positive text terms and phrases of a query (phrases joined by spaces). */
+export function highlightTerms(query) {
+  return parseQuery(query)
+    .filter((c) => !c.negate && (c.kind === 'term' || c.kind === 'phrase'))
+    .map((c) => (c.kind === 'phrase' ? c.value.join(' ') : c.value));
+}
+
+/**
+ * Score every note matching a single token (exact or prefix) in the given field(s).
+ * @returns {Map<string, number>} noteId -> score
+ */
+function matchTerm(index, term, field, exact) {
+  const scores = new Map();
+  const total = index.docs.size || 1;
+  const add = (token, factor) => {
+    const posting = index.postings.get(token);
+    if (!posting) return;
+    const idf = Math.log(1 + total / posting.size);
+    for (const [id, counts] of posting) {
+      const weight =
+        (field !== 'content' ? counts.title * TITLE_WEIGHT : 0) +
+        (field !== 'title' ? counts.content * CONTENT_WEIGHT : 0);
+      if (weight === 0) continue;
+      scores.set(id, (scores.get(id) || 0) + weight * idf * factor);
+    }
+  };
+  add(term, 1);
+  if (!exact) {
+    for (const token of index.postings.keys()) {
+      if (token !== term && token.startsWith(term)) add(token, PREFIX_FACTOR);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Return true if the field text contains the token sequence.
+ * @param {string} text
+ * @param {string[]} tokens
+ * @returns {boolean}
+ */
+function containsPhrase(text, tokens) {
+  return ` ${tokenize(text).join(' ')} `.includes(` ${tokens.join(' ')} `);
+}
+
+/**
+ * Evaluate a non-scoring clause against a note.
+ * @returns {boolean}
+ */
+function matchesFilter(note, clause) {
+  switch (clause.kind) {
+    case 'tag':
+      return (note.tags || []).some((t) => tagMatches(t, clause.value));
+    case 'is':
+      return IS_FILTERS[clause.value] ? IS_FILTERS[clause.value](note) : false;
+    case 'phrase':
+      return (
+        (clause.field !== 'content' && containsPhrase(note.title, clause.value)) ||
+        (clause.field !== 'title' && containsPhrase(searchableContent(note), clause.value))
+      );
+    default:
+      return true;
+  }
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Run a query against an index.
+ */
+/**
+ * Filters `notes` by the query and returns them ranked by relevance.
+ * `notes` is the candidate set (already narrowed by other filters); `index` must cover them.
+ * Returns { notes, ranked } where ranked is false when the query had no text terms to score.
+ */
+export function searchIndex(index, notes, query) {
+  const clauses = parseQuery(query);
+  const scores = new Map(notes.map((n) => [n.id, 0]));
+  let ranked = false;
+
+  for (const c of clauses) {
+    if (c.kind === 'term') {
+      const hits = matchTerm(index, c.value, c.field, c.exact);
+      for (const id of [...scores.keys()]) {
+        if (c.negate ? hits.has(id) : !hits.has(id)) {
+          scores.delete(id);
+        } else if (!c.negate) {
+          scores.set(id, scores.get(id) + hits.get(id));
+          ranked = true;
+        }
+      }
+    }
+  }
+
+  const out = [];
+  for (const n of notes) {
+    if (!scores.has(n.id)) continue;
+    let score = scores.get(n.id);
+    let keep = true;
+    for (const c of clauses) {
+      if (c.kind === 'term') continue;
+      const hit = matchesFilter(n, c);
+      if (c.negate ? hit : !hit) {
+        keep = false;
+        break;
+      }
+      if (c.kind === 'phrase' && !c.negate) {
+        ranked = true;
+        if (c.field !== 'content' && containsPhrase(n.title, c.value)) score += PHRASE_BONUS.title;
+        if (c.field !== 'title' && containsPhrase(searchableContent(n), c.value)) score += PHRASE_BONUS.content;
+      }
+    }
+    if (keep) out.push({ note: n, score });
+  }
+
+  if (ranked) {
+    // Array.prototype.sort is stable, so equal scores keep the caller's order.
+    out.sort((a, b) => b.score - a.score);
+  }
+  return { notes: out.map((r) => r.note), ranked };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Build a short plain-text excerpt around the first match.
+ */
+/** Returns up to `length` characters of text, centered near the first occurrence of any term. */
+export function makeSnippet(text, terms = [], length = 80) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  if (flat.length <= length || terms.length === 0) return flat.slice(0, length);
+  const { folded, starts } = foldWithOffsets(flat);
+  let first = -1;
+  for (const t of terms) {
+    const i = t ? folded.indexOf(t.replace(/ς/g, 'σ')) : -1;
+    if (i !== -1 && (first === -1 || starts[i] < first)) first = starts[i];
+  }
+  if (first === -1 || first < length / 2) return flat.slice(0, length);
+  const start = Math.max(0, Math.min(first - Math.floor(length / 3), flat.length - length));
+  return '…' + flat.slice(start, start + length).trimStart();
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Split text into plain and matched segments for highlighting.
+ */
+/** Returns [{ text, match }] segments covering text, with match=true where a term occurs. */
+export function splitMatches(text, terms = []) {
+  const source = String(text || '');
+  if (terms.length === 0) return [{ text: source, match: false }];
+  const { folded, starts, ends } = foldWithOffsets(source);
+  const ranges = [];
+  for (const term of terms) {
+    if (!term) continue;
+    const t = term.replace(/ς/g, 'σ');
+    let i = folded.indexOf(t);
+    while (i !== -1) {
+      // A match that covers part of an expanded character highlights the whole character.
+      ranges.push([starts[i], ends[i + t.length - 1]]);
+      i = folded.indexOf(t, i + t.length);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  const segments = [];
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    if (end <= pos) continue;
+    const from = Math.max(start, pos);
+    if (from > pos) segments.push({ text: source.slice(pos, from), match: false });
+    segments.push({ text: source.slice(from, end), match: true });
+    pos = end;
+  }
+  if (pos < source.length) segments.push({ text: source.slice(pos), match: false });
+  return segments;
+}
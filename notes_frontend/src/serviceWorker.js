@@ -0,0 +1,45 @@
+//
+// Service worker: precaches the app shell so the app starts without a network connection.
+// This file is not bundled with the app; the build (see vite.config.js) emits it as /sw.js with
+// the placeholders below replaced by the build's file list and version.
+//
+// A new build installs alongside the running one and waits; the page asks the user before
+// activating it (message { type: 'SKIP_WAITING' }).
+//
+
+const VERSION = /* __VERSION__ */ 'dev';
+const PRECACHE = /* __PRECACHE__ */ [];
+const CACHE_PREFIX = 'notes-shell-';
+const CACHE = CACHE_PREFIX + VERSION;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith(CACHE_PREFIX) && k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Navigations (including share-target launches with a query string) get the cached shell.
+  if (request.mode === 'navigate') {
+    event.respondWith(caches.match('/index.html').then((cached) => cached || fetch(request)));
+    return;
+  }
+
+  // Precached files never change under the same URL; anything else goes to the network.
+  event.respondWith(caches.match(request).then((cached) => cached || fetch(request)));
+});
@@ -0,0 +1,38 @@
+//
+// Encrypting adapter: wraps another adapter and encrypts every value before it is written.
+// Values that were stored before encryption was turned on are still read as plain text.
+//
+import { decryptText, encryptText, isEncrypted } from '../encryption.js';
+
+/**
+ * PUBLIC INTERFACE
+ * Create an adapter that encrypts values written to another adapter.
+ */
+/**
+ * Returns an async StorageAdapter over `inner`; keyInfo comes from deriveKey() or unlockKey() in ../encryption.js.
+ * Writes are applied in the order they were issued. Reads reject with code 'wrong-passphrase' for values
+ * encrypted under another key.
+ */
+export function createEncryptedAdapter(inner, keyInfo) {
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    name: `${inner.name} (encrypted)`,
+    async getItem(key) {
+      await queue;
+      const raw = await inner.getItem(key);
+      return isEncrypted(raw) ? decryptText(raw, keyInfo) : raw;
+    },
+    setItem(key, value) {
+      return enqueue(async () => inner.setItem(key, await encryptText(String(value), keyInfo)));
+    },
+    removeItem(key) {
+      return enqueue(() => inner.removeItem(key));
+    },
+  };
+}
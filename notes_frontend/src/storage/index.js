@@ -0,0 +1,61 @@
+//
+// Storage adapters: pluggable key/value backends used by the notes store.
+// Every adapter mirrors the Web Storage API (getItem/setItem/removeItem) over string values;
+// methods may return plain values (sync backends) or Promises (async backends).
+//
+import { createLocalStorageAdapter } from './localStorageAdapter.js';
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { createIndexedDbAdapter } from './indexedDbAdapter.js';
+import { createRestAdapter } from './restAdapter.js';
+import { createEncryptedAdapter } from './encryptedAdapter.js';
+
+export { createLocalStorageAdapter, createMemoryAdapter, createIndexedDbAdapter, createRestAdapter, createEncryptedAdapter };
+
+/**
+ * Storage adapter contract.
+ * @typedef {Object} StorageAdapter
+ * @property {string} name Human readable backend name.
+ * @property {(key: string) => (string|null|Promise<string|null>)} getItem
+ * @property {(key: string, value: string) => (void|Promise<void>)} setItem
+ * @property {(key: string) => (void|Promise<void>)} removeItem
+ */
+
+/**
+ * Return true if localStorage exists and accepts writes. It can be present but throw on setItem
+ * (Safari private mode, storage disabled), so a test key is written and removed.
+ * @returns {boolean}
+ */
+function hasLocalStorage() {
+  try {
+    const key = '__notes_storage_probe__';
+    localStorage.setItem(key, key);
+    localStorage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create a storage adapter by kind.
+ */
+/** Creates an adapter for 'local' | 'indexeddb' | 'memory' | 'rest'; defaults to localStorage, or memory when unavailable. */
+export function createStorageAdapter(kind, options = {}) {
+  switch ((kind || '').toLowerCase()) {
+    case 'memory':
+      return createMemoryAdapter(options);
+    case 'indexeddb':
+    case 'idb':
+      return createIndexedDbAdapter(options);
+    case 'rest':
+      return createRestAdapter(options);
+    case 'local':
+    case 'localstorage':
+      return createLocalStorageAdapter();
+    case '':
+      return hasLocalStorage() ? createLocalStorageAdapter() : createMemoryAdapter(options);
+    default:
+      throw new Error(`Unknown storage backend "${kind}"`);
+  }
+}
@@ -0,0 +1,68 @@
+//
+// IndexedDB adapter: asynchronous, not bound by the localStorage quota.
+// Values live in a single key/value object store.
+//
+const DEFAULT_DB_NAME = 'notes_app';
+const OBJECT_STORE = 'kv';
+
+/**
+ * Wrap an IDBRequest in a Promise.
+ * @param {IDBRequest} req
+ * @returns {Promise<any>}
+ */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create an adapter backed by IndexedDB.
+ */
+/** Returns an async StorageAdapter; options.dbName overrides the database name. */
+export function createIndexedDbAdapter(options = {}) {
+  const dbName = options.dbName || DEFAULT_DB_NAME;
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this environment'));
+      }
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(OBJECT_STORE);
+      };
+      dbPromise = promisify(req);
+    }
+    return dbPromise;
+  }
+
+  async function run(mode, fn) {
+    const db = await open();
+    const tx = db.transaction(OBJECT_STORE, mode);
+    const result = promisify(fn(tx.objectStore(OBJECT_STORE)));
+    // Resolve writes only once the transaction has committed.
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onabort = tx.onerror = () => reject(tx.error);
+    });
+    return result;
+  }
+
+  return {
+    name: 'IndexedDB',
+    async getItem(key) {
+      const value = await run('readonly', (s) => s.get(key));
+      return value == null ? null : value;
+    },
+    async setItem(key, value) {
+      await run('readwrite', (s) => s.put(String(value), key));
+    },
+    async removeItem(key) {
+      await run('readwrite', (s) => s.delete(key));
+    },
+  };
+}
@@ -0,0 +1,23 @@
+//
+// localStorage adapter: synchronous, limited to roughly 5 MB per origin.
+//
+
+/**
+ * PUBLIC INTERFACE
+ * Create an adapter backed by window.localStorage.
+ */
+/** Returns a StorageAdapter that reads and writes localStorage synchronously. */
+export function createLocalStorageAdapter() {
+  return {
+    name: 'localStorage',
+    getItem(key) {
+      return localStorage.getItem(key);
+    },
+    setItem(key, value) {
+      localStorage.setItem(key, value);
+    },
+    removeItem(key) {
+      localStorage.removeItem(key);
+    },
+  };
+}
@@ -0,0 +1,24 @@
+//
+// In-memory adapter: synchronous and non-persistent. Useful for tests and Node scripts.
+//
+
+/**
+ * PUBLIC INTERFACE
+ * Create an adapter that keeps values in a Map.
+ */
+/** Returns a StorageAdapter over a Map; options.initial seeds it with { key: value } pairs. */
+export function createMemoryAdapter(options = {}) {
+  const data = new Map(Object.entries(options.initial || {}));
+  return {
+    name: 'memory',
+    getItem(key) {
+      return data.has(key) ? data.get(key) : null;
+    },
+    setItem(key, value) {
+      data.set(key, String(value));
+    },
+    removeItem(key) {
+      data.delete(key);
+    },
+  };
+}
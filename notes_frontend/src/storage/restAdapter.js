@@ -0,0 +1,55 @@
+//
+// REST adapter: stores each key as a text resource under a base URL.
+//   GET    {baseUrl}/kv/{key}  -> 200 text body, or 404 when missing
+//   PUT    {baseUrl}/kv/{key}  <- text body
+//   DELETE {baseUrl}/kv/{key}
+// Writes are sent one at a time, in call order, so a slow request can't overwrite a newer one.
+//
+
+/**
+ * PUBLIC INTERFACE
+ * Create an adapter that talks to a REST key/value endpoint.
+ */
+/** Returns an async StorageAdapter; options.baseUrl is required, options.headers are sent with every request. */
+export function createRestAdapter(options = {}) {
+  const baseUrl = String(options.baseUrl || '').replace(/\/+$/, '');
+  if (!baseUrl) {
+    throw new Error('REST storage requires a baseUrl');
+  }
+  const headers = options.headers || {};
+  let queue = Promise.resolve();
+
+  const url = (key) => `${baseUrl}/kv/${encodeURIComponent(key)}`;
+
+  async function request(method, key, body) {
+    const res = await fetch(url(key), {
+      method,
+      headers: body == null ? headers : { 'Content-Type': 'text/plain', ...headers },
+      body,
+    });
+    if (method === 'GET' && res.status === 404) return null;
+    if (!res.ok) {
+      throw new Error(`${method} ${url(key)} failed with ${res.status}`);
+    }
+    return method === 'GET' ? res.text() : undefined;
+  }
+
+  function enqueue(method, key, body) {
+    const next = queue.then(() => request(method, key, body));
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    name: 'REST',
+    getItem(key) {
+      return enqueue('GET', key);
+    },
+    setItem(key, value) {
+      return enqueue('PUT', key, String(value));
+    },
+    removeItem(key) {
+      return enqueue('DELETE', key);
+    },
+  };
+}
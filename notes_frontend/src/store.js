@@ -1,38 +1,457 @@
 //
-// Notes data store: localStorage-backed persistence with CRUD, search, tags, and favorites.
+// Notes data store: CRUD, search, tags, notebooks and favorites over a pluggable storage adapter.
+// The whole store is cached in memory; reads are synchronous and every write is persisted
+// through the active adapter (localStorage by default, see ./storage/index.js).
 // Designed for a simple single-user frontend app.
 //
+// With initStore({ sync: true }) every change to a note is also recorded in an outbox persisted with
+// the store, for the sync engine (./sync.js) to push to a server; remote changes come back through
+// applyRemoteChanges().
+//
+// With enableEncryption() the serialized store is encrypted under a passphrase before it reaches the
+// adapter (see ./encryption.js); such a store can only be opened with initStore({ passphrase }).
+// Single notes can also be encrypted with their own password (encryptNote()); their content is then
+// kept as ciphertext everywhere, including the search index, which only sees their titles.
+//
+import { createEncryptedAdapter, createStorageAdapter } from './storage/index.js';
+import { decryptText, deriveKey, encryptText, isEncrypted, unlockKey } from './encryption.js';
+import { buildIndex, indexNote, searchIndex, unindexNote } from './search.js';
+import { normalizeTag, retag, tagMatches, tagPaths } from './tags.js';
+import { parseWikiLinks, renameWikiLinks, titleKey } from './wikiLinks.js';
+import { markTask, parseTasks, todayKey } from './tasks.js';
+import { applyTemplate } from './templates.js';
+import { base64ToBlob, blobToBase64, deleteAttachmentBlobs, getAttachmentBlob, listAttachmentBlobs, putAttachmentBlob } from './attachments.js';
+
 const STORAGE_KEY = 'notes_app_v1';
+const BACKUP_FORMAT = 'notes-backup';
+const CHANNEL_NAME = 'notes_app';
+
+/** Current shape of the persisted store; bump it and append to MIGRATIONS when the shape changes. */
+export const SCHEMA_VERSION = 10;
+
+/** Store-wide settings persisted with the notes. */
+const DEFAULT_SETTINGS = {
+  /** Days a note stays in the trash before it is purged automatically (0 disables auto-purge). */
+  trashRetentionDays: 30,
+  /** Keyboard shortcut overrides by command id ('' unbinds a default); see ui/keybindings.js. */
+  keybindings: {},
+  /** Minutes without user activity before an encrypted store locks itself (0 never locks). */
+  autoLockMinutes: 15,
+  /** Order of the note list: 'updated' | 'created' | 'title' | 'manual' (see NOTE_SORTS). */
+  noteSort: 'updated',
+  /** Note ids in their drag-and-drop order, for the 'manual' sort; notes missing from it come first, newest first. */
+  manualOrder: [],
+  /** Color theme: 'system' (follows prefers-color-scheme) | 'light' | 'dark'; see ui/theme.js. */
+  theme: 'system',
+  /** Accent color as '#rrggbb', or '' for the theme's own. */
+  accentColor: '',
+  /** Editor text size in pixels (12–24). */
+  editorFontSize: 15,
+  /** Editor typeface: 'sans' | 'serif' | 'mono'. */
+  editorFontFamily: 'sans',
+  /** Whether the first-run Welcome note has been created (see refresh() in ui/app.js). */
+  welcomeSeeded: false,
+};
 
 /**
- * Read and parse store from localStorage safely.
- * @returns {{notes: Array}} Store object.
+ * Blobs younger than this are never treated as orphans: a note may still be about to reference them
+ * (addAttachment() stores the blob first), possibly in another tab.
  */
-function readStore() {
+const ORPHAN_GRACE_MS = 60 * 1000;
+
+/** Sort orders for listNotes(), by settings.noteSort value. */
+export const NOTE_SORTS = ['updated', 'created', 'title', 'manual'];
+
+/**
+ * Revision retention policy. A snapshot of a note's previous state is taken at the start of
+ * each editing burst (after `burstIdleMs` without edits, or every `burstMaxMs` during long sessions),
+ * and before any edit that removes more than half of a note's content.
+ */
+const DEFAULT_REVISION_POLICY = {
+  burstIdleMs: 2 * 60 * 1000,
+  burstMaxMs: 15 * 60 * 1000,
+  maxPerNote: 50,
+  maxAgeDays: 30,
+  minKeep: 10,
+};
+
+/**
+ * Ordered schema migrations. Each entry upgrades a store from version `to - 1` to `to`.
+ * Stores written before versioning existed have no `version` field and count as version 0.
+ * @type {{to: number, up: (data: Object) => Object}[]}
+ */
+const MIGRATIONS = [
+  {
+    // v0 -> v1: stamp the version and run every note through normalizeNote.
+    to: 1,
+    up: (data) => ({ ...data, notes: data.notes.map((n) => normalizeNote(n)) }),
+  },
+  {
+    // v1 -> v2: per-note revision history.
+    to: 2,
+    up: (data) => ({ ...data, revisions: {} }),
+  },
+  {
+    // v2 -> v3: soft delete (`deletedAt` on notes) and store-wide settings.
+    to: 3,
+    up: (data) => ({ ...data, notes: data.notes.map((n) => normalizeNote(n)), settings: { ...DEFAULT_SETTINGS } }),
+  },
+  {
+    // v3 -> v4: nested notebooks (`notebookId` on notes).
+    to: 4,
+    up: (data) => ({ ...data, notes: data.notes.map((n) => normalizeNote(n)), notebooks: [] }),
+  },
+  {
+    // v4 -> v5: sync outbox and pull cursor.
+    to: 5,
+    up: (data) => ({ ...data, sync: emptySyncState() }),
+  },
+  {
+    // v5 -> v6: per-note encryption (`encrypted` on notes).
+    to: 6,
+    up: (data) => ({ ...data, notes: data.notes.map((n) => normalizeNote(n)) }),
+  },
+  {
+    // v6 -> v7: reminders (`remindAt` and `remindedAt` on notes).
+    to: 7,
+    up: (data) => ({ ...data, notes: data.notes.map((n) => normalizeNote(n)) }),
+  },
+  {
+    // v7 -> v8: pinned notes (`pinned` on notes).
+    to: 8,
+    up: (data) => ({ ...data, notes: data.notes.map((n) => normalizeNote(n)) }),
+  },
+  {
+    // v8 -> v9: note templates.
+    to: 9,
+    up: (data) => ({ ...data, templates: [] }),
+  },
+  {
+    // v9 -> v10: attachments (`attachments` on notes).
+    to: 10,
+    up: (data) => ({ ...data, notes: data.notes.map((n) => normalizeNote(n)) }),
+  },
+];
+
+/**
+ * Note fields exchanged with the sync server; `id` and `updatedAt` travel alongside.
+ * Attachments are not synced: their blobs stay on the device they were added on.
+ */
+const SYNC_FIELDS = ['title', 'content', 'tags', 'favorite', 'createdAt', 'deletedAt', 'notebookId', 'encrypted', 'remindAt', 'remindedAt', 'pinned'];
+
+/** @type {import('./storage/index.js').StorageAdapter|null} */
+let adapter = null;
+/** @type {{version: number, notes: Array, notebooks: Notebook[], templates: Template[], revisions: Object<string, Revision[]>, settings: Object, sync: SyncState}|null} */
+let cache = null;
+/** @type {Promise<void>} */
+let pendingWrite = Promise.resolve();
+/** @type {{reason: string, backupKey: string, dropped?: number}|null} dropped: notes left out of a store that otherwise loaded. */
+let recovery = null;
+let revisionPolicy = { ...DEFAULT_REVISION_POLICY };
+/** Full-text index over the cached notes; built on first search, then kept in sync by the mutators. */
+let index = null;
+/** @type {{store: Object, value: NoteCounts}|null} Sidebar counts for one cached store object; a write replaces the object. */
+let noteCounts = null;
+/** @type {WeakMap<Note, number>} Open tasks per note; notes are replaced on update, never changed in place. */
+const openTaskCounts = new WeakMap();
+/** @type {{store: Object, start: number, end: number, value: Object}|null} The last listNoteActivity() result. */
+let activityMemo = null;
+/** Identifies this tab in change broadcasts so it can ignore its own messages. */
+const TAB_ID = uid();
+/** @type {BroadcastChannel|null} Open while watchExternalChanges() is active. */
+let channel = null;
+/** Whether writes are recorded in the sync outbox (initStore option `sync`). */
+let syncEnabled = false;
+/** @type {Map<string, Note>|null} Notes as of the last load or write, to find what a write changed. */
+let lastNotes = null;
+/** Outbox change ids handed to the sync engine and not yet acknowledged; these are never coalesced into. */
+const inFlight = new Set();
+/** @type {Set<Function>} */
+const outboxListeners = new Set();
+/** @type {{base: import('./storage/index.js').StorageAdapter, keyInfo: Object}|null} Set while an encrypted store is unlocked. */
+let encryption = null;
+
+/**
+ * Return the active adapter, creating the default one on first use.
+ * @returns {import('./storage/index.js').StorageAdapter}
+ */
+function getAdapter() {
+  if (!adapter) {
+    adapter = createStorageAdapter();
+  }
+  return adapter;
+}
+
+/**
+ * Write one key through the adapter, tracking async writes for flushStore().
+ * @param {string} key
+ * @param {string} value
+ */
+function persistItem(key, value) {
+  const result = getAdapter().setItem(key, value);
+  if (result && typeof result.then === 'function') {
+    const settled = result.catch((err) => {
+      console.error(`Failed to save ${key} to ${adapter.name}:`, err);
+    });
+    pendingWrite = Promise.all([pendingWrite, settled]).then(() => {});
+  }
+}
+
+/**
+ * Create the error thrown while the store is encrypted and no key is unlocked.
+ * @returns {Error}
+ */
+function lockedError() {
+  return Object.assign(new Error('Notes are locked'), { code: 'locked' });
+}
+
+/**
+ * Read the serialized store, decrypting it with the unlocked key. Data encrypted under a key this tab
+ * does not hold counts as locked, and so does plain data while this tab holds a key: either way another
+ * tab changed the encryption and this one has to be unlocked again rather than write with a stale key.
+ * @returns {Promise<string|null>}
+ */
+async function readRawStore() {
+  const raw = await (encryption ? encryption.base : getAdapter()).getItem(STORAGE_KEY);
+  if (!isEncrypted(raw)) {
+    if (encryption && raw) throw lockedError();
+    return raw;
+  }
+  if (!encryption) {
+    throw lockedError();
+  }
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) {
-      return { notes: [] };
+    return await decryptText(raw, encryption.keyInfo);
+  } catch (err) {
+    throw err.code === 'wrong-passphrase' ? lockedError() : err;
+  }
+}
+
+/**
+ * Switch the adapter to a new key (or to plain text for null) and rewrite the store under it.
+ * Backups of older schema versions and quarantined data are carried over too, so that no copy
+ * stays readable under the old passphrase or unencrypted.
+ * @param {Object|null} keyInfo From deriveKey().
+ */
+async function rekeyStore(keyInfo) {
+  const store = readStore();
+  await pendingWrite;
+  const base = encryption ? encryption.base : getAdapter();
+  const previous = adapter;
+  const copies = [...Array.from({ length: SCHEMA_VERSION }, (_, v) => `${STORAGE_KEY}.backup.v${v}`), recovery?.backupKey];
+  const extras = [];
+  for (const key of copies.filter(Boolean)) {
+    try {
+      const value = await previous.getItem(key);
+      if (value != null) extras.push([key, value]);
+    } catch (err) {
+      console.error(`Could not re-encrypt ${key}; leaving it as it was.`, err);
     }
+  }
+  encryption = keyInfo ? { base, keyInfo } : null;
+  adapter = keyInfo ? createEncryptedAdapter(base, keyInfo) : base;
+  extras.forEach(([key, value]) => persistItem(key, value));
+  writeStore(store, { track: false });
+  await pendingWrite;
+}
+
+/**
+ * Return a new, empty store in the current schema.
+ * @returns {{version: number, notes: Array, notebooks: Array, revisions: Object, settings: Object, sync: SyncState}}
+ */
+function emptyStore() {
+  return {
+    version: SCHEMA_VERSION,
+    notes: [],
+    notebooks: [],
+    templates: [],
+    revisions: {},
+    settings: { ...DEFAULT_SETTINGS },
+    sync: emptySyncState(),
+  };
+}
+
+/**
+ * Return sync bookkeeping for a store that has never synced.
+ * @returns {SyncState}
+ */
+function emptySyncState() {
+  return { cursor: null, outbox: [] };
+}
+
+/**
+ * Upgrade a parsed store to SCHEMA_VERSION through MIGRATIONS. Entries of `notes` that are not objects
+ * cannot be notes; they are left out of the store and returned as `rejected` instead of failing the rest.
+ * Throws if the data is not a store or was written by a newer schema.
+ * @param {any} data
+ * @returns {{store: {version: number, notes: Array}, rejected: Array}}
+ */
+function migrateStore(data) {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.notes)) {
+    throw new Error('Stored data does not look like a notes store');
+  }
+  const from = Number.isInteger(data.version) ? data.version : 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Stored data uses schema v${from}, newer than this app (v${SCHEMA_VERSION})`);
+  }
+  const isObject = (n) => Boolean(n) && typeof n === 'object' && !Array.isArray(n);
+  const rejected = data.notes.filter((n) => !isObject(n));
+  let out = rejected.length ? { ...data, notes: data.notes.filter(isObject) } : data;
+  for (const m of MIGRATIONS) {
+    if (m.to <= from) continue;
+    out = { ...m.up(out), version: m.to };
+  }
+  return { store: out, rejected };
+}
+
+/**
+ * Turn a serialized store into the current schema.
+ * Older versions are migrated (keeping a backup of the original); unreadable data is
+ * copied to a quarantine key instead of being discarded, and recorded in `recovery`.
+ * @param {string|null} raw
+ * @returns {{version: number, notes: Array}} Store object.
+ */
+function loadStore(raw) {
+  if (!raw) {
+    return emptyStore();
+  }
+  if (isEncrypted(raw)) {
+    throw lockedError();
+  }
+  let from = 0;
+  let store;
+  let rejected;
+  try {
     const parsed = JSON.parse(raw);
-    if (!parsed || !Array.isArray(parsed.notes)) {
-      return { notes: [] };
+    from = Number.isInteger(parsed?.version) ? parsed.version : 0;
+    ({ store, rejected } = migrateStore(parsed));
+  } catch (err) {
+    const backupKey = `${STORAGE_KEY}.quarantine.${Date.now()}`;
+    persistItem(backupKey, raw);
+    recovery = { reason: err instanceof SyntaxError ? 'Stored notes are not valid JSON' : err.message, backupKey };
+    console.error(`Notes store could not be read; original data saved under "${backupKey}".`, err);
+    return emptyStore();
+  }
+  if (rejected.length) {
+    // The readable notes load; the original is kept whole so the others can be recovered by hand.
+    const backupKey = `${STORAGE_KEY}.quarantine.${Date.now()}`;
+    persistItem(backupKey, raw);
+    recovery = { reason: `${rejected.length} stored note(s) are not readable`, backupKey, dropped: rejected.length };
+    console.error(`${rejected.length} stored note(s) could not be read; original data saved under "${backupKey}".`, rejected);
+  }
+  if (from < SCHEMA_VERSION || rejected.length) {
+    if (from < SCHEMA_VERSION) persistItem(`${STORAGE_KEY}.backup.v${from}`, raw);
+    writeStore(store, { track: false });
+  }
+  return store;
+}
+
+/**
+ * Return the cached store, loading it from a synchronous adapter on first use.
+ * Asynchronous adapters must be loaded up front with initStore().
+ * @returns {{version: number, notes: Array}} Store object.
+ */
+function readStore() {
+  if (!cache) {
+    const raw = getAdapter().getItem(STORAGE_KEY);
+    if (raw && typeof raw.then === 'function') {
+      throw new Error(`Storage adapter "${adapter.name}" is asynchronous; await initStore() before using the store`);
     }
-    return parsed;
-  } catch {
-    return { notes: [] };
+    cache = loadStore(raw);
+    index = null;
+    lastNotes = snapshotNotes(cache.notes);
   }
+  return cache;
 }
 
 /**
- * Save store object to localStorage.
+ * Update the cache and persist the store through the adapter.
+ * Unless options.track is false, note changes since the last write are queued in the sync outbox.
  * @param {{notes: Array}} store
+ * @param {{track?: boolean}} [options]
  */
-function writeStore(store) {
+function writeStore(store, { track = true } = {}) {
   const safe = {
+    version: SCHEMA_VERSION,
     notes: Array.isArray(store.notes) ? store.notes : [],
+    notebooks: Array.isArray(store.notebooks) ? store.notebooks : [],
+    templates: Array.isArray(store.templates) ? store.templates : [],
+    revisions: store.revisions && typeof store.revisions === 'object' ? store.revisions : {},
+    settings: { ...DEFAULT_SETTINGS, ...(store.settings || {}) },
+    sync: store.sync && Array.isArray(store.sync.outbox) ? store.sync : cache?.sync || emptySyncState(),
+  };
+  if (track && syncEnabled && lastNotes) {
+    queueChanges(safe, lastNotes);
+  }
+  lastNotes = snapshotNotes(safe.notes);
+  cache = safe;
+  persistItem(STORAGE_KEY, JSON.stringify(safe));
+  notifyOtherTabs();
+}
+
+/**
+ * Tell other tabs the store changed, once the write has reached the backend.
+ */
+function notifyOtherTabs() {
+  if (!channel) return;
+  const message = { type: 'store-changed', from: TAB_ID };
+  pendingWrite.then(() => channel?.postMessage(message));
+}
+
+/**
+ * Index notes by id.
+ * @param {Note[]} notes
+ * @returns {Map<string, Note>}
+ */
+function snapshotNotes(notes) {
+  return new Map(notes.map((n) => [n.id, n]));
+}
+
+/**
+ * Record what changed between `before` and store.notes in the outbox. Mutators always replace note
+ * objects, so unchanged notes are skipped by identity. Changes to a note are merged into its latest
+ * outbox entry unless that entry is already being pushed.
+ * @param {{notes: Note[], sync: SyncState}} store
+ * @param {Map<string, Note>} before
+ */
+function queueChanges(store, before) {
+  const { outbox } = store.sync;
+  let changed = false;
+  const pendingFor = (noteId) => {
+    for (let i = outbox.length - 1; i >= 0; i--) {
+      if (outbox[i].noteId === noteId) return inFlight.has(outbox[i].changeId) ? null : outbox[i];
+    }
+    return null;
   };
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(safe));
+  const seen = new Set();
+  for (const note of store.notes) {
+    seen.add(note.id);
+    const prev = before.get(note.id);
+    if (prev === note) continue;
+    const fields = SYNC_FIELDS.filter((f) => !prev || JSON.stringify(prev[f]) !== JSON.stringify(note[f]));
+    if (fields.length === 0) continue;
+    let entry = pendingFor(note.id);
+    if (!entry || entry.op !== 'upsert') {
+      entry = { changeId: uid(), noteId: note.id, op: 'upsert', fields: {}, fieldTimes: {} };
+      outbox.push(entry);
+    }
+    changed = true;
+    for (const f of fields) {
+      entry.fields[f] = note[f];
+      // remindedAt is set without touching updatedAt (see takeDueReminders()); its value is its own time.
+      entry.fieldTimes[f] = f === 'remindedAt' && note.remindedAt > note.updatedAt ? note.remindedAt : note.updatedAt;
+    }
+  }
+  for (const id of before.keys()) {
+    if (seen.has(id)) continue;
+    const entry = pendingFor(id);
+    if (entry) outbox.splice(outbox.indexOf(entry), 1);
+    outbox.push({ changeId: uid(), noteId: id, op: 'purge', fields: {}, fieldTimes: {} });
+    changed = true;
+  }
+  if (changed) {
+    outboxListeners.forEach((fn) => fn(outbox.length));
+  }
 }
 
 /**
@@ -46,6 +465,17 @@ function uid() {
   return 'id-' + Math.random().toString(36).slice(2) + Date.now().toString(36);
 }
 
+/**
+ * Return a timestamp as an ISO string, or null if it is missing or not a valid date.
+ * @param {string|number|Date|null|undefined} value
+ * @returns {string|null}
+ */
+function isoOrNull(value) {
+  if (value == null || value === '') return null;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
 /**
  * Normalize a note object.
  * @param {Partial<Note>} n
@@ -58,157 +488,1812 @@ function normalizeNote(n = {}) {
     title: (n.title || '').trim(),
     content: n.content || '',
     tags: Array.isArray(n.tags)
-      ? [...new Set(n.tags.map((t) => String(t).trim()).filter(Boolean))]
+      ? [...new Set(n.tags.map((t) => normalizeTag(t)).filter(Boolean))]
       : [],
     favorite: Boolean(n.favorite),
+    pinned: Boolean(n.pinned),
     createdAt: n.createdAt || now,
     updatedAt: n.updatedAt || now,
+    deletedAt: n.deletedAt || null,
+    notebookId: n.notebookId || null,
+    encrypted: Boolean(n.encrypted),
+    remindAt: isoOrNull(n.remindAt),
+    remindedAt: n.remindAt ? isoOrNull(n.remindedAt) : null,
+    attachments: Array.isArray(n.attachments) ? n.attachments.filter((a) => a && typeof a.id === 'string' && a.id).map((a) => normalizeAttachment(a)) : [],
+  };
+}
+
+/**
+ * Normalize attachment metadata.
+ * @param {Partial<Attachment>} a
+ * @returns {Attachment}
+ */
+function normalizeAttachment(a) {
+  return {
+    id: a.id,
+    name: String(a.name || '').trim() || 'attachment',
+    type: String(a.type || '') || 'application/octet-stream',
+    size: Number(a.size) > 0 ? Number(a.size) : 0,
+    addedAt: isoOrNull(a.addedAt) || new Date().toISOString(),
+  };
+}
+
+/**
+ * Normalize a template object.
+ * @param {Partial<Template>} t
+ * @returns {Template}
+ */
+function normalizeTemplate(t = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: t.id || uid(),
+    name: String(t.name || '').trim() || 'Untitled template',
+    title: String(t.title || ''),
+    content: String(t.content || ''),
+    tags: Array.isArray(t.tags) ? [...new Set(t.tags.map((x) => normalizeTag(x)).filter(Boolean))] : [],
+    favorite: Boolean(t.favorite),
+    createdAt: t.createdAt || now,
+    updatedAt: t.updatedAt || now,
+  };
+}
+
+/**
+ * Normalize a notebook object.
+ * @param {Partial<Notebook>} nb
+ * @returns {Notebook}
+ */
+function normalizeNotebook(nb = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: nb.id || uid(),
+    name: String(nb.name || '').trim() || 'Untitled notebook',
+    parentId: nb.parentId || null,
+    collapsed: Boolean(nb.collapsed),
+    createdAt: nb.createdAt || now,
+    updatedAt: nb.updatedAt || now,
   };
 }
 
 /**
- * Sort notes by updatedAt desc then title asc.
+ * Collect a notebook id and the ids of all notebooks nested below it.
+ * @param {Notebook[]} notebooks
+ * @param {string} id
+ * @returns {Set<string>}
+ */
+function notebookSubtree(notebooks, id) {
+  const ids = new Set([id]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const nb of notebooks) {
+      if (nb.parentId && ids.has(nb.parentId) && !ids.has(nb.id)) {
+        ids.add(nb.id);
+        grew = true;
+      }
+    }
+  }
+  return ids;
+}
+
+/**
+ * Return the search index, building it from the cached notes if needed.
+ * @returns {ReturnType<typeof buildIndex>}
+ */
+function getIndex() {
+  const store = readStore();
+  if (!index) {
+    index = buildIndex(store.notes);
+  }
+  return index;
+}
+
+/**
+ * Sort notes by one of NOTE_SORTS: 'updated' (updatedAt desc), 'created' (createdAt desc), 'title' (A–Z) or
+ * 'manual' (the order of `manualOrder`, notes missing from it first, newest first). Ties go by title, then updatedAt.
+ * With `pinnedFirst`, pinned notes come before the others, each group in that order.
  * @param {Note[]} notes
+ * @param {{sort?: string, manualOrder?: string[], pinnedFirst?: boolean}} [options]
  * @returns {Note[]}
  */
-function sortNotes(notes) {
-  return [...notes].sort((a, b) => {
-    const t = (d) => new Date(d).getTime();
-    const diff = t(b.updatedAt) - t(a.updatedAt);
-    if (diff !== 0) return diff;
-    return (a.title || '').localeCompare(b.title || '');
-  });
+function sortNotes(notes, { sort = 'updated', manualOrder = [], pinnedFirst = false } = {}) {
+  const t = (d) => new Date(d).getTime();
+  const byTitle = (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base', numeric: true });
+  const position = new Map(manualOrder.map((id, i) => [id, i]));
+  const compare = {
+    updated: (a, b) => t(b.updatedAt) - t(a.updatedAt) || byTitle(a, b),
+    created: (a, b) => t(b.createdAt) - t(a.createdAt) || byTitle(a, b),
+    title: (a, b) => byTitle(a, b) || t(b.updatedAt) - t(a.updatedAt),
+    manual: (a, b) => {
+      const pa = position.get(a.id) ?? -1;
+      const pb = position.get(b.id) ?? -1;
+      return pa - pb || t(b.createdAt) - t(a.createdAt) || byTitle(a, b);
+    },
+  }[sort] || ((a, b) => t(b.updatedAt) - t(a.updatedAt) || byTitle(a, b));
+  return [...notes].sort((a, b) => (pinnedFirst ? Number(b.pinned) - Number(a.pinned) : 0) || compare(a, b));
+}
+
+/**
+ * Drop revisions beyond the retention policy. Revisions are stored oldest first.
+ * @param {Revision[]} list
+ * @param {number} now
+ * @returns {Revision[]}
+ */
+function pruneRevisions(list, now) {
+  const { maxPerNote, maxAgeDays, minKeep } = revisionPolicy;
+  const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+  const keepFrom = Math.max(0, list.length - minKeep);
+  const fresh = list.filter((r, i) => i >= keepFrom || Date.parse(r.capturedAt) >= cutoff);
+  return fresh.slice(-maxPerNote);
 }
 
+/**
+ * Snapshot a note's current state before it is overwritten, coalescing edits into bursts.
+ * @param {{revisions: Object<string, Revision[]>}} store
+ * @param {Note} prev Stored note before the update.
+ * @param {Note} next Note after the update.
+ * @param {boolean} [force] Snapshot regardless of burst timing.
+ */
+function recordRevision(store, prev, next, force = false) {
+  // Encrypted notes keep no history: old plain text must not outlive encryption, and ciphertext snapshots
+  // could not be compared or shown.
+  if (prev.encrypted || next.encrypted) return;
+  const changed =
+    prev.title !== next.title || prev.content !== next.content || prev.tags.join('\n') !== next.tags.join('\n');
+  if (!changed) return;
+
+  const now = Date.now();
+  const list = store.revisions[prev.id] || [];
+  const last = list[list.length - 1];
+  const idle = now - Date.parse(prev.updatedAt) > revisionPolicy.burstIdleMs;
+  const longBurst = !last || now - Date.parse(last.capturedAt) > revisionPolicy.burstMaxMs;
+  const destructive = prev.content.length > 40 && next.content.length < prev.content.length / 2;
+  if (!force && !idle && !longBurst && !destructive) return;
+  if (last && last.title === prev.title && last.content === prev.content && last.tags.join('\n') === prev.tags.join('\n')) {
+    return;
+  }
 
+  list.push({
+    id: uid(),
+    title: prev.title,
+    content: prev.content,
+    tags: [...prev.tags],
+    savedAt: prev.updatedAt,
+    capturedAt: new Date(now).toISOString(),
+  });
+  store.revisions[prev.id] = pruneRevisions(list, now);
+}
 
 /**
  * PUBLIC INTERFACE
- * Create a new note with optional initial fields and persist it.
- * Returns the created note.
+ * Select the storage backend and load the store from it.
  */
-/** This function creates a new note and persists it to localStorage. */
-export function createNote(initial = {}) {
-  const note = normalizeNote(initial);
-  const store = readStore();
-  store.notes.push(note);
-  writeStore(store);
-  return note;
+/**
+ * Loads the store through the given adapter (default: localStorage, or memory outside the browser).
+ * Must be awaited for async adapters. options.revisionPolicy overrides DEFAULT_REVISION_POLICY fields;
+ * options.sync records note changes in the sync outbox. An encrypted store needs options.passphrase:
+ * without one this rejects with code 'locked', with a wrong one with code 'wrong-passphrase'.
+ */
+export async function initStore(options = {}) {
+  revisionPolicy = { ...DEFAULT_REVISION_POLICY, ...(options.revisionPolicy || {}) };
+  syncEnabled = Boolean(options.sync);
+  inFlight.clear();
+  const base = options.adapter || createStorageAdapter(options.storage, options);
+  adapter = base;
+  encryption = null;
+  cache = null;
+  recovery = null;
+  pendingWrite = Promise.resolve();
+  index = null;
+  if (options.passphrase) {
+    const raw = await base.getItem(STORAGE_KEY);
+    if (isEncrypted(raw)) {
+      const keyInfo = await unlockKey(options.passphrase, raw);
+      encryption = { base, keyInfo };
+      adapter = createEncryptedAdapter(base, keyInfo);
+    }
+  }
+  cache = loadStore(await readRawStore());
+  lastNotes = snapshotNotes(cache.notes);
+  purgeExpiredTrash();
+  await pendingWrite;
+  return adapter;
 }
 
 /**
  * PUBLIC INTERFACE
- * Get a note by id.
+ * Wait for pending writes to reach the storage backend.
  */
-/** Returns the note with the given id, or undefined if not found. */
-export function getNote(id) {
-  const store = readStore();
-  return store.notes.find((n) => n.id === id);
+/** Resolves once every write issued so far has been persisted (immediately for sync adapters). */
+export function flushStore() {
+  return pendingWrite;
 }
 
 /**
  * PUBLIC INTERFACE
- * Update a note fields and persist.
+ * Reload the cache from the storage backend.
  */
-/** Updates a note by id with provided fields; returns the updated note or undefined if not found. */
-export function updateNote(id, fields = {}) {
-  const store = readStore();
-  const idx = store.notes.findIndex((n) => n.id === id);
-  if (idx === -1) return undefined;
-  const merged = normalizeNote({
-    ...store.notes[idx],
-    ...fields,
-    id,
-    updatedAt: new Date().toISOString(),
-  });
-  store.notes[idx] = merged;
-  writeStore(store);
-  return merged;
+/** Re-reads the persisted store (e.g. after another tab wrote it). Resolves to the ids of notes that were added, changed or removed. */
+export async function reloadStore() {
+  await pendingWrite;
+  const before = new Map((cache?.notes || []).map((n) => [n.id, n.updatedAt]));
+  const next = loadStore(await readRawStore());
+  cache = next;
+  index = null;
+  lastNotes = snapshotNotes(next.notes);
+  const changedIds = [];
+  for (const n of next.notes) {
+    if (before.get(n.id) !== n.updatedAt) changedIds.push(n.id);
+    before.delete(n.id);
+  }
+  changedIds.push(...before.keys());
+  return changedIds;
 }
 
 /**
  * PUBLIC INTERFACE
- * Delete a note by id and persist.
+ * Follow changes made by other tabs or windows.
  */
-/** Deletes a note by id. Returns true if deleted, false if not found. */
-export function deleteNote(id) {
-  const store = readStore();
-  const before = store.notes.length;
-  store.notes = store.notes.filter((n) => n.id !== id);
-  writeStore(store);
-  return store.notes.length < before;
+/**
+ * Listens on a BroadcastChannel (falling back to `storage` events) and reloads the store whenever
+ * another tab writes it, then calls onChange({ changedIds }). If the other tab encrypted the store, changed
+ * its passphrase or turned encryption off, calls onChange({ changedIds: [], locked: true }) instead.
+ * Returns a function that stops watching.
+ */
+export function watchExternalChanges(onChange) {
+  let queue = Promise.resolve();
+  const handle = () => {
+    queue = queue
+      .then(async () => {
+        const changedIds = await reloadStore();
+        if (changedIds.length) onChange({ changedIds });
+      })
+      .catch((err) => {
+        if (err.code === 'locked') onChange({ changedIds: [], locked: true });
+        else console.error('Failed to reload notes changed in another tab:', err);
+      });
+  };
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    const own = new BroadcastChannel(CHANNEL_NAME);
+    own.addEventListener('message', (e) => {
+      if (e.data?.type === 'store-changed' && e.data.from !== TAB_ID) handle();
+    });
+    channel = own;
+    return () => {
+      own.close();
+      if (channel === own) channel = null;
+    };
+  }
+  if (typeof window !== 'undefined') {
+    const onStorage = (e) => {
+      if (e.key === STORAGE_KEY) handle();
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }
+  return () => {};
 }
 
 /**
  * PUBLIC INTERFACE
- * Toggle favorite property on a note.
+ * Tell whether the store is encrypted.
  */
-/** Toggles favorite on a note and returns updated note or undefined. */
-export function toggleFavorite(id) {
-  const note = getNote(id);
-  if (!note) return undefined;
-  return updateNote(id, { favorite: !note.favorite });
+/** Returns true while the store is encrypted under a passphrase (and unlocked, since it is loaded). */
+export function isStoreEncrypted() {
+  return encryption !== null;
 }
 
 /**
  * PUBLIC INTERFACE
- * List notes, optionally filtered by tag/favorites and search query.
+ * Encrypt the store under a passphrase.
  */
-/** Returns notes filtered and sorted. Options: { tag?: string, favorites?: boolean, query?: string } */
-export function listNotes(options = {}) {
-  const { tag, favorites, query } = options;
-  const store = readStore();
-  let out = [...store.notes];
-
-  if (favorites) {
-    out = out.filter((n) => n.favorite);
+/** Derives a key from the passphrase and rewrites the store encrypted. Resolves once the encrypted data is saved. */
+export async function enableEncryption(passphrase) {
+  if (encryption) {
+    throw new Error('Notes are already encrypted; change the passphrase instead');
   }
+  await rekeyStore(await deriveKey(passphrase));
+}
 
-  if (tag) {
-    const t = String(tag).trim().toLowerCase();
-    out = out.filter((n) => n.tags.some((x) => x.toLowerCase() === t));
+/**
+ * PUBLIC INTERFACE
+ * Change the passphrase of an encrypted store.
+ */
+/** Checks the current passphrase (rejecting with code 'wrong-passphrase'), then re-encrypts everything under the new one. */
+export async function changePassphrase(current, next) {
+  if (!encryption) {
+    throw new Error('Notes are not encrypted');
   }
+  await pendingWrite;
+  await unlockKey(current, await encryption.base.getItem(STORAGE_KEY));
+  await rekeyStore(await deriveKey(next));
+}
 
-  if (query && query.trim()) {
-    const q = query.trim().toLowerCase();
-    out = out.filter((n) => {
-      const title = (n.title || '').toLowerCase();
-      const content = (n.content || '').toLowerCase();
-      return title.includes(q) || content.includes(q);
-    });
-  }
+/**
+ * PUBLIC INTERFACE
+ * Turn encryption off.
+ */
+/** Checks the passphrase (rejecting with code 'wrong-passphrase'), then rewrites the store in plain text. */
+export async function disableEncryption(passphrase) {
+  if (!encryption) return;
+  await pendingWrite;
+  await unlockKey(passphrase, await encryption.base.getItem(STORAGE_KEY));
+  await rekeyStore(null);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Lock an encrypted store.
+ */
+/**
+ * Waits for pending writes, then forgets the key and every decrypted note. The store cannot be used
+ * again until initStore() is called with the passphrase.
+ */
+export async function lockStore() {
+  if (!encryption) return;
+  await pendingWrite;
+  adapter = encryption.base;
+  encryption = null;
+  cache = null;
+  index = null;
+  lastNotes = null;
+  inFlight.clear();
+}
 
-  return sortNotes(out);
+/**
+ * PUBLIC INTERFACE
+ * Read the sync bookkeeping.
+ */
+/** Returns { cursor, pending } where pending is the number of outbox entries not yet acknowledged by the server. */
+export function getSyncState() {
+  const { sync } = readStore();
+  return { cursor: sync.cursor, pending: sync.outbox.length };
 }
 
 /**
  * PUBLIC INTERFACE
- * Return unique tags with counts for all notes.
+ * Follow the size of the sync outbox.
  */
-/** Returns an array of { tag: string, count: number } for all tags. */
-export function listTags() {
+/** Calls listener(pending) whenever local changes are added to the outbox. Returns a function that stops listening. */
+export function watchOutbox(listener) {
+  outboxListeners.add(listener);
+  return () => outboxListeners.delete(listener);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Hand the outbox to the sync engine.
+ */
+/**
+ * Returns a copy of the pending changes, oldest first: { changeId, noteId, op: 'upsert'|'purge', fields, fieldTimes }.
+ * They are marked in flight (later edits start new entries) until ackOutbox() or releaseOutbox().
+ */
+export function takeOutbox() {
+  const { outbox } = readStore().sync;
+  outbox.forEach((c) => inFlight.add(c.changeId));
+  return JSON.parse(JSON.stringify(outbox));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Drop changes the server has accepted.
+ */
+/** Removes the given change ids from the outbox and persists it. */
+export function ackOutbox(changeIds) {
   const store = readStore();
-  const map = new Map();
-  for (const n of store.notes) {
-    for (const t of n.tags || []) {
-      const key = t.trim();
-      if (!key) continue;
-      map.set(key, (map.get(key) || 0) + 1);
+  const done = new Set(changeIds);
+  store.sync = { ...store.sync, outbox: store.sync.outbox.filter((c) => !done.has(c.changeId)) };
+  changeIds.forEach((id) => inFlight.delete(id));
+  writeStore(store, { track: false });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Return unacknowledged changes to the outbox after a failed push.
+ */
+/** Clears the in-flight marks so later edits coalesce into the pending entries again. */
+export function releaseOutbox() {
+  inFlight.clear();
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Merge notes pulled from the sync server.
+ */
+/**
+ * remoteNotes: [{ id, ...fields, updatedAt, fieldUpdatedAt: { [field]: iso }, purged? }] as returned by the server.
+ * Each field takes the remote value unless a pending local change to that field is newer (per-field last writer
+ * wins on updatedAt). Saves `cursor` for the next pull and resolves nothing into the outbox.
+ * Returns the ids of notes that were added, changed or removed.
+ */
+export function applyRemoteChanges(remoteNotes, cursor) {
+  const store = readStore();
+  const pending = new Map();
+  for (const c of store.sync.outbox) {
+    if (c.op === 'upsert') pending.set(c.noteId, { ...pending.get(c.noteId), ...c.fieldTimes });
+  }
+  const changedIds = [];
+  for (const remote of remoteNotes || []) {
+    if (!remote || !remote.id) continue;
+    const idx = store.notes.findIndex((n) => n.id === remote.id);
+    if (remote.purged) {
+      // Deleted for good elsewhere: local edits to it have nothing left to apply to.
+      store.sync.outbox = store.sync.outbox.filter((c) => c.noteId !== remote.id || inFlight.has(c.changeId));
+      if (idx !== -1) {
+        store.notes.splice(idx, 1);
+        delete store.revisions[remote.id];
+        changedIds.push(remote.id);
+      }
+      continue;
+    }
+    const local = idx === -1 ? null : store.notes[idx];
+    const mine = pending.get(remote.id) || {};
+    const theirs = remote.fieldUpdatedAt || {};
+    const next = { ...(local || {}), id: remote.id };
+    for (const f of SYNC_FIELDS) {
+      if (!(f in remote)) continue;
+      const localWins = local && mine[f] && !(Date.parse(theirs[f] || remote.updatedAt) > Date.parse(mine[f]));
+      if (!localWins) next[f] = remote[f];
     }
+    const times = [local?.updatedAt, remote.updatedAt].filter(Boolean).map((t) => Date.parse(t));
+    next.updatedAt = new Date(Math.max(...times)).toISOString();
+    const merged = normalizeNote(next);
+    if (local && SYNC_FIELDS.every((f) => JSON.stringify(local[f]) === JSON.stringify(merged[f]))) continue;
+    if (local) {
+      recordRevision(store, local, merged);
+      store.notes[idx] = merged;
+    } else {
+      store.notes.push(merged);
+    }
+    changedIds.push(merged.id);
   }
-  return Array.from(map.entries())
-    .map(([tag, count]) => ({ tag, count }))
-    .sort((a, b) => a.tag.localeCompare(b.tag));
+  store.sync = { ...store.sync, cursor: cursor ?? store.sync.cursor };
+  writeStore(store, { track: false });
+  if (changedIds.length) index = null;
+  if (remoteNotes?.some((r) => r?.purged)) scheduleAttachmentCleanup();
+  return changedIds;
 }
 
 /**
- Note type doc for editor intellisense
- @typedef {Object} Note
+ * PUBLIC INTERFACE
+ * Report data that could not be loaded.
+ */
+/**
+ * Returns { reason, backupKey } if the persisted store was unreadable and quarantined on load, or
+ * { reason, backupKey, dropped } if it loaded without `dropped` unreadable notes; otherwise null.
+ */
+export function getStoreRecovery() {
+  return recovery;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Snapshot the whole store for a JSON backup.
+ */
+/**
+ * Returns { format: 'notes-backup', exportedAt, version, notes, notebooks, templates, revisions, settings } (a deep copy).
+ * Attachment blobs are not part of it; add them with exportAttachments().
+ */
+export function exportBackup() {
+  const store = readStore();
+  return JSON.parse(
+    JSON.stringify({
+      format: BACKUP_FORMAT,
+      exportedAt: new Date().toISOString(),
+      version: SCHEMA_VERSION,
+      notes: store.notes,
+      notebooks: store.notebooks,
+      templates: store.templates,
+      revisions: store.revisions,
+      settings: store.settings,
+    }),
+  );
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Restore a JSON backup, merging with or replacing the current notes.
+ */
+/**
+ * Older backups are migrated first. mode 'replace' swaps in the backup wholesale; mode 'merge' (default)
+ * matches notes and notebooks by id and keeps whichever copy has the later updatedAt, adding those that only exist in the backup.
+ * Returns { added, updated, unchanged }. Throws if the data is not a readable backup. Attachment blobs saved with the backup
+ * are restored separately, with importAttachments().
+ */
+export function importBackup(data, { mode = 'merge' } = {}) {
+  const { store: incoming } = migrateStore(data);
+  const store = readStore();
+
+  if (mode === 'replace') {
+    writeStore({
+      ...incoming,
+      sync: store.sync,
+      notes: incoming.notes.map((n) => normalizeNote(n)),
+      notebooks: (incoming.notebooks || []).map((nb) => normalizeNotebook(nb)),
+      templates: (incoming.templates || []).map((t) => normalizeTemplate(t)),
+      settings: { ...store.settings, ...(incoming.settings || {}) },
+    });
+    index = null;
+    scheduleAttachmentCleanup();
+    return { added: incoming.notes.length, updated: 0, unchanged: 0 };
+  }
+
+  const result = { added: 0, updated: 0, unchanged: 0 };
+  const notebooksById = new Map(store.notebooks.map((nb, i) => [nb.id, i]));
+  for (const raw of incoming.notebooks || []) {
+    const nb = normalizeNotebook(raw);
+    const idx = notebooksById.get(nb.id);
+    if (idx === undefined) {
+      store.notebooks.push(nb);
+    } else if (Date.parse(nb.updatedAt) > Date.parse(store.notebooks[idx].updatedAt)) {
+      store.notebooks[idx] = nb;
+    }
+  }
+  const templatesById = new Map(store.templates.map((t, i) => [t.id, i]));
+  for (const raw of incoming.templates || []) {
+    const template = normalizeTemplate(raw);
+    const idx = templatesById.get(template.id);
+    if (idx === undefined) {
+      store.templates.push(template);
+    } else if (Date.parse(template.updatedAt) > Date.parse(store.templates[idx].updatedAt)) {
+      store.templates[idx] = template;
+    }
+  }
+  const byId = new Map(store.notes.map((n, i) => [n.id, i]));
+  for (const raw of incoming.notes) {
+    const note = normalizeNote(raw);
+    const revisions = incoming.revisions?.[note.id] || [];
+    const idx = byId.get(note.id);
+    if (idx === undefined) {
+      store.notes.push(note);
+      byId.set(note.id, store.notes.length - 1);
+      result.added++;
+    } else if (Date.parse(note.updatedAt) > Date.parse(store.notes[idx].updatedAt)) {
+      store.notes[idx] = note;
+      result.updated++;
+    } else {
+      result.unchanged++;
+    }
+    if (revisions.length) {
+      const known = new Set((store.revisions[note.id] || []).map((r) => r.id));
+      store.revisions[note.id] = [...(store.revisions[note.id] || []), ...revisions.filter((r) => !known.has(r.id))].sort(
+        (a, b) => Date.parse(a.capturedAt) - Date.parse(b.capturedAt),
+      );
+    }
+  }
+  writeStore(store);
+  index = null;
+  return result;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create a new note with optional initial fields and persist it.
+ * Returns the created note.
+ */
+/** This function creates a new note and persists it to storage. */
+export function createNote(initial = {}) {
+  const note = normalizeNote(initial);
+  const store = readStore();
+  store.notes.push(note);
+  writeStore(store);
+  if (index) indexNote(index, note);
+  return note;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Get a note by id.
+ */
+/** Returns the note with the given id, or undefined if not found. */
+export function getNote(id) {
+  const store = readStore();
+  return store.notes.find((n) => n.id === id);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Update a note fields and persist.
+ */
+/**
+ * Updates a note by id with provided fields; returns the updated note or undefined if not found.
+ * When the title changes, [[wiki links]] to the old title in other notes are rewritten in the same write.
+ */
+export function updateNote(id, fields = {}) {
+  const store = readStore();
+  const idx = store.notes.findIndex((n) => n.id === id);
+  if (idx === -1) return undefined;
+  const prev = store.notes[idx];
+  const merged = normalizeNote({
+    ...prev,
+    ...fields,
+    id,
+    updatedAt: new Date().toISOString(),
+  });
+  if (merged.encrypted && merged.content && !isEncrypted(merged.content)) {
+    throw new Error('This note is encrypted; save its content with updateEncryptedNote()');
+  }
+  recordRevision(store, prev, merged);
+  store.notes[idx] = merged;
+  if (titleKey(prev.title) !== titleKey(merged.title)) {
+    relinkTitle(store, prev, merged);
+  }
+  writeStore(store);
+  if (index) indexNote(index, store.notes[idx]);
+  return store.notes[idx];
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Encrypt a note with its own password.
+ */
+/**
+ * Encrypts the note's content with AES-GCM under a key derived from `password` and marks it encrypted; title,
+ * tags and the other fields stay readable. The note's revision history is deleted, since it holds the plain text.
+ * Resolves to the updated note, or undefined if it does not exist.
+ */
+export async function encryptNote(id, password) {
+  const note = getNote(id);
+  if (!note) return undefined;
+  if (note.encrypted) {
+    throw new Error('This note is already encrypted');
+  }
+  if (note.attachments.length) {
+    throw new Error('Attachments cannot be encrypted; remove them from the note first');
+  }
+  const content = await encryptText(note.content, await deriveKey(password));
+  if (getNote(id)?.content !== note.content) {
+    throw new Error('The note changed while it was being encrypted; try again');
+  }
+  delete readStore().revisions[id];
+  return updateNote(id, { content, encrypted: true });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Decrypt an encrypted note for reading or editing.
+ */
+/**
+ * Resolves to { content, key }: the plain content, and the key to pass to updateEncryptedNote() when saving
+ * changes. Nothing is stored. Rejects with code 'wrong-passphrase' if the password is wrong.
+ */
+export async function unlockNote(id, password) {
+  const note = getNote(id);
+  if (!note?.encrypted) {
+    throw new Error('This note is not encrypted');
+  }
+  const key = await unlockKey(password, note.content);
+  return { content: await decryptText(note.content, key), key };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Update an encrypted note.
+ */
+/** Like updateNote(), but fields.content is plain text, encrypted with `key` from unlockNote() before it is saved. */
+export async function updateEncryptedNote(id, fields, key) {
+  const update = { ...fields };
+  if (typeof fields.content === 'string') {
+    update.content = await encryptText(fields.content, key);
+  }
+  if (!getNote(id)?.encrypted) {
+    throw new Error('This note is not encrypted');
+  }
+  return updateNote(id, update);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Remove a note's encryption.
+ */
+/** Checks the password (rejecting with code 'wrong-passphrase'), then stores the content as plain text again. Resolves to the updated note. */
+export async function removeNoteEncryption(id, password) {
+  const before = getNote(id);
+  const { content } = await unlockNote(id, password);
+  if (getNote(id)?.content !== before.content) {
+    throw new Error('The note changed while it was being decrypted; try again');
+  }
+  return updateNote(id, { content, encrypted: false });
+}
+
+/**
+ * Rewrite [[links]] to a note's old title after it was renamed. Skipped when either title is empty
+ * or another note outside the trash still carries the old title (the links may mean that note).
+ * @param {{notes: Note[]}} store
+ * @param {Note} prev
+ * @param {Note} next
+ */
+function relinkTitle(store, prev, next) {
+  const oldKey = titleKey(prev.title);
+  if (!oldKey || !titleKey(next.title) || prev.deletedAt) return;
+  if (store.notes.some((n) => n.id !== prev.id && !n.deletedAt && titleKey(n.title) === oldKey)) return;
+  store.notes = store.notes.map((n) => {
+    if (!parseWikiLinks(n.content).some((l) => titleKey(l.title) === oldKey)) return n;
+    const content = renameWikiLinks(n.content, prev.title, next.title);
+    const updated = n.id === next.id ? { ...n, content } : { ...n, content, updatedAt: next.updatedAt };
+    if (index) indexNote(index, updated);
+    return updated;
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Resolve a [[wiki link]] title to a note.
+ */
+/** Returns the note outside the trash whose title matches (case-insensitive, most recently updated first), or undefined. */
+export function findNoteByTitle(title) {
+  const key = titleKey(title);
+  if (!key) return undefined;
+  return sortNotes(readStore().notes.filter((n) => !n.deletedAt && titleKey(n.title) === key))[0];
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List the notes that link to a note.
+ */
+/** Returns notes outside the trash (other than the note itself) containing a [[link]] to its title, most recently updated first. */
+export function listBacklinks(id) {
+  const target = getNote(id);
+  const key = titleKey(target?.title);
+  if (!key) return [];
+  return sortNotes(
+    readStore().notes.filter(
+      (n) => n.id !== id && !n.deletedAt && parseWikiLinks(n.content).some((l) => titleKey(l.title) === key),
+    ),
+  );
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Move a note to the trash.
+ */
+/**
+ * Soft-deletes a note by setting deletedAt. Returns true if it was moved to the trash, false if not found or already trashed.
+ * Its attachments are kept for as long as it is in the trash; unused attachment blobs elsewhere are cleaned up.
+ */
+export function deleteNote(id) {
+  const store = readStore();
+  const idx = store.notes.findIndex((n) => n.id === id);
+  if (idx === -1 || store.notes[idx].deletedAt) return false;
+  const now = new Date().toISOString();
+  store.notes[idx] = { ...store.notes[idx], deletedAt: now, updatedAt: now };
+  writeStore(store);
+  scheduleAttachmentCleanup();
+  return true;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Restore a note from the trash.
+ */
+/** Clears deletedAt; returns the restored note, or undefined if not found or not trashed. */
+export function restoreNote(id) {
+  const store = readStore();
+  const idx = store.notes.findIndex((n) => n.id === id);
+  if (idx === -1 || !store.notes[idx].deletedAt) return undefined;
+  const restored = { ...store.notes[idx], deletedAt: null, updatedAt: new Date().toISOString() };
+  store.notes[idx] = restored;
+  writeStore(store);
+  return restored;
+}
+
+/**
+ * Remove notes and their revisions permanently.
+ * @param {{notes: Note[], revisions: Object}} store
+ * @param {(n: Note) => boolean} predicate
+ * @returns {number} Number of notes removed.
+ */
+function purgeWhere(store, predicate) {
+  const doomed = store.notes.filter(predicate);
+  if (doomed.length === 0) return 0;
+  store.notes = store.notes.filter((n) => !predicate(n));
+  for (const n of doomed) {
+    delete store.revisions[n.id];
+    if (index) unindexNote(index, n.id);
+  }
+  if (store.settings?.manualOrder?.length) {
+    const gone = new Set(doomed.map((n) => n.id));
+    store.settings = { ...store.settings, manualOrder: store.settings.manualOrder.filter((id) => !gone.has(id)) };
+  }
+  writeStore(store);
+  if (doomed.some((n) => n.attachments.length)) scheduleAttachmentCleanup();
+  return doomed.length;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Permanently delete a trashed note.
+ */
+/** Removes a trashed note and its revisions for good. Returns true if removed; notes outside the trash are left alone. */
+export function purgeNote(id) {
+  return purgeWhere(readStore(), (n) => n.id === id && Boolean(n.deletedAt)) > 0;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Permanently delete everything in the trash.
+ */
+/** Empties the trash; returns the number of notes removed. */
+export function emptyTrash() {
+  return purgeWhere(readStore(), (n) => Boolean(n.deletedAt));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Purge notes that have been in the trash longer than the retention setting.
+ */
+/** Removes notes trashed more than settings.trashRetentionDays ago; returns the number removed. Runs on initStore. */
+export function purgeExpiredTrash(now = Date.now()) {
+  const store = readStore();
+  const days = Number(store.settings?.trashRetentionDays ?? DEFAULT_SETTINGS.trashRetentionDays);
+  if (!(days > 0)) return 0;
+  const cutoff = now - days * 24 * 60 * 60 * 1000;
+  return purgeWhere(store, (n) => Boolean(n.deletedAt) && Date.parse(n.deletedAt) < cutoff);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Read store-wide settings.
+ */
+/** Returns a copy of the settings object (see DEFAULT_SETTINGS). */
+export function getSettings() {
+  return { ...DEFAULT_SETTINGS, ...(readStore().settings || {}) };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Update store-wide settings and persist.
+ */
+/** Merges fields into the settings and returns the updated settings. */
+export function updateSettings(fields = {}) {
+  const store = readStore();
+  store.settings = { ...DEFAULT_SETTINGS, ...(store.settings || {}), ...fields };
+  writeStore(store);
+  return getSettings();
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List saved revisions of a note.
+ */
+/** Returns the note's revisions, newest first: { id, title, content, tags, savedAt, capturedAt }. */
+export function listRevisions(noteId) {
+  const store = readStore();
+  return [...(store.revisions[noteId] || [])].reverse();
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Restore a note to a saved revision.
+ */
+/** Replaces title/content/tags with the revision's, snapshotting the current state first so the restore can be undone. Returns the updated note or undefined. */
+export function restoreRevision(noteId, revisionId) {
+  const store = readStore();
+  const revision = (store.revisions[noteId] || []).find((r) => r.id === revisionId);
+  const idx = store.notes.findIndex((n) => n.id === noteId);
+  if (!revision || idx === -1) return undefined;
+  const merged = normalizeNote({
+    ...store.notes[idx],
+    title: revision.title,
+    content: revision.content,
+    tags: revision.tags,
+    id: noteId,
+    updatedAt: new Date().toISOString(),
+  });
+  recordRevision(store, store.notes[idx], merged, true);
+  store.notes[idx] = merged;
+  writeStore(store);
+  if (index) indexNote(index, merged);
+  return merged;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Toggle favorite property on a note.
+ */
+/** Toggles favorite on a note and returns updated note or undefined. */
+export function toggleFavorite(id) {
+  const note = getNote(id);
+  if (!note) return undefined;
+  return updateNote(id, { favorite: !note.favorite });
+}
+
+/**
+ * Apply `change` to the notes with the given ids; it returns the fields to set on a note, or null to leave it.
+ * Changed notes get one shared updatedAt. The caller writes the store.
+ * @param {{notes: Note[]}} store
+ * @param {string[]} ids
+ * @param {(n: Note) => Partial<Note>|null} change
+ * @returns {number} Number of notes changed.
+ */
+function updateMany(store, ids, change) {
+  const wanted = new Set(ids);
+  const now = new Date().toISOString();
+  let changed = 0;
+  store.notes = store.notes.map((n) => {
+    const fields = wanted.has(n.id) ? change(n) : null;
+    if (!fields) return n;
+    changed++;
+    return normalizeNote({ ...n, ...fields, id: n.id, updatedAt: now });
+  });
+  return changed;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Add or remove tags on several notes at once.
+ */
+/**
+ * Adds the `add` tags to each note and removes the `remove` tags (with the tags nested below them), in a single
+ * write. Returns the number of notes changed.
+ */
+export function tagNotes(ids, { add = [], remove = [] } = {}) {
+  const store = readStore();
+  const adding = add.map((t) => normalizeTag(t)).filter(Boolean);
+  const removing = remove.map((t) => normalizeTag(t)).filter(Boolean);
+  const changed = updateMany(store, ids, (n) => {
+    const tags = [...new Set([...n.tags.filter((t) => !removing.some((r) => tagMatches(t, r))), ...adding])];
+    return tags.join('\n') === n.tags.join('\n') ? null : { tags };
+  });
+  if (changed) {
+    writeStore(store);
+    index = null;
+  }
+  return changed;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Favorite or unfavorite several notes at once.
+ */
+/** Sets favorite on each note in a single write; returns the number of notes changed. */
+export function setFavorite(ids, favorite) {
+  const store = readStore();
+  const changed = updateMany(store, ids, (n) => (n.favorite === Boolean(favorite) ? null : { favorite: Boolean(favorite) }));
+  if (changed) writeStore(store);
+  return changed;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Move several notes to the trash at once.
+ */
+/** Soft-deletes the notes in a single write; returns the number moved to the trash (already trashed ones are skipped). */
+export function trashNotes(ids) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  const changed = updateMany(store, ids, (n) => (n.deletedAt ? null : { deletedAt: now }));
+  if (changed) writeStore(store);
+  return changed;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Merge several notes into one.
+ */
+/**
+ * Appends the content of the other notes to the first one in `ids`, each under a "## title" heading, and gives it
+ * the union of their tags and attachments (favorite or pinned if any of them was). The other notes are moved to the trash and
+ * [[links]] to their titles are pointed at the merged note. A revision of the first note is kept so the merge can
+ * be undone from its history. Runs as a single write; returns the merged note. Throws for fewer than two notes
+ * outside the trash, or if any of them is encrypted.
+ */
+export function mergeNotes(ids) {
+  const store = readStore();
+  const notes = ids.map((id) => store.notes.find((n) => n.id === id && !n.deletedAt)).filter(Boolean);
+  if (notes.length < 2) {
+    throw new Error('Select at least two notes to merge');
+  }
+  if (notes.some((n) => n.encrypted)) {
+    throw new Error('Encrypted notes cannot be merged');
+  }
+  const [first, ...rest] = notes;
+  const sections = rest.map((n) => `## ${n.title || 'Untitled'}\n\n${n.content.trim()}`.trim());
+  const merged = normalizeNote({
+    ...first,
+    content: [first.content.trimEnd(), ...sections].filter(Boolean).join('\n\n'),
+    tags: notes.flatMap((n) => n.tags),
+    favorite: notes.some((n) => n.favorite),
+    pinned: notes.some((n) => n.pinned),
+    attachments: notes.flatMap((n) => n.attachments),
+    updatedAt: new Date().toISOString(),
+  });
+  recordRevision(store, first, merged, true);
+  store.notes = store.notes.map((n) => (n.id === first.id ? merged : n));
+  for (const n of rest) relinkTitle(store, n, merged);
+  updateMany(store, rest.map((n) => n.id), () => ({ deletedAt: merged.updatedAt }));
+  writeStore(store);
+  index = null;
+  return store.notes.find((n) => n.id === first.id);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Pin or unpin a note.
+ */
+/** Toggles pinned on a note (pinned notes are listed first) and returns the updated note or undefined. */
+export function togglePinned(id) {
+  const note = getNote(id);
+  if (!note) return undefined;
+  return updateNote(id, { pinned: !note.pinned });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Move a note in the manual sort order.
+ */
+/**
+ * Places note `id` just before (or with position 'after', just after) note `targetId` in settings.manualOrder,
+ * which is rewritten to hold every note in its current manual order. Notes keep their updatedAt. Returns true if
+ * the order changed.
+ */
+export function reorderNote(id, targetId, position = 'before') {
+  const store = readStore();
+  if (id === targetId || !store.notes.some((n) => n.id === id) || !store.notes.some((n) => n.id === targetId)) {
+    return false;
+  }
+  const { manualOrder } = getSettings();
+  const ids = sortNotes(store.notes, { sort: 'manual', manualOrder })
+    .map((n) => n.id)
+    .filter((x) => x !== id);
+  ids.splice(ids.indexOf(targetId) + (position === 'after' ? 1 : 0), 0, id);
+  if (ids.join('\n') === manualOrder.join('\n')) return false;
+  store.settings = { ...getSettings(), manualOrder: ids };
+  writeStore(store);
+  return true;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List notes, optionally filtered by tag/favorites and search query.
+ */
+/**
+ * Returns notes filtered and sorted. Options: { tag?: string, favorites?: boolean, notebookId?: string, query?: string, trashed?: boolean, reminders?: boolean, from?, to?, sort?: string }
+ * Notes are ordered by `sort` (one of NOTE_SORTS, default settings.noteSort) with pinned notes first.
+ * Trashed notes are left out unless `trashed` is true, in which case only trashed notes are returned.
+ * `reminders` keeps notes with a reminder set, soonest first (including ones already due but not dismissed).
+ * `tag` also matches tags nested below it ("work" keeps notes tagged "work/meetings").
+ * `notebookId` keeps notes in that notebook or any notebook nested below it.
+ * `from` / `to` (ISO strings, Dates or timestamps; `to` is exclusive) keep notes created or last edited in that range.
+ * The query uses the search.js syntax (words, "phrases", title:, content:, tag:, is:, -exclusions);
+ * results with text terms are ranked by relevance instead (pinned notes still first).
+ */
+export function listNotes(options = {}) {
+  const { tag, favorites, notebookId, query, trashed = false, reminders } = options;
+  const settings = getSettings();
+  const store = readStore();
+  let out = store.notes.filter((n) => Boolean(n.deletedAt) === Boolean(trashed));
+
+  if (favorites) {
+    out = out.filter((n) => n.favorite);
+  }
+
+  if (reminders) {
+    out = out.filter((n) => n.remindAt);
+  }
+
+  if (options.from != null || options.to != null) {
+    const start = options.from != null ? new Date(options.from).getTime() : -Infinity;
+    const end = options.to != null ? new Date(options.to).getTime() : Infinity;
+    const within = (iso) => {
+      const t = Date.parse(iso);
+      return t >= start && t < end;
+    };
+    out = out.filter((n) => within(n.createdAt) || within(n.updatedAt));
+  }
+
+  if (tag) {
+    const t = normalizeTag(tag);
+    out = out.filter((n) => n.tags.some((x) => tagMatches(x, t)));
+  }
+
+  if (notebookId) {
+    const ids = notebookSubtree(store.notebooks, notebookId);
+    out = out.filter((n) => n.notebookId && ids.has(n.notebookId));
+  }
+
+  out = sortNotes(out, { sort: options.sort || settings.noteSort, manualOrder: settings.manualOrder, pinnedFirst: true });
+
+  if (query && query.trim()) {
+    // Ranking re-sorts the matches by score; pinned ones still go first, each group in ranked order.
+    const matches = searchIndex(getIndex(), out, query).notes;
+    out = [...matches.filter((n) => n.pinned), ...matches.filter((n) => !n.pinned)];
+  }
+
+  if (reminders) {
+    out.sort((a, b) => Date.parse(a.remindAt) - Date.parse(b.remindAt));
+  }
+
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Count notes created and edited per day.
+ */
+/**
+ * Returns { 'YYYY-MM-DD': { created, edited } } (local calendar days) for notes outside the trash created or last
+ * edited in [from, to). A note counts as edited on the day of its updatedAt when that is not the day it was created.
+ * The result is shared until the next write or reload; do not change it.
+ */
+export function listNoteActivity(from, to) {
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  const store = readStore();
+  if (activityMemo?.store === store && activityMemo.start === start && activityMemo.end === end) return activityMemo.value;
+  const out = {};
+  const bump = (iso, kind) => {
+    const t = Date.parse(iso);
+    if (!(t >= start && t < end)) return;
+    const day = todayKey(new Date(t));
+    out[day] = out[day] || { created: 0, edited: 0 };
+    out[day][kind]++;
+  };
+  for (const n of store.notes) {
+    if (n.deletedAt) continue;
+    bump(n.createdAt, 'created');
+    if (todayKey(new Date(n.updatedAt)) !== todayKey(new Date(n.createdAt))) bump(n.updatedAt, 'edited');
+  }
+  activityMemo = { store, start, end, value: out };
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Open the daily note for a date.
+ */
+/**
+ * Returns { note, created }: the note outside the trash titled with the date as 'YYYY-MM-DD' (local day), or a new
+ * one tagged "daily" if there is none yet. `extra` adds fields to a new note, such as notebookId.
+ */
+export function getOrCreateDailyNote(date = new Date(), extra = {}) {
+  const day = new Date(date);
+  const title = todayKey(day);
+  const existing = findNoteByTitle(title);
+  if (existing) return { note: existing, created: false };
+  const heading = day.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  const note = createNote({ title, content: `# ${heading}\n\n`, tags: ['daily'], ...extra });
+  return { note, created: true };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Set or clear a note's reminder.
+ */
+/**
+ * Sets remindAt (an ISO string, Date or timestamp; null clears the reminder) and marks the reminder as not yet
+ * shown. Returns the updated note, or undefined if it does not exist.
+ */
+export function setReminder(id, remindAt) {
+  if (remindAt != null && !isoOrNull(remindAt)) {
+    throw new Error('Reminder time is not a valid date');
+  }
+  if (!getNote(id)) return undefined;
+  return updateNote(id, { remindAt: isoOrNull(remindAt), remindedAt: null });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Snooze a note's reminder.
+ */
+/** Moves the reminder to `minutes` from `now` so it fires again; returns the updated note or undefined. */
+export function snoozeReminder(id, minutes, now = Date.now()) {
+  return setReminder(id, now + minutes * 60 * 1000);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Find the next reminder to fire.
+ */
+/** Returns the time (ms) of the earliest reminder not shown yet on a note outside the trash, or null if there is none. */
+export function nextReminderAt() {
+  let next = null;
+  for (const n of readStore().notes) {
+    if (!n.remindAt || n.remindedAt || n.deletedAt) continue;
+    const at = Date.parse(n.remindAt);
+    if (next === null || at < next) next = at;
+  }
+  return next;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Collect the reminders that are due.
+ */
+/**
+ * Returns the notes (outside the trash) whose reminder time has passed and that have not been shown yet, oldest
+ * first, and marks them shown (remindedAt) in a single write so they fire only once, in this tab or any other.
+ * The reminder stays set until it is cleared with setReminder(id, null) or snoozed.
+ */
+export function takeDueReminders(now = Date.now()) {
+  const store = readStore();
+  const shownAt = new Date(now).toISOString();
+  const due = [];
+  store.notes = store.notes.map((n) => {
+    if (!n.remindAt || n.remindedAt || n.deletedAt || Date.parse(n.remindAt) > now) return n;
+    // Showing a reminder is not an edit: updatedAt (the "updated" sort, the calendar's edit days) stays put.
+    const shown = { ...n, remindedAt: shownAt };
+    due.push(shown);
+    return shown;
+  });
+  if (due.length === 0) return [];
+  writeStore(store);
+  return due.sort((a, b) => Date.parse(a.remindAt) - Date.parse(b.remindAt));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List checklist tasks across notes.
+ */
+/**
+ * Returns [{ noteId, noteTitle, line, text, done, due }] from the notes listNotes(options) selects (encrypted
+ * notes are skipped). Only open tasks unless options.done is true. Sorted by due date (tasks without one last),
+ * then by the note's position in the list and the task's line.
+ */
+export function listTasks(options = {}) {
+  const notes = listNotes({ ...options, trashed: false }).filter((n) => !n.encrypted);
+  const out = [];
+  notes.forEach((n, order) => {
+    for (const t of parseTasks(n.content)) {
+      if (t.done && !options.done) continue;
+      out.push({ noteId: n.id, noteTitle: n.title, ...t, order });
+    }
+  });
+  out.sort((a, b) => {
+    if (a.due !== b.due) {
+      if (!a.due || !b.due) return a.due ? -1 : 1;
+      return a.due < b.due ? -1 : 1;
+    }
+    return a.order - b.order || a.line - b.line;
+  });
+  return out.map((t) => {
+    const task = { ...t };
+    delete task.order;
+    return task;
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Check or uncheck a task in a note.
+ */
+/** Marks the task on `line` (0-based) done or open. Returns the updated note, or undefined if the note does not exist or that line is not a task. */
+export function setTaskDone(noteId, line, done) {
+  const note = getNote(noteId);
+  if (!note || note.encrypted) return undefined;
+  const content = markTask(note.content, line, done);
+  if (content === note.content) {
+    return parseTasks(note.content).some((t) => t.line === line) ? note : undefined;
+  }
+  return updateNote(noteId, { content });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Count trashed notes, open tasks and reminders.
+ */
+/**
+ * Returns { trashed, openTasks, reminders }, the lengths of listNotes({ trashed: true }), listTasks() and
+ * listNotes({ reminders: true }). They are worked out in one pass and kept until the next write or reload;
+ * only notes that changed are parsed for tasks again.
+ */
+export function getNoteCounts() {
+  const store = readStore();
+  if (noteCounts?.store === store) return noteCounts.value;
+  const value = { trashed: 0, openTasks: 0, reminders: 0 };
+  for (const n of store.notes) {
+    if (n.deletedAt) {
+      value.trashed++;
+      continue;
+    }
+    if (n.remindAt) value.reminders++;
+    if (n.encrypted) continue;
+    if (!openTaskCounts.has(n)) openTaskCounts.set(n, parseTasks(n.content).filter((t) => !t.done).length);
+    value.openTasks += openTaskCounts.get(n);
+  }
+  noteCounts = { store, value };
+  return value;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Return the tag hierarchy with counts for all notes.
+ */
+/**
+ * Returns { tag, name, parent, depth, count } for every tag of notes outside the trash, plus the parents
+ * implied by nested tags ("work" for "work/meetings"), sorted so each tag follows its parent.
+ * `count` is the number of notes tagged with the tag or anything nested below it; `name` is the last path segment.
+ */
+export function listTags() {
+  const store = readStore();
+  const map = new Map();
+  for (const n of store.notes) {
+    if (n.deletedAt) continue;
+    const paths = new Set();
+    for (const t of n.tags || []) {
+      if (t) tagPaths(t).forEach((p) => paths.add(p));
+    }
+    for (const p of paths) {
+      map.set(p, (map.get(p) || 0) + 1);
+    }
+  }
+  return Array.from(map.entries())
+    .map(([tag, count]) => {
+      const parts = tag.split('/');
+      return {
+        tag,
+        name: parts[parts.length - 1],
+        parent: parts.length > 1 ? parts.slice(0, -1).join('/') : null,
+        depth: parts.length - 1,
+        count,
+      };
+    })
+    .sort((a, b) => {
+      const pa = a.tag.split('/');
+      const pb = b.tag.split('/');
+      for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+        const c = pa[i].localeCompare(pb[i]);
+        if (c !== 0) return c;
+      }
+      return pa.length - pb.length;
+    });
+}
+
+/**
+ * Rewrite the tags of every note (trashed ones included) in a single write.
+ * @param {(tags: string[]) => string[]} fn
+ * @returns {number} Number of notes whose tags changed.
+ */
+function rewriteTags(fn) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  let changed = 0;
+  store.notes = store.notes.map((n) => {
+    const tags = [...new Set(fn(n.tags).map((t) => normalizeTag(t)).filter(Boolean))];
+    if (tags.join('\n') === n.tags.join('\n')) return n;
+    changed++;
+    return { ...n, tags, updatedAt: now };
+  });
+  if (changed) {
+    writeStore(store);
+    index = null;
+  }
+  return changed;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Rename a tag on every note.
+ */
+/**
+ * Renames `from` to `to`, moving the tags nested below it along ("work/x" becomes "job/x").
+ * Renaming onto an existing tag merges the two. Returns the number of notes changed; throws if `to` is empty.
+ */
+export function renameTag(from, to) {
+  const source = normalizeTag(from);
+  const target = normalizeTag(to);
+  if (!target) throw new Error('Tag name cannot be empty');
+  if (!source || source === target) return 0;
+  return rewriteTags((tags) => tags.map((t) => retag(t, source, target)));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Merge tags into another tag.
+ */
+/** Retags every note carrying one of `sources` (or a tag nested below them) with `target`. Returns the number of notes changed. */
+export function mergeTags(sources, target) {
+  const to = normalizeTag(target);
+  if (!to) throw new Error('Tag name cannot be empty');
+  const from = sources.map((t) => normalizeTag(t)).filter((t) => t && t !== to);
+  return rewriteTags((tags) => tags.map((t) => from.reduce((acc, f) => retag(acc, f, to), t)));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Remove a tag from every note.
+ */
+/** Removes the tag and the tags nested below it from all notes. Returns the number of notes changed. */
+export function deleteTag(tag) {
+  const target = normalizeTag(tag);
+  if (!target) return 0;
+  return rewriteTags((tags) => tags.filter((t) => !tagMatches(t, target)));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List notebooks with note counts.
+ */
+/** Returns every notebook sorted by name, each with `count`: the number of notes outside the trash filed directly in it. */
+export function listNotebooks() {
+  const store = readStore();
+  const counts = new Map();
+  for (const n of store.notes) {
+    if (n.deletedAt || !n.notebookId) continue;
+    counts.set(n.notebookId, (counts.get(n.notebookId) || 0) + 1);
+  }
+  return store.notebooks
+    .map((nb) => ({ ...nb, count: counts.get(nb.id) || 0 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create a notebook, optionally nested in another.
+ */
+/** Creates a notebook from { name, parentId? } and returns it. Throws if parentId does not exist. */
+export function createNotebook(initial = {}) {
+  const store = readStore();
+  const notebook = normalizeNotebook({ ...initial, id: undefined, collapsed: false });
+  if (notebook.parentId && !store.notebooks.some((nb) => nb.id === notebook.parentId)) {
+    throw new Error('Parent notebook not found');
+  }
+  store.notebooks.push(notebook);
+  writeStore(store);
+  return notebook;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Rename, move or collapse a notebook.
+ */
+/**
+ * Updates { name?, parentId?, collapsed? } and returns the notebook, or undefined if not found.
+ * Throws if the new parent does not exist or is the notebook itself or one of its descendants.
+ */
+export function updateNotebook(id, fields = {}) {
+  const store = readStore();
+  const idx = store.notebooks.findIndex((nb) => nb.id === id);
+  if (idx === -1) return undefined;
+  const merged = normalizeNotebook({ ...store.notebooks[idx], ...fields, id, updatedAt: new Date().toISOString() });
+  if (merged.parentId) {
+    if (!store.notebooks.some((nb) => nb.id === merged.parentId)) {
+      throw new Error('Parent notebook not found');
+    }
+    if (notebookSubtree(store.notebooks, id).has(merged.parentId)) {
+      throw new Error('A notebook cannot be moved into itself');
+    }
+  }
+  store.notebooks[idx] = merged;
+  writeStore(store);
+  return merged;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Delete a notebook.
+ */
+/**
+ * Removes the notebook; its notes and nested notebooks move up to its parent (or the top level).
+ * Returns true if it was removed.
+ */
+export function deleteNotebook(id) {
+  const store = readStore();
+  const doomed = store.notebooks.find((nb) => nb.id === id);
+  if (!doomed) return false;
+  const now = new Date().toISOString();
+  store.notebooks = store.notebooks
+    .filter((nb) => nb.id !== id)
+    .map((nb) => (nb.parentId === id ? { ...nb, parentId: doomed.parentId, updatedAt: now } : nb));
+  store.notes = store.notes.map((n) => (n.notebookId === id ? { ...n, notebookId: doomed.parentId, updatedAt: now } : n));
+  writeStore(store);
+  return true;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List note templates.
+ */
+/** Returns every template sorted by name. */
+export function listTemplates() {
+  return [...readStore().templates].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Get a template by id.
+ */
+/** Returns the template with the given id, or undefined if not found. */
+export function getTemplate(id) {
+  return readStore().templates.find((t) => t.id === id);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create a note template.
+ */
+/** Creates a template from { name, title?, content?, tags?, favorite? } and returns it. */
+export function createTemplate(initial = {}) {
+  const store = readStore();
+  const template = normalizeTemplate({ ...initial, id: undefined, createdAt: undefined, updatedAt: undefined });
+  store.templates.push(template);
+  writeStore(store);
+  return template;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Update a note template.
+ */
+/** Updates { name?, title?, content?, tags?, favorite? } and returns the template, or undefined if not found. */
+export function updateTemplate(id, fields = {}) {
+  const store = readStore();
+  const idx = store.templates.findIndex((t) => t.id === id);
+  if (idx === -1) return undefined;
+  const merged = normalizeTemplate({ ...store.templates[idx], ...fields, id, updatedAt: new Date().toISOString() });
+  store.templates[idx] = merged;
+  writeStore(store);
+  return merged;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Delete a note template.
+ */
+/** Removes the template; notes created from it are not affected. Returns true if it was removed. */
+export function deleteTemplate(id) {
+  const store = readStore();
+  const before = store.templates.length;
+  store.templates = store.templates.filter((t) => t.id !== id);
+  if (store.templates.length === before) return false;
+  writeStore(store);
+  return true;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Save a note as a template.
+ */
+/**
+ * Creates a template named `name` from the note's title, content, tags and favorite state, and returns it
+ * (undefined if the note does not exist). Throws for encrypted notes, whose content is not readable.
+ */
+export function saveNoteAsTemplate(noteId, name) {
+  const note = getNote(noteId);
+  if (!note) return undefined;
+  if (note.encrypted) {
+    throw new Error('Encrypted notes cannot be saved as templates');
+  }
+  const { title, content, tags, favorite } = note;
+  return createTemplate({ name: name || title, title, content, tags, favorite });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create a note from a template.
+ */
+/**
+ * Fills in the template (see applyTemplate() in ./templates.js) with the custom field `values` and creates a note
+ * from it; `extra` adds note fields such as notebookId. Returns { note, cursor } where cursor is the caret offset
+ * for {{cursor}} (or null), or undefined if the template does not exist.
+ */
+export function createNoteFromTemplate(templateId, values = {}, extra = {}) {
+  const template = getTemplate(templateId);
+  if (!template) return undefined;
+  const { cursor, ...fields } = applyTemplate(template, values);
+  const note = createNote({ ...fields, title: fields.title || 'Untitled', ...extra });
+  return { note, cursor };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * File a note in a notebook.
+ */
+/** Moves a note into the notebook (null for no notebook). Returns the updated note, or undefined if the note or notebook is not found. */
+export function moveNote(noteId, notebookId) {
+  const store = readStore();
+  const note = store.notes.find((n) => n.id === noteId);
+  if (!note || (notebookId && !store.notebooks.some((nb) => nb.id === notebookId))) return undefined;
+  if (note.notebookId === (notebookId || null)) return note;
+  return updateNote(noteId, { notebookId: notebookId || null });
+}
+
+/**
+ * Delete attachment blobs no note refers to, in the background; the work is awaited by flushStore().
+ */
+function scheduleAttachmentCleanup() {
+  const done = cleanupAttachments().catch((err) => {
+    console.error('Could not remove unused attachments:', err);
+  });
+  pendingWrite = Promise.all([pendingWrite, done]).then(() => {});
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Attach a file to a note.
+ */
+/**
+ * Stores the blob in the attachment database and adds its metadata to the note's attachments. `name` defaults to
+ * the file's own name. Resolves to the new Attachment; reference it in the content as `attachment:<id>`.
+ * Rejects if the note does not exist or is in the trash, or if it or the whole store is encrypted, since attachment
+ * blobs are stored unencrypted.
+ */
+export async function addAttachment(noteId, blob, name = blob?.name) {
+  const note = getNote(noteId);
+  if (!note || note.deletedAt) {
+    throw new Error('Attachments can only be added to notes outside the trash');
+  }
+  if (note.encrypted || encryption) {
+    throw new Error('Attachments are not available for encrypted notes');
+  }
+  const attachment = normalizeAttachment({ id: uid(), name, type: blob.type, size: blob.size });
+  await putAttachmentBlob(attachment.id, blob);
+  const current = getNote(noteId);
+  if (!current || current.deletedAt) {
+    await deleteAttachmentBlobs([attachment.id]);
+    throw new Error('The note was deleted while the file was being saved');
+  }
+  updateNote(noteId, { attachments: [...current.attachments, attachment] });
+  return attachment;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Store files for a note that is about to be created.
+ */
+/**
+ * Stores each { name, data: Blob } and resolves to the Attachment metadata, in order, for the new note's
+ * `attachments`; create the note right away, as cleanupAttachments() takes blobs unused for a minute.
+ * Rejects while the store is encrypted, since attachment blobs are stored unencrypted.
+ */
+export async function storeAttachmentFiles(files) {
+  if (encryption) throw new Error('Attachments are not available for encrypted notes');
+  const stored = [];
+  for (const file of files) {
+    const attachment = normalizeAttachment({ id: uid(), name: file.name, type: file.data.type, size: file.data.size });
+    await putAttachmentBlob(attachment.id, file.data);
+    stored.push(attachment);
+  }
+  return stored;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Remove an attachment from a note.
+ */
+/**
+ * Drops the attachment from the note's attachments (links to it in the content are left as they are) and deletes
+ * its blob unless another note still uses it. Returns the updated note, or undefined if the note or attachment is not found.
+ */
+export function removeAttachment(noteId, attachmentId) {
+  const note = getNote(noteId);
+  if (!note?.attachments.some((a) => a.id === attachmentId)) return undefined;
+  const updated = updateNote(noteId, { attachments: note.attachments.filter((a) => a.id !== attachmentId) });
+  scheduleAttachmentCleanup();
+  return updated;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Delete attachment blobs that no note refers to.
+ */
+/**
+ * Notes in the trash still count as referring to their attachments. Blobs stored in the last minute are
+ * kept, as a note may be about to reference them. Resolves to the number of blobs deleted.
+ */
+export async function cleanupAttachments(now = Date.now()) {
+  const stored = await listAttachmentBlobs();
+  const used = new Set(readStore().notes.flatMap((n) => n.attachments.map((a) => a.id)));
+  const orphans = stored.filter((b) => !used.has(b.id) && now - b.storedAt >= ORPHAN_GRACE_MS).map((b) => b.id);
+  await deleteAttachmentBlobs(orphans);
+  return orphans.length;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Read every attachment's data for a backup.
+ */
+/** Resolves to [{ id, type, data }] with the base64 bytes of each attachment notes refer to; missing blobs are skipped. */
+export async function exportAttachments() {
+  const byId = new Map();
+  for (const note of readStore().notes) {
+    for (const a of note.attachments) byId.set(a.id, a);
+  }
+  const out = [];
+  for (const a of byId.values()) {
+    const blob = await getAttachmentBlob(a.id);
+    if (blob) out.push({ id: a.id, type: a.type, data: await blobToBase64(blob) });
+  }
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Restore attachment data from a backup.
+ */
+/** Stores the blobs from exportAttachments() output; entries that are malformed are skipped. Resolves to the number stored. */
+export async function importAttachments(list) {
+  let stored = 0;
+  for (const entry of Array.isArray(list) ? list : []) {
+    if (typeof entry?.id !== 'string' || !entry.id || typeof entry.data !== 'string') continue;
+    let blob;
+    try {
+      blob = base64ToBlob(entry.data, String(entry.type || ''));
+    } catch {
+      continue;
+    }
+    await putAttachmentBlob(entry.id, blob);
+    stored++;
+  }
+  return stored;
+}
+
+/**
+ Note type doc for editor intellisense
+ @typedef {Object} Note
  @property {string} id
  @property {string} title
  @property {string} content
  @property {string[]} tags
  @property {boolean} favorite
+ @property {boolean} pinned Listed before the other notes, whatever the sort order
+ @property {string} createdAt
+ @property {string} updatedAt
+ @property {string|null} deletedAt Set while the note is in the trash
+ @property {string|null} notebookId Notebook the note is filed in, or null
+ @property {boolean} encrypted Whether content is ciphertext from encryptNote() (see ./encryption.js)
+ @property {string|null} remindAt When to remind about the note, or null
+ @property {string|null} remindedAt When the current reminder was shown, or null while it is still pending
+ @property {Attachment[]} attachments Files added to the note; their blobs are kept by ./attachments.js
+ */
+
+/**
+ Metadata of a file attached to a note; content links to it as `attachment:<id>`
+ @typedef {Object} Attachment
+ @property {string} id Key of the blob in the attachment database
+ @property {string} name Original file name
+ @property {string} type MIME type
+ @property {number} size Bytes
+ @property {string} addedAt
+ */
+
+/**
+ Skeleton for new notes; title and content may hold placeholders (see ./templates.js)
+ @typedef {Object} Template
+ @property {string} id
+ @property {string} name Shown in the template picker
+ @property {string} title
+ @property {string} content
+ @property {string[]} tags Given to notes created from the template
+ @property {boolean} favorite Whether notes created from the template start as favorites
+ @property {string} createdAt
+ @property {string} updatedAt
+ */
+
+/**
+ Folder for notes; notebooks nest through parentId
+ @typedef {Object} Notebook
+ @property {string} id
+ @property {string} name
+ @property {string|null} parentId Enclosing notebook, or null at the top level
+ @property {boolean} collapsed Whether the sidebar tree hides its children
  @property {string} createdAt
  @property {string} updatedAt
  */
+
+/**
+ Snapshot of a note's editable fields
+ @typedef {Object} Revision
+ @property {string} id
+ @property {string} title
+ @property {string} content
+ @property {string[]} tags
+ @property {string} savedAt When this state was originally saved (the note's updatedAt at the time)
+ @property {string} capturedAt When the snapshot was taken
+ */
+
+/**
+ Sync bookkeeping persisted with the store (never exported in backups)
+ @typedef {Object} SyncState
+ @property {string|number|null} cursor Opaque position of the last pull, from the server
+ @property {{changeId: string, noteId: string, op: 'upsert'|'purge', fields: Object, fieldTimes: Object<string, string>}[]} outbox
+   Local changes not yet acknowledged by the server; fieldTimes holds the updatedAt of each field's change
+ */
+
+/**
+ Sidebar counts (see getNoteCounts())
+ @typedef {Object} NoteCounts
+ @property {number} trashed Notes in the trash
+ @property {number} openTasks Unchecked tasks in notes outside the trash, encrypted notes left out
+ @property {number} reminders Notes outside the trash with a reminder set
+ */
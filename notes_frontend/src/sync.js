@@ -0,0 +1,122 @@
+//
+// Sync engine: pushes the store's outbox to a REST server and pulls remote changes since a cursor.
+//
+// Protocol (see mock/syncServer.js for a reference implementation):
+//   POST {baseUrl}/sync/push   body { changes: OutboxEntry[] }  -> 200 once all changes are applied
+//   GET  {baseUrl}/sync/pull?since={cursor}                   -> { cursor, notes: RemoteNote[] }
+// The server resolves conflicts per field: a field keeps whichever change has the later timestamp.
+// Pulled notes carry `fieldUpdatedAt` so the client can do the same against its unsent changes.
+//
+import { ackOutbox, applyRemoteChanges, getSyncState, releaseOutbox, takeOutbox, watchOutbox } from './store.js';
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+const DEFAULT_DEBOUNCE_MS = 1500;
+
+/**
+ * PUBLIC INTERFACE
+ * Create a sync engine for a REST endpoint.
+ */
+/**
+ * options: { baseUrl (required), intervalMs?, debounceMs?, fetch?, onRemoteChanges?({ changedIds }) }.
+ * Returns { start(), stop(), syncNow(), getStatus(), onStatus(listener) → unsubscribe }.
+ * Status is { state: 'idle'|'syncing'|'offline'|'error', pending, lastSyncedAt, error }.
+ * The store must have been initialized with initStore({ sync: true }).
+ */
+export function createSyncEngine(options = {}) {
+  const { intervalMs = DEFAULT_INTERVAL_MS, debounceMs = DEFAULT_DEBOUNCE_MS, onRemoteChanges } = options;
+  if (!options.baseUrl) {
+    throw new Error('Sync engine requires a baseUrl');
+  }
+  const baseUrl = String(options.baseUrl).replace(/\/+$/, '');
+  const doFetch = options.fetch || ((...args) => fetch(...args));
+
+  let status = { state: 'idle', pending: getSyncState().pending, lastSyncedAt: null, error: null };
+  const listeners = new Set();
+  let running = null;
+  let again = false;
+  let timer = null;
+  let debounceTimer = null;
+  let unwatch = null;
+
+  function setStatus(fields) {
+    status = { ...status, ...fields };
+    listeners.forEach((fn) => fn(status));
+  }
+
+  async function request(method, path, body) {
+    const res = await doFetch(baseUrl + path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!res.ok) {
+      throw new Error(`Sync server responded ${res.status} to ${method} ${path}`);
+    }
+    return res.status === 204 ? null : res.json();
+  }
+
+  async function run() {
+    setStatus({ state: 'syncing' });
+    try {
+      const batch = takeOutbox();
+      if (batch.length) {
+        await request('POST', '/sync/push', { changes: batch });
+        ackOutbox(batch.map((c) => c.changeId));
+      }
+      const { cursor } = getSyncState();
+      const data = await request('GET', `/sync/pull${cursor != null ? `?since=${encodeURIComponent(cursor)}` : ''}`);
+      const changedIds = applyRemoteChanges(data?.notes || [], data?.cursor);
+      if (changedIds.length) onRemoteChanges?.({ changedIds });
+      setStatus({ state: 'idle', pending: getSyncState().pending, lastSyncedAt: new Date().toISOString(), error: null });
+    } catch (err) {
+      releaseOutbox();
+      // fetch() rejects with a TypeError when the network is unreachable.
+      const offline = err instanceof TypeError || (typeof navigator !== 'undefined' && navigator.onLine === false);
+      setStatus({ state: offline ? 'offline' : 'error', pending: getSyncState().pending, error: err.message });
+    }
+  }
+
+  function syncNow() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = run().finally(() => {
+      running = null;
+      if (again) {
+        again = false;
+        syncNow();
+      }
+    });
+    return running;
+  }
+
+  const onOnline = () => syncNow();
+
+  return {
+    start() {
+      if (timer) return;
+      unwatch = watchOutbox((pending) => {
+        setStatus({ pending });
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(syncNow, debounceMs);
+      });
+      timer = setInterval(syncNow, intervalMs);
+      if (typeof window !== 'undefined') window.addEventListener('online', onOnline);
+      syncNow();
+    },
+    stop() {
+      clearInterval(timer);
+      clearTimeout(debounceTimer);
+      timer = null;
+      unwatch?.();
+      if (typeof window !== 'undefined') window.removeEventListener('online', onOnline);
+    },
+    syncNow,
+    getStatus: () => status,
+    onStatus(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
@@ -0,0 +1,50 @@
+//
+// Hierarchical tags: `parent/child` paths where a tag includes every tag nested below it,
+// so filtering by "work" also matches "work/meetings". Matching is case-insensitive.
+//
+
+export const TAG_SEPARATOR = '/';
+
+/**
+ * PUBLIC INTERFACE
+ * Clean up a tag path.
+ */
+/** Trims the tag and each of its path segments and drops empty segments: " work / meetings/ " becomes "work/meetings". */
+export function normalizeTag(tag) {
+  return String(tag ?? '')
+    .split(TAG_SEPARATOR)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Test whether a tag falls under a filter tag.
+ */
+/** Returns true if `tag` equals `filter` or is nested below it (case-insensitive). */
+export function tagMatches(tag, filter) {
+  const t = String(tag).toLowerCase();
+  const f = String(filter).toLowerCase();
+  return t === f || t.startsWith(f + TAG_SEPARATOR);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List a tag and the paths of its ancestors.
+ */
+/** Returns ["work", "work/meetings", "work/meetings/weekly"] for "work/meetings/weekly". */
+export function tagPaths(tag) {
+  const parts = String(tag).split(TAG_SEPARATOR);
+  return parts.map((_, i) => parts.slice(0, i + 1).join(TAG_SEPARATOR));
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Move a tag (and the tags nested below it) to a new path.
+ */
+/** Returns the renamed tag if it falls under `from`, otherwise the tag unchanged. */
+export function retag(tag, from, to) {
+  if (!tagMatches(tag, from)) return tag;
+  return normalizeTag(to + tag.slice(from.length));
+}
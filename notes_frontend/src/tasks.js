@@ -0,0 +1,122 @@
+//
+// Tasks: checklist items in note content, written as in GitHub Markdown (`- [ ] open`, `- [x] done`),
+// with an optional due date anywhere in the item: `- [ ] Send report @due(2024-05-31)`.
+// Line numbers are 0-based and match the data-line of task checkboxes in the Markdown preview.
+//
+
+const TASK_LINE_RE = /^(\s*(?:[-*+]|\d{1,9}[.)])\s+)\[([ xX])\](\s+.*)$/;
+const DUE_RE = /@due\((\d{4}-\d{2}-\d{2})\)/;
+const FENCE_RE = /^\s{0,3}(`{3,}|~{3,})/;
+
+/**
+ * Return the date if `text` is a real calendar date in YYYY-MM-DD form, otherwise null.
+ * @param {string} text
+ * @returns {string|null}
+ */
+function validDate(text) {
+  const [y, m, d] = text.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCFullYear() === y && date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? text : null;
+}
+
+/**
+ * Return the indexes of lines inside fenced code blocks, where list syntax is not a task.
+ * @param {string[]} lines
+ * @returns {Set<number>}
+ */
+function codeLines(lines) {
+  const out = new Set();
+  let fence = null;
+  lines.forEach((line, i) => {
+    const m = FENCE_RE.exec(line);
+    if (fence) {
+      out.add(i);
+      if (m && m[1][0] === fence[0] && m[1].length >= fence.length) fence = null;
+    } else if (m) {
+      fence = m[1];
+      out.add(i);
+    }
+  });
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Find the tasks in a note's content.
+ */
+/**
+ * Returns [{ line, done, text, due }] in document order. `text` is the item without its checkbox and due
+ * annotation; `due` is 'YYYY-MM-DD' or null. Lines in fenced code blocks are skipped.
+ */
+export function parseTasks(content) {
+  const lines = String(content || '').split('\n');
+  const code = codeLines(lines);
+  const out = [];
+  lines.forEach((line, i) => {
+    if (code.has(i)) return;
+    const m = TASK_LINE_RE.exec(line);
+    if (!m) return;
+    const due = DUE_RE.exec(m[3]);
+    out.push({
+      line: i,
+      done: m[2] !== ' ',
+      text: m[3].replace(DUE_RE, '').replace(/\s+/g, ' ').trim(),
+      due: due ? validDate(due[1]) : null,
+    });
+  });
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Check or uncheck a task.
+ */
+/** Returns the content with the task on `line` marked done (or open); unchanged if that line is not a task. */
+export function markTask(content, line, done) {
+  const lines = String(content || '').split('\n');
+  const m = TASK_LINE_RE.exec(lines[line] ?? '');
+  if (!m || codeLines(lines).has(line)) return content;
+  lines[line] = `${m[1]}[${done ? 'x' : ' '}]${m[3]}`;
+  return lines.join('\n');
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Locate the task checkbox at a text offset.
+ */
+/**
+ * Returns { line, done, start } when `offset` falls inside the brackets of a task's `[ ]` / `[x]` (start is
+ * the offset of its "["), otherwise null. Used to toggle tasks by clicking them in the editor.
+ */
+export function taskMarkerAt(content, offset) {
+  const text = String(content || '');
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  const lineEnd = text.indexOf('\n', offset);
+  const line = text.slice(0, lineStart).split('\n').length - 1;
+  const m = TASK_LINE_RE.exec(text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd));
+  if (!m || codeLines(text.split('\n')).has(line)) return null;
+  const start = lineStart + m[1].length;
+  if (offset <= start || offset >= start + 3) return null;
+  return { line, done: m[2] !== ' ', start };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Today's date as used by due dates.
+ */
+/** Returns the local calendar date as 'YYYY-MM-DD'. */
+export function todayKey(now = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Classify a due date.
+ */
+/** Returns 'overdue', 'today' or 'upcoming' for a 'YYYY-MM-DD' due date relative to `today` (default: now), or null without one. */
+export function dueStatus(due, today = todayKey()) {
+  if (!due) return null;
+  if (due < today) return 'overdue';
+  return due === today ? 'today' : 'upcoming';
+}
@@ -0,0 +1,88 @@
+//
+// Note templates: placeholders in a template's title and content are filled in when a note is created from it.
+//
+//   {{date}}      today's date, YYYY-MM-DD          {{time}}      the time, HH:MM
+//   {{datetime}}  both, "YYYY-MM-DD HH:MM"          {{weekday}}   the day's name, e.g. "Monday"
+//   {{cursor}}    where the caret goes in the new note (content only; removed from the text)
+//   {{anything else}}  a custom field; the user is asked for its value when the note is created
+//
+// Pure functions over plain data; the store keeps the templates (see createTemplate() in ./store.js).
+//
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z][\w -]{0,39}?)\s*\}\}/g;
+const CURSOR = 'cursor';
+
+/** Stands in for {{cursor}} while the other placeholders are filled in. */
+const CURSOR_MARK = '\u0000';
+
+/**
+ * Values of the built-in placeholders at a point in time.
+ * @param {Date} now
+ * @returns {Object<string, string>}
+ */
+function builtins(now) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const date = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
+  return {
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    weekday: now.toLocaleDateString([], { weekday: 'long' }),
+  };
+}
+
+/**
+ * Placeholder names are case-insensitive and ignore surrounding spaces.
+ * @param {string} name
+ * @returns {string}
+ */
+function fieldKey(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * PUBLIC INTERFACE
+ * List the custom fields a template asks for.
+ */
+/** Returns the names of the custom placeholders in the template's title and content, in order of first use (as written there). */
+export function templateFields(template) {
+  const known = new Set([...Object.keys(builtins(new Date())), CURSOR]);
+  const out = new Map();
+  for (const text of [template?.title, template?.content]) {
+    for (const m of String(text || '').matchAll(PLACEHOLDER_RE)) {
+      const key = fieldKey(m[1]);
+      if (!known.has(key) && !out.has(key)) out.set(key, m[1].trim());
+    }
+  }
+  return [...out.values()];
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Fill in a template.
+ */
+/**
+ * Returns { title, content, tags, favorite, cursor } for a new note: placeholders are replaced by the built-in
+ * values for `now` and by `values` (custom field name → text; missing ones become ''). `cursor` is the offset of
+ * the first {{cursor}} in the content, or null if there is none.
+ */
+export function applyTemplate(template, values = {}, now = new Date()) {
+  const lookup = { ...builtins(now) };
+  for (const [name, value] of Object.entries(values)) lookup[fieldKey(name)] = String(value ?? '');
+  const fill = (text, keepCursor) =>
+    String(text || '').replace(PLACEHOLDER_RE, (_, name) => {
+      const key = fieldKey(name);
+      if (key === CURSOR) return keepCursor ? CURSOR_MARK : '';
+      return (lookup[key] ?? '').replaceAll(CURSOR_MARK, '');
+    });
+  let content = fill(template.content, true);
+  const marker = content.indexOf(CURSOR_MARK);
+  content = content.replaceAll(CURSOR_MARK, '');
+  return {
+    title: fill(template.title, false).trim(),
+    content,
+    tags: [...(template.tags || [])],
+    favorite: Boolean(template.favorite),
+    cursor: marker === -1 ? null : marker,
+  };
+}
@@ -1,13 +1,126 @@
-import { el, icon, debounce } from './components.js';
+import { el, icon, debounce, downloadFile, pickFiles, showMenu, toast } from './components.js';
 import {
+  addAttachment,
+  changePassphrase,
   createNote,
+  createNoteFromTemplate,
+  createNotebook,
   deleteNote,
+  deleteNotebook,
+  deleteTag,
+  deleteTemplate,
+  disableEncryption,
+  emptyTrash,
+  enableEncryption,
+  encryptNote,
+  exportAttachments,
+  exportBackup,
+  findNoteByTitle,
   getNote,
+  getNoteCounts,
+  getOrCreateDailyNote,
+  getSettings,
+  getStoreRecovery,
+  importAttachments,
+  importBackup,
+  initStore,
+  isStoreEncrypted,
+  listBacklinks,
+  listNoteActivity,
+  listNotebooks,
   listNotes,
+  listRevisions,
   listTags,
+  listTasks,
+  listTemplates,
+  lockStore,
+  mergeNotes,
+  mergeTags,
+  moveNote,
+  NOTE_SORTS,
+  purgeNote,
+  removeAttachment,
+  removeNoteEncryption,
+  renameTag,
+  reorderNote,
+  restoreNote,
+  restoreRevision,
+  saveNoteAsTemplate,
+  setFavorite,
+  setReminder,
+  setTaskDone,
+  snoozeReminder,
+  storeAttachmentFiles,
+  tagNotes,
   toggleFavorite,
+  togglePinned,
+  trashNotes,
+  unlockNote,
+  updateEncryptedNote,
   updateNote,
+  updateNotebook,
+  updateSettings,
+  updateTemplate,
+  watchExternalChanges,
 } from '../store.js';
+import { highlightTerms, makeSnippet, splitMatches } from '../search.js';
+import { renderMarkdown, stripMarkdown } from '../markdown.js';
+import { diffLines, mergeLines } from '../diff.js';
+import { retag, tagMatches } from '../tags.js';
+import { createKeymap, eventToShortcut, formatShortcut, openShortcutEditor } from './keybindings.js';
+import { openCommandPalette } from './palette.js';
+import { openEncryptionDialog, openPasswordDialog, showLockScreen } from './lock.js';
+import { openReminderPicker } from './reminderPicker.js';
+import { createCalendar } from './calendar.js';
+import { openTemplateManager, promptTemplateFields } from './templates.js';
+import { templateFields } from '../templates.js';
+import { createReminderScheduler } from '../reminders.js';
+import { watchShareLaunches } from '../pwa.js';
+import { createSyncEngine } from '../sync.js';
+import { openWikiLinkAt, parseWikiLinks } from '../wikiLinks.js';
+import { dueStatus, markTask, parseTasks, taskMarkerAt } from '../tasks.js';
+import { attachmentPaths, fileNameFor, noteToMarkdown, notesToZip, readImportFiles, relinkAttachments } from '../markdownFiles.js';
+import { attachmentUrl, getAttachmentBlob } from '../attachments.js';
+import { continueList, indent, insertLink, setHeading, toggleBlock, toggleCode, toggleInline } from '../formatting.js';
+import { createEditHistory } from '../editHistory.js';
+import { applyTheme, openSettingsPanel, restoreTheme } from './theme.js';
+
+/** Drag-and-drop payload types for moving notes and notebooks in the sidebar. */
+const NOTE_DRAG_TYPE = 'application/x-note-id';
+const NOTEBOOK_DRAG_TYPE = 'application/x-notebook-id';
+
+/** Labels of the note list sort orders (NOTE_SORTS in the store). */
+const SORT_LABELS = {
+  updated: 'Last updated',
+  created: 'Date created',
+  title: 'Title A–Z',
+  manual: 'Manual (drag to reorder)',
+};
+
+const EDITOR_MODES = [
+  { mode: 'edit', label: 'Edit', icon: 'edit' },
+  { mode: 'preview', label: 'Preview', icon: 'eye' },
+  { mode: 'split', label: 'Split view', icon: 'columns' },
+];
+
+/** Formatting actions by id (commands `format.<id>`); the transforms are in ../formatting.js. Those with an icon are toolbar buttons. */
+const FORMATS = {
+  bold: { label: 'Bold', icon: 'bold', apply: (s) => toggleInline(s, '**') },
+  italic: { label: 'Italic', icon: 'italic', apply: (s) => toggleInline(s, '_') },
+  heading1: { label: 'Heading 1', apply: (s) => setHeading(s, 1) },
+  heading2: { label: 'Heading 2', apply: (s) => setHeading(s, 2) },
+  heading3: { label: 'Heading 3', apply: (s) => setHeading(s, 3) },
+  paragraph: { label: 'Normal text', apply: (s) => setHeading(s, 0) },
+  bulletList: { label: 'Bulleted list', icon: 'list', apply: (s) => toggleBlock(s, 'bullet') },
+  numberedList: { label: 'Numbered list', icon: 'list-ordered', apply: (s) => toggleBlock(s, 'number') },
+  checklist: { label: 'Checklist', icon: 'check', apply: (s) => toggleBlock(s, 'task') },
+  code: { label: 'Code', icon: 'code', apply: (s) => toggleCode(s) },
+  quote: { label: 'Quote', icon: 'quote', apply: (s) => toggleBlock(s, 'quote') },
+  link: { label: 'Link', icon: 'link', apply: (s) => insertLink(s) },
+};
+
+/** Input types of plain typing, which is undone a burst at a time rather than keystroke by keystroke. */
+const TYPING_INPUT_TYPES = new Set(['insertText', 'deleteContentBackward', 'deleteContentForward']);
 
 /**
  * Build tag chip element with optional remove action.
@@ -97,50 +210,233 @@ function tagInput(initial, onChange) {
   };
 }
 
+/**
+ * Render text with search matches wrapped in <mark>.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {(string|HTMLElement)[]}
+ */
+function highlighted(text, terms) {
+  return splitMatches(text, terms).map((s) => (s.match ? el('mark', {}, s.text) : s.text));
+}
+
+/**
+ * Format a task's due date for the Tasks view.
+ * @param {string} due 'YYYY-MM-DD'
+ * @returns {string}
+ */
+function formatDue(due) {
+  const status = dueStatus(due);
+  if (status === 'today') return 'Today';
+  const [y, m, d] = due.split('-').map(Number);
+  const date = new Date(y, m - 1, d).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+  return status === 'overdue' ? `Overdue · ${date}` : date;
+}
+
+/**
+ * Format an ISO timestamp as a short local date and time.
+ * @param {string} iso
+ * @returns {string}
+ */
+function formatDateTime(iso) {
+  const date = new Date(iso);
+  return `${date.toLocaleDateString()} • ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
+
+/**
+ * Render a line diff, collapsing long runs of unchanged lines.
+ * @param {{type: 'same'|'add'|'del', text: string}[]} parts
+ * @param {number} [context] Unchanged lines kept around each change.
+ * @returns {HTMLElement}
+ */
+function diffView(parts, context = 3) {
+  const root = el('div', { class: 'diff' });
+  const line = (p) =>
+    el('div', { class: `diff-line diff-${p.type}` }, p.type === 'add' ? '+ ' : p.type === 'del' ? '- ' : '  ', p.text);
+  let i = 0;
+  while (i < parts.length) {
+    if (parts[i].type !== 'same') {
+      root.appendChild(line(parts[i++]));
+      continue;
+    }
+    let j = i;
+    while (j < parts.length && parts[j].type === 'same') j++;
+    const run = parts.slice(i, j);
+    const keepHead = i === 0 ? 0 : context;
+    const keepTail = j === parts.length ? 0 : context;
+    if (run.length > keepHead + keepTail + 1) {
+      run.slice(0, keepHead).forEach((p) => root.appendChild(line(p)));
+      root.appendChild(el('div', { class: 'diff-gap' }, `⋯ ${run.length - keepHead - keepTail} unchanged lines`));
+      run.slice(run.length - keepTail).forEach((p) => root.appendChild(line(p)));
+    } else {
+      run.forEach((p) => root.appendChild(line(p)));
+    }
+    i = j;
+  }
+  if (!parts.some((p) => p.type !== 'same')) {
+    root.appendChild(el('div', { class: 'diff-gap' }, 'Content unchanged'));
+  }
+  return root;
+}
+
+/**
+ * Flatten notebooks into tree display order.
+ * Notebooks whose parent no longer exists are shown at the top level.
+ * @param {(import('../store.js').Notebook & {count: number})[]} notebooks Sorted by name, as from listNotebooks().
+ * @returns {{notebook: Object, depth: number, total: number, hasChildren: boolean}[]} total includes nested notebooks.
+ */
+function notebookTree(notebooks) {
+  const ids = new Set(notebooks.map((nb) => nb.id));
+  const children = new Map();
+  for (const nb of notebooks) {
+    const parent = nb.parentId && ids.has(nb.parentId) ? nb.parentId : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(nb);
+  }
+  const rows = [];
+  const walk = (parentId, depth) => {
+    let sum = 0;
+    for (const nb of children.get(parentId) || []) {
+      const row = { notebook: nb, depth, total: 0, hasChildren: children.has(nb.id) };
+      rows.push(row);
+      row.total = nb.count + walk(nb.id, depth + 1);
+      sum += row.total;
+    }
+    return sum;
+  };
+  walk(null, 0);
+  return rows;
+}
+
 /**
  * Build a note list item element.
  * @param {import('../store.js').Note} note
  * @param {boolean} active
  * @param {() => void} onClick
+ * @param {string[]} [terms] Search terms to highlight in the title and snippet.
  * @returns {HTMLElement}
  */
-function noteListItem(note, active, onClick) {
-  const date = new Date(note.updatedAt);
-  const subtitle = `${date.toLocaleDateString()} • ${date.toLocaleTimeString([], {
-    hour: '2-digit',
-    minute: '2-digit',
-  })}`;
-  const snippet = (note.content || '').slice(0, 80).replace(/\n/g, ' ');
+function noteListItem(note, active, onClick, terms = []) {
+  const subtitle = formatDateTime(note.updatedAt);
+  // Encrypted content is ciphertext; show that instead of an excerpt.
+  const snippet = note.encrypted ? null : makeSnippet(stripMarkdown(note.content), terms, 80);
   const fav = el(
     'span',
     { class: 'note-fav', title: note.favorite ? 'Favorite' : 'Not favorite' },
     note.favorite ? icon('star-fill', 16) : icon('star', 16),
   );
+  const reminder = note.remindAt
+    ? el(
+        'span',
+        { class: `note-item-reminder ${Date.parse(note.remindAt) <= Date.now() ? 'due' : ''}`, title: 'Reminder' },
+        icon('bell', 12),
+        ` ${formatDateTime(note.remindAt)}`,
+      )
+    : null;
 
   const node = el(
     'button',
-    { class: `note-item ${active ? 'active' : ''}`, 'aria-pressed': active ? 'true' : 'false' },
-    el('div', { class: 'note-item-head' }, el('span', { class: 'note-title' }, note.title || 'Untitled'), fav),
-    el('div', { class: 'note-item-sub' }, subtitle),
-    el('div', { class: 'note-item-snippet' }, snippet),
+    {
+      class: `note-item ${active ? 'active' : ''}`,
+      'aria-pressed': active ? 'true' : 'false',
+      draggable: note.deletedAt ? 'false' : 'true',
+    },
+    el(
+      'div',
+      { class: 'note-item-head' },
+      note.pinned ? el('span', { class: 'note-pin', title: 'Pinned' }, icon('pin', 14)) : null,
+      el('span', { class: 'note-title' }, highlighted(note.title || 'Untitled', terms)),
+      fav,
+    ),
+    el('div', { class: 'note-item-sub' }, subtitle, reminder),
+    snippet === null
+      ? el('div', { class: 'note-item-snippet encrypted' }, icon('lock', 12), ' Encrypted')
+      : el('div', { class: 'note-item-snippet' }, highlighted(snippet, terms)),
   );
   node.addEventListener('click', onClick);
+  node.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData(NOTE_DRAG_TYPE, note.id);
+    e.dataTransfer.setData('text/plain', note.title || 'Untitled');
+    e.dataTransfer.effectAllowed = 'move';
+  });
   return node;
 }
 
+/**
+ * Build a row of the Tasks view.
+ * @param {{noteId: string, noteTitle: string, line: number, text: string, done: boolean, due: string|null}} task
+ * @param {boolean} active Whether the task's note is open in the editor.
+ * @param {{onToggle: (done: boolean) => void, onOpen: () => void}} handlers
+ * @returns {HTMLElement}
+ */
+function taskListItem(task, active, { onToggle, onOpen }) {
+  const status = dueStatus(task.due);
+  const check = el('input', {
+    type: 'checkbox',
+    class: 'task-checkbox',
+    checked: task.done,
+    'aria-label': `Done: ${task.text || 'task'}`,
+  });
+  check.addEventListener('change', () => onToggle(check.checked));
+  const open = el(
+    'button',
+    { class: 'task-open', title: 'Open in note' },
+    el('span', { class: 'task-text' }, task.text || 'Untitled task'),
+    el('span', { class: 'task-note' }, task.noteTitle || 'Untitled'),
+  );
+  open.addEventListener('click', onOpen);
+  return el(
+    'div',
+    { class: `task-row ${status ? `due-${status}` : ''} ${active ? 'active' : ''}` },
+    check,
+    open,
+    task.due ? el('span', { class: 'task-due-badge' }, formatDue(task.due)) : null,
+  );
+}
+
 /**
  * PUBLIC INTERFACE
  * Initialize the Notes app UI inside a container element.
  */
-/** Initializes the application, renders layout, and wires up all interactions. */
-export function initApp(mount) {
+/**
+ * Initializes the application, renders layout, and wires up all interactions.
+ * options.storage selects the backend ('local' | 'indexeddb' | 'memory' | 'rest', or an adapter object);
+ * options.apiUrl is the base URL for the REST backend; options.syncUrl enables syncing with a sync server.
+ * An encrypted store is unlocked through a lock screen first.
+ */
+export async function initApp(mount, options = {}) {
+  const { storage, apiUrl, syncUrl } = options;
+  const storeOptions = {
+    ...(storage && typeof storage === 'object' ? { adapter: storage } : { storage, baseUrl: apiUrl }),
+    sync: Boolean(syncUrl),
+  };
+  // The store may take a while to open (or need a passphrase); start in the theme used last time.
+  restoreTheme();
+  try {
+    await initStore(storeOptions);
+  } catch (err) {
+    if (err.code !== 'locked') throw err;
+    await showLockScreen(mount, (passphrase) => initStore({ ...storeOptions, passphrase }));
+  }
+
   // App state
   const state = {
     selectedId: null,
-    filter: { type: 'all', value: null }, // 'all' | 'favorites' | 'tag'
+    filter: { type: 'all', value: null }, // 'all' | 'favorites' | 'tag' | 'tasks' | 'reminders' | 'day' ('YYYY-MM-DD') | 'trash'
+    notebookId: null, // notebook filter; combines with the filter above and the search query
     query: '',
     sidebarOpen: true,
+    editorMode: 'edit', // 'edit' | 'preview' | 'split'
+    historyOpen: false,
+    historyRevisionId: null,
+    editorBase: null, // { id, updatedAt, title, content } of the stored note the editor was loaded from
+    conflict: false, // true while the open note has unsaved edits and was changed in another tab
+    unlocked: null, // { id, key, content } of the open encrypted note once its password was entered; dropped on navigation
+    selection: new Set(), // ids of the notes checked for bulk actions
+    selectionAnchor: null, // id a shift-click range starts from
   };
+  /** Per-note undo history of the editor; see ../editHistory.js. */
+  const editHistory = createEditHistory();
 
   // Header
   const menuBtn = el('button', { class: 'icon-btn', title: 'Toggle sidebar', id: 'menuBtn' }, icon('menu', 20));
@@ -149,21 +445,60 @@ export function initApp(mount) {
     class: 'search',
     type: 'search',
     placeholder: 'Search notes…',
+    title: 'Supports "exact phrase", title:word, tag:name, is:favorite and -exclude',
     'aria-label': 'Search notes',
   });
   const addBtn = el('button', { class: 'btn btn-primary', id: 'newNoteBtn' }, icon('add', 18), ' New');
+  const newMenuBtn = el(
+    'button',
+    { class: 'btn btn-primary split-btn-menu', title: 'New from template', 'aria-haspopup': 'menu' },
+    icon('chevron', 16),
+    el('span', { class: 'sr-only' }, 'New from template'),
+  );
+  const syncBadge = el('button', { class: 'sync-badge', id: 'syncBadge', hidden: !syncUrl, title: 'Sync now' });
+  const paletteBtn = el('button', { class: 'icon-btn', id: 'paletteBtn', title: 'Command palette' }, icon('command', 20));
+  const settingsBtn = el('button', { class: 'icon-btn', id: 'settingsBtn', title: 'Settings' }, icon('settings', 20));
+  const lockBtn = el('button', { class: 'icon-btn', id: 'lockBtn', title: 'Lock notes', hidden: !isStoreEncrypted() }, icon('lock', 20));
+  const dataBtn = el(
+    'button',
+    { class: 'icon-btn', id: 'dataBtn', title: 'More actions', 'aria-haspopup': 'menu' },
+    icon('more', 20),
+  );
 
-  const header = el('header', { class: 'app-header' }, el('div', { class: 'header-left' }, menuBtn, title), el('div', { class: 'header-center' }, el('div', { class: 'search-wrap' }, icon('search', 18), search)), el('div', { class: 'header-right' }, addBtn));
+  const header = el('header', { class: 'app-header' }, el('div', { class: 'header-left' }, menuBtn, title), el('div', { class: 'header-center' }, el('div', { class: 'search-wrap' }, icon('search', 18), search)), el('div', { class: 'header-right' }, syncBadge, el('div', { class: 'split-btn' }, addBtn, newMenuBtn), lockBtn, paletteBtn, settingsBtn, dataBtn));
 
   // Sidebar
   const filterAll = el('button', { class: 'nav-btn', title: 'All notes' }, icon('all', 18), ' All');
+  const filterToday = el('button', { class: 'nav-btn', title: 'Open or create today’s daily note' }, icon('calendar', 18), ' Today');
   const filterFav = el('button', { class: 'nav-btn', title: 'Favorites' }, icon('star', 18), ' Favorites');
+  const taskCount = el('span', { class: 'tag-count' });
+  const filterTasks = el('button', { class: 'nav-btn', title: 'Open tasks across notes' }, icon('check', 18), ' Tasks', taskCount);
+  const reminderCount = el('span', { class: 'tag-count' });
+  const filterReminders = el('button', { class: 'nav-btn', title: 'Notes with a reminder, soonest first' }, icon('bell', 18), ' Reminders', reminderCount);
+  const trashCount = el('span', { class: 'tag-count' });
+  const filterTrash = el('button', { class: 'nav-btn', title: 'Trash' }, icon('trash', 18), ' Trash', trashCount);
+  const addNotebookBtn = el('button', { class: 'icon-btn tag-header-action', title: 'New notebook' }, icon('add', 16));
+  const notebookHeader = el(
+    'div',
+    { class: 'tag-header', title: 'Drop a note or notebook here to move it to the top level' },
+    icon('folder', 16),
+    el('span', { class: 'tag-title' }, 'Notebooks'),
+    addNotebookBtn,
+  );
+  const notebooksWrap = el('div', { class: 'notebook-tree', role: 'tree', 'aria-label': 'Notebooks' });
   const tagHeader = el('div', { class: 'tag-header' }, icon('tag', 16), el('span', { class: 'tag-title' }, 'Tags'));
   const tagsWrap = el('div', { class: 'tag-list' });
 
   const notesWrap = el('div', { class: 'notes-list' });
+  const calendar = createCalendar({
+    getActivity: listNoteActivity,
+    onSelect: (day) => {
+      state.filter = day ? { type: 'day', value: day } : { type: 'all', value: null };
+      refresh();
+    },
+  });
 
-  const sidebar = el('aside', { class: 'app-sidebar' }, el('nav', { class: 'sidebar-nav' }, filterAll, filterFav, tagHeader, tagsWrap), el('div', { class: 'sidebar-divider' }), notesWrap);
+  const sidebar = el('aside', { class: 'app-sidebar' }, el('nav', { class: 'sidebar-nav' }, filterAll, filterToday, filterFav, filterTasks, filterReminders, filterTrash, calendar.root, notebookHeader, notebooksWrap, tagHeader, tagsWrap), el('div', { class: 'sidebar-divider' }), notesWrap);
 
   // Editor
   const noteTitle = el('input', {
@@ -172,9 +507,46 @@ export function initApp(mount) {
     placeholder: 'Note title…',
     'aria-label': 'Note title',
   });
+  const modeSwitch = el(
+    'div',
+    { class: 'mode-switch', role: 'group', 'aria-label': 'Editor mode' },
+    EDITOR_MODES.map((m) =>
+      el(
+        'button',
+        { class: 'icon-btn', title: m.label, dataset: { mode: m.mode }, onclick: () => setEditorMode(m.mode) },
+        icon(m.icon, 18),
+        el('span', { class: 'sr-only' }, m.label),
+      ),
+    ),
+  );
+  const toolButton = (id, label, iconName) =>
+    el('button', { class: 'icon-btn', type: 'button', title: label, dataset: { format: id } }, icon(iconName, 16), el('span', { class: 'sr-only' }, label));
+  const undoBtn = toolButton('undo', 'Undo', 'undo');
+  const redoBtn = toolButton('redo', 'Redo', 'redo');
+  const headingBtn = toolButton('heading', 'Heading', 'heading');
+  headingBtn.setAttribute('aria-haspopup', 'menu');
+  const formatBar = el(
+    'div',
+    { class: 'format-bar', role: 'toolbar', 'aria-label': 'Formatting' },
+    undoBtn,
+    redoBtn,
+    el('span', { class: 'format-sep', 'aria-hidden': 'true' }),
+    toolButton('bold', FORMATS.bold.label, FORMATS.bold.icon),
+    toolButton('italic', FORMATS.italic.label, FORMATS.italic.icon),
+    headingBtn,
+    ...['bulletList', 'numberedList', 'checklist', 'code', 'quote', 'link'].map((id) => toolButton(id, FORMATS[id].label, FORMATS[id].icon)),
+  );
   const noteToolbar = el(
     'div',
     { class: 'note-toolbar' },
+    modeSwitch,
+    formatBar,
+    el(
+      'button',
+      { class: 'icon-btn', id: 'historyBtn', title: 'Revision history' },
+      icon('history', 18),
+      el('span', { class: 'sr-only' }, 'Revision history'),
+    ),
     el(
       'button',
       { class: 'icon-btn', id: 'favToggleBtn', title: 'Toggle favorite' },
@@ -183,11 +555,54 @@ export function initApp(mount) {
     ),
     el(
       'button',
-      { class: 'icon-btn danger', id: 'deleteBtn', title: 'Delete note' },
+      { class: 'icon-btn', id: 'pinBtn', title: 'Pin to top', 'aria-pressed': 'false' },
+      icon('pin', 18),
+      el('span', { class: 'sr-only' }, 'Pin to top'),
+    ),
+    el(
+      'button',
+      { class: 'icon-btn', id: 'reminderBtn', title: 'Set reminder', 'aria-haspopup': 'dialog' },
+      icon('bell', 18),
+      el('span', { class: 'sr-only' }, 'Set reminder'),
+    ),
+    el(
+      'button',
+      { class: 'icon-btn', id: 'attachBtn', title: 'Attach files' },
+      icon('paperclip', 18),
+      el('span', { class: 'sr-only' }, 'Attach files'),
+    ),
+    el(
+      'button',
+      { class: 'icon-btn', id: 'encryptBtn', title: 'Encrypt note', 'aria-haspopup': 'menu' },
+      icon('lock', 18),
+      el('span', { class: 'sr-only' }, 'Encrypt note'),
+    ),
+    el(
+      'button',
+      { class: 'icon-btn', id: 'downloadBtn', title: 'Download as Markdown' },
+      icon('download', 18),
+      el('span', { class: 'sr-only' }, 'Download as Markdown'),
+    ),
+    el(
+      'button',
+      { class: 'icon-btn danger', id: 'deleteBtn', title: 'Move to trash' },
+      icon('trash', 18),
+      el('span', { class: 'sr-only' }, 'Move to trash'),
+    ),
+    el(
+      'button',
+      { class: 'icon-btn', id: 'restoreBtn', title: 'Restore from trash' },
+      icon('restore', 18),
+      el('span', { class: 'sr-only' }, 'Restore'),
+    ),
+    el(
+      'button',
+      { class: 'icon-btn danger', id: 'purgeBtn', title: 'Delete forever' },
       icon('trash', 18),
-      el('span', { class: 'sr-only' }, 'Delete'),
+      el('span', { class: 'sr-only' }, 'Delete forever'),
     ),
   );
+  const notebookSelect = el('select', { class: 'notebook-select', 'aria-label': 'Notebook' });
   const tagsLabel = el('label', { class: 'label' }, 'Tags');
   const tagControl = tagInput([], onTagsChanged);
   const noteContent = el('textarea', {
@@ -196,6 +611,56 @@ export function initApp(mount) {
     'aria-label': 'Note content',
     rows: '12',
   });
+  const notePreview = el('div', { class: 'note-preview markdown-body', 'aria-label': 'Note preview' });
+  const historyList = el('div', { class: 'history-list' });
+  const historyDiff = el('div', { class: 'history-diff' });
+  const historyRestoreBtn = el('button', { class: 'btn btn-primary' }, 'Restore this version');
+  const historyCloseBtn = el('button', { class: 'icon-btn', title: 'Close history' }, icon('close', 16));
+  const historyPanel = el(
+    'aside',
+    { class: 'history-panel', 'aria-label': 'Revision history' },
+    el('div', { class: 'history-head' }, el('span', { class: 'label' }, 'History'), historyCloseBtn),
+    historyList,
+    historyDiff,
+    historyRestoreBtn,
+  );
+  const unlockInput = el('input', {
+    class: 'lock-input',
+    type: 'password',
+    placeholder: 'Password',
+    autocomplete: 'current-password',
+    'aria-label': 'Note password',
+  });
+  const unlockError = el('p', { class: 'lock-error', role: 'alert' });
+  const unlockBtn = el('button', { class: 'btn btn-primary', type: 'submit' }, 'Unlock');
+  const unlockForm = el(
+    'form',
+    { class: 'note-locked' },
+    el('div', { class: 'lock-icon' }, icon('lock', 28)),
+    el('p', { class: 'lock-title' }, 'This note is encrypted'),
+    el('p', { class: 'lock-hint' }, 'Enter its password to read or edit it. It locks again when you open another note.'),
+    unlockInput,
+    unlockError,
+    unlockBtn,
+  );
+  const editorBody = el('div', { class: 'editor-body' }, unlockForm, noteContent, notePreview, historyPanel);
+  const linkSuggest = el('div', { class: 'link-suggest', role: 'listbox', 'aria-label': 'Link to note', hidden: true });
+  const attachmentsCount = el('span', { class: 'tag-count' });
+  const attachmentsList = el('div', { class: 'attachments-list' });
+  const attachmentsPanel = el(
+    'details',
+    { class: 'attachments', 'aria-label': 'Attachments' },
+    el('summary', { class: 'label' }, 'Attachments ', attachmentsCount),
+    attachmentsList,
+  );
+  const backlinksCount = el('span', { class: 'tag-count' });
+  const backlinksList = el('div', { class: 'backlinks-list' });
+  const backlinksPanel = el(
+    'details',
+    { class: 'backlinks', 'aria-label': 'Backlinks' },
+    el('summary', { class: 'label' }, 'Linked from ', backlinksCount),
+    backlinksList,
+  );
 
   const emptyState = el(
     'div',
@@ -203,17 +668,62 @@ export function initApp(mount) {
     el('p', {}, 'Select a note from the list, or create a new one to begin.'),
   );
 
+  const conflictMine = el('button', { class: 'btn btn-primary' }, 'Keep mine');
+  const conflictTheirs = el('button', { class: 'btn btn-secondary' }, 'Take theirs');
+  const conflictMerge = el('button', { class: 'btn btn-secondary' }, 'Merge');
+  const conflictBar = el(
+    'div',
+    { class: 'conflict-bar', role: 'alert', hidden: true },
+    el('span', {}, 'This note was changed in another tab while you were editing it.'),
+    el('div', { class: 'conflict-actions' }, conflictMine, conflictTheirs, conflictMerge),
+  );
+
   const editor = el(
     'section',
     { class: 'app-editor' },
     el('div', { class: 'editor-head' }, noteTitle, noteToolbar),
-    el('div', { class: 'editor-tags' }, tagsLabel, tagControl.root),
-    noteContent,
+    conflictBar,
+    el(
+      'div',
+      { class: 'editor-tags' },
+      el('div', { class: 'editor-tags-head' }, tagsLabel, notebookSelect),
+      tagControl.root,
+    ),
+    editorBody,
+    attachmentsPanel,
+    backlinksPanel,
     emptyState,
   );
 
+  // Recovery notice when stored data could not be read and was quarantined
+  const recovery = getStoreRecovery();
+  let banner = null;
+  if (recovery) {
+    const dismissBtn = el('button', { class: 'icon-btn', title: 'Dismiss' }, icon('close', 16));
+    banner = el(
+      'div',
+      { class: 'app-banner', role: 'alert' },
+      el(
+        'span',
+        {},
+        recovery.dropped
+          ? `${recovery.dropped} saved note${recovery.dropped === 1 ? '' : 's'} could not be read and ${recovery.dropped === 1 ? 'was' : 'were'} left out. A copy of all your notes was kept under "${recovery.backupKey}".`
+          : `Your saved notes could not be loaded (${recovery.reason}). A copy was kept under "${recovery.backupKey}".`,
+      ),
+      dismissBtn,
+    );
+    dismissBtn.addEventListener('click', () => banner.remove());
+  }
+
   // Main layout
-  const root = el('div', { class: 'app-root' }, header, el('div', { class: 'app-body' }, sidebar, editor));
+  const root = el(
+    'div',
+    { class: 'app-root' },
+    header,
+    banner,
+    el('div', { class: 'app-body' }, sidebar, editor),
+    linkSuggest,
+  );
   mount.innerHTML = '';
   mount.appendChild(root);
 
@@ -223,22 +733,107 @@ export function initApp(mount) {
     root.classList.toggle('sidebar-collapsed', !state.sidebarOpen);
   });
 
-  addBtn.addEventListener('click', () => {
+  addBtn.addEventListener('click', () => newNote());
+
+  paletteBtn.addEventListener('click', () => openPalette());
+
+  function newNote() {
     const n = createNote({
       title: 'Untitled',
       content: '',
       tags: [],
       favorite: false,
+      notebookId: state.notebookId,
     });
-    state.selectedId = n.id;
+    showNewNote(n);
+  }
+
+  function showNewNote(note) {
+    state.selectedId = note.id;
     state.filter = { type: 'all', value: null };
     state.query = '';
     search.value = '';
     refresh();
+  }
+
+  // Templates
+  newMenuBtn.addEventListener('click', () => {
+    const open = state.selectedId ? getNote(state.selectedId) : null;
+    showMenu(newMenuBtn, [
+      { label: 'Blank note', onSelect: newNote },
+      ...listTemplates().map((t) => ({ label: t.name, onSelect: () => newNoteFromTemplate(t) })),
+      '-',
+      {
+        label: 'Save current note as template…',
+        onSelect: saveAsTemplate,
+        disabled: !open || Boolean(open.deletedAt) || open.encrypted,
+      },
+      { label: 'Manage templates…', onSelect: manageTemplates },
+    ]);
   });
 
+  async function newNoteFromTemplate(template) {
+    const fields = templateFields(template);
+    const values = fields.length ? await promptTemplateFields(template, fields) : {};
+    if (!values) return;
+    const created = createNoteFromTemplate(template.id, values, { notebookId: state.notebookId });
+    if (!created) return;
+    showNewNote(created.note);
+    if (created.cursor !== null && state.editorMode !== 'preview') {
+      noteContent.focus();
+      noteContent.setSelectionRange(created.cursor, created.cursor);
+    } else {
+      noteTitle.focus();
+      noteTitle.select();
+    }
+  }
+
+  function saveAsTemplate() {
+    const note = state.selectedId ? getNote(state.selectedId) : null;
+    if (!note) return;
+    if (hasUnsavedEdits()) saveEditor({ title: noteTitle.value, content: noteContent.value });
+    const name = window.prompt('Template name', note.title || 'Untitled');
+    if (!name || !name.trim()) return;
+    try {
+      const template = saveNoteAsTemplate(note.id, name);
+      toast(`Saved template “${template.name}”`);
+    } catch (err) {
+      toast(err.message, { kind: 'error' });
+    }
+  }
+
+  function manageTemplates() {
+    openTemplateManager({
+      listTemplates,
+      onSave: (id, fields) => updateTemplate(id, fields),
+      onDelete: (id) => deleteTemplate(id),
+    });
+  }
+
+  dataBtn.addEventListener('click', () => {
+    showMenu(dataBtn, [
+      { label: 'Export JSON backup', onSelect: exportJsonBackup },
+      { label: 'Export all as Markdown (.zip)', onSelect: exportMarkdownZip },
+      '-',
+      { label: 'Restore backup (merge)…', onSelect: () => restoreJsonBackup('merge') },
+      { label: 'Restore backup (replace all)…', onSelect: () => restoreJsonBackup('replace'), danger: true },
+      '-',
+      { label: 'Import Markdown files or .zip…', onSelect: () => importMarkdown(false) },
+      { label: 'Import folder…', onSelect: () => importMarkdown(true) },
+      '-',
+      { label: 'Settings…', onSelect: openSettings },
+      { label: 'Keyboard shortcuts…', onSelect: editShortcuts },
+      { label: 'Encryption…', onSelect: editEncryption },
+    ]);
+  });
+
+  lockBtn.addEventListener('click', () => lockApp());
+
+  settingsBtn.addEventListener('click', () => openSettings());
+
   filterAll.addEventListener('click', () => {
     state.filter = { type: 'all', value: null };
+    state.notebookId = null;
     refresh();
   });
 
@@ -247,6 +842,49 @@ export function initApp(mount) {
     refresh();
   });
 
+  filterTasks.addEventListener('click', () => {
+    state.filter = { type: 'tasks', value: true };
+    refresh();
+  });
+
+  filterToday.addEventListener('click', () => openDailyNote());
+
+  function openDailyNote() {
+    const { note, created } = getOrCreateDailyNote(new Date(), { notebookId: state.notebookId });
+    if (created) {
+      showNewNote(note);
+      noteContent.focus();
+      noteContent.setSelectionRange(noteContent.value.length, noteContent.value.length);
+    } else {
+      openNote(note.id);
+    }
+  }
+
+  filterReminders.addEventListener('click', () => {
+    state.filter = { type: 'reminders', value: true };
+    refresh();
+  });
+
+  filterTrash.addEventListener('click', () => {
+    state.filter = { type: 'trash', value: true };
+    const trashed = listNotes(listOptions());
+    state.selectedId = trashed.length ? trashed[0].id : null;
+    refresh();
+  });
+
+  addNotebookBtn.addEventListener('click', () => promptNewNotebook(null));
+
+  dropTarget(notebookHeader, null);
+
+  notebookSelect.addEventListener('change', () => {
+    if (!state.selectedId) return;
+    const moved = moveNote(state.selectedId, notebookSelect.value || null);
+    if (!moved) return;
+    if (state.editorBase && !state.conflict) state.editorBase.updatedAt = moved.updatedAt;
+    refreshNotebookTree();
+    refreshNotesListOnlySelection();
+  });
+
   search.addEventListener(
     'input',
     debounce((e) => {
@@ -257,144 +895,1940 @@ export function initApp(mount) {
 
   noteTitle.addEventListener(
     'input',
-    debounce(() => {
-      if (!state.selectedId) return;
-      updateNote(state.selectedId, { title: noteTitle.value });
-      refreshNotesListOnlySelection();
-    }, 250),
+    debounce(() => saveEditor({ title: noteTitle.value }), 250),
   );
 
-  noteContent.addEventListener(
-    'input',
-    debounce(() => {
-      if (!state.selectedId) return;
-      updateNote(state.selectedId, { content: noteContent.value });
-      refreshNotesListOnlySelection();
-    }, 250),
-  );
+  noteContent.addEventListener('input', (e) => {
+    if (state.selectedId) {
+      editHistory.record(state.selectedId, editorState(), { merge: TYPING_INPUT_TYPES.has(e.inputType) });
+      renderUndoButtons();
+    }
+    if (state.editorMode !== 'edit') renderPreview();
+    updateLinkSuggest();
+  });
 
-  noteToolbar.querySelector('#deleteBtn').addEventListener('click', () => {
-    if (!state.selectedId) return;
-    const delId = state.selectedId;
-    const ok = deleteNote(delId);
-    if (ok) {
-      // choose next note if any
-      const remain = listNotes({ query: state.query, favorites: state.filter.type === 'favorites', tag: state.filter.type === 'tag' ? state.filter.value : undefined });
-      state.selectedId = remain.length ? remain[0].id : null;
-      refresh();
+  noteContent.addEventListener('keydown', (e) => {
+    if (!linkSuggestion) return;
+    const { items } = linkSuggestion;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      linkSuggestion.active = (linkSuggestion.active + step + items.length) % items.length;
+      renderLinkSuggest();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      acceptLinkSuggestion(items[linkSuggestion.active]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closeLinkSuggest();
     }
   });
 
-  noteToolbar.querySelector('#favToggleBtn').addEventListener('click', () => {
-    if (!state.selectedId) return;
-    const updated = toggleFavorite(state.selectedId);
-    if (updated) {
-      refreshNotesList();
-      renderEditor(updated);
+  // Editing keys: undo/redo from the note's own history, list continuation and indentation. Escape
+  // before Tab lets Tab move the focus on instead of indenting.
+  let tabMovesFocus = false;
+  noteContent.addEventListener('keydown', (e) => {
+    const leaving = tabMovesFocus;
+    tabMovesFocus = e.key === 'Escape';
+    if (e.defaultPrevented || e.isComposing || noteContent.readOnly) return;
+    const shortcut = eventToShortcut(e);
+    if (shortcut === 'Mod+Z' || shortcut === 'Mod+Shift+Z' || shortcut === 'Mod+Y') {
+      e.preventDefault();
+      stepHistory(shortcut === 'Mod+Z' ? -1 : 1);
+    } else if (shortcut === 'Enter') {
+      if (replaceContent(continueList(editorState()))) e.preventDefault();
+    } else if ((shortcut === 'Tab' || shortcut === 'Shift+Tab') && !leaving) {
+      e.preventDefault();
+      replaceContent(indent(editorState(), e.shiftKey));
     }
   });
 
-  function onTagsChanged(tags) {
-    if (!state.selectedId) return;
-    updateNote(state.selectedId, { tags });
-    refreshTagList();
-    refreshNotesListOnlySelection();
-  }
+  // Undo and redo from the browser's menus or gestures.
+  noteContent.addEventListener('beforeinput', (e) => {
+    if (e.inputType !== 'historyUndo' && e.inputType !== 'historyRedo') return;
+    e.preventDefault();
+    stepHistory(e.inputType === 'historyUndo' ? -1 : 1);
+  });
 
-  // Rendering
-  function refresh() {
-    // initialize default content if empty
-    if (listNotes().length === 0) {
-      const welcome = createNote({
-        title: 'Welcome',
-        content:
-          'This is your notes app.\n\n- Create notes with the New button\n- Search using the search bar\n- Organize with tags and favorites\n\nEnjoy!',
-        tags: ['welcome'],
-        favorite: true,
-      });
-      state.selectedId = welcome.id;
+  // Toolbar buttons keep the focus (and the selection) in the editor.
+  formatBar.addEventListener('mousedown', (e) => {
+    if (e.target.closest('button')) e.preventDefault();
+  });
+
+  formatBar.addEventListener('click', (e) => {
+    const id = e.target.closest('button')?.dataset.format;
+    if (!id) return;
+    if (id === 'undo' || id === 'redo') {
+      stepHistory(id === 'undo' ? -1 : 1);
+    } else if (id === 'heading') {
+      showMenu(
+        headingBtn,
+        ['heading1', 'heading2', 'heading3', 'paragraph'].map((level) => ({ label: FORMATS[level].label, onSelect: () => applyFormat(level) })),
+      );
+    } else {
+      applyFormat(id);
     }
+  });
 
-    refreshTagList();
-    refreshNotesList();
-    renderEditor(getNote(state.selectedId));
-    root.classList.toggle('sidebar-collapsed', !state.sidebarOpen);
-  }
+  noteContent.addEventListener('blur', () => closeLinkSuggest());
 
-  function refreshTagList() {
-    const tags = listTags();
-    tagsWrap.innerHTML = '';
-    if (tags.length === 0) {
-      tagsWrap.appendChild(el('div', { class: 'tag-empty' }, 'No tags yet'));
+  noteContent.addEventListener('click', (e) => {
+    if (!(e.ctrlKey || e.metaKey)) {
+      // A click inside the brackets of "- [ ]" checks or unchecks the task.
+      if (noteContent.readOnly || noteContent.selectionStart !== noteContent.selectionEnd) return;
+      const marker = taskMarkerAt(noteContent.value, noteContent.selectionStart);
+      if (marker) toggleTaskInEditor(marker.line, !marker.done);
       return;
     }
-    for (const t of tags) {
-      const btn = el('button', { class: 'tag-btn' }, '#', t.tag, el('span', { class: 'tag-count' }, t.count));
-      btn.addEventListener('click', () => {
-        state.filter = { type: 'tag', value: t.tag };
-        refreshNotesList();
-      });
-      if (state.filter.type === 'tag' && state.filter.value === t.tag) btn.classList.add('active');
-      tagsWrap.appendChild(btn);
+    const pos = noteContent.selectionStart;
+    const link = parseWikiLinks(noteContent.value).find((l) => pos > l.start && pos < l.end);
+    if (link) {
+      e.preventDefault();
+      openWikiLink(link.title);
     }
-  }
+  });
 
-  function refreshNotesListOnlySelection() {
-    // Update list to reflect new title/snippet/fav markers, but keep selection intact
-    const selId = state.selectedId;
-    refreshNotesList(selId);
-  }
+  notePreview.addEventListener('change', (e) => {
+    if (e.target.matches('.task-checkbox')) toggleTaskInEditor(Number(e.target.dataset.line), e.target.checked);
+  });
 
-  function refreshNotesList(forceSelectId = null) {
-    const opts = {
-      query: state.query,
-      favorites: state.filter.type === 'favorites',
-      tag: state.filter.type === 'tag' ? state.filter.value : undefined,
-    };
-    const notes = listNotes(opts);
-    notesWrap.innerHTML = '';
-    if (notes.length === 0) {
-      notesWrap.appendChild(el('div', { class: 'empty-list' }, 'No notes found'));
-    } else {
-      notes.forEach((n) => {
-        const item = noteListItem(n, n.id === state.selectedId, () => {
-          state.selectedId = n.id;
-          renderEditor(n);
-          refreshNotesList(n.id);
-        });
-        notesWrap.appendChild(item);
-      });
-    }
+  noteContent.addEventListener('paste', (e) => {
+    const files = Array.from(e.clipboardData?.files || []);
+    if (files.length === 0) return;
+    e.preventDefault();
+    attachFiles(files);
+  });
 
-    // If no selection, select the first
-    if (!state.selectedId && notes.length) {
-      state.selectedId = notes[0].id;
+  noteContent.addEventListener('dragover', (e) => {
+    if (noteContent.readOnly || !e.dataTransfer?.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  });
+
+  noteContent.addEventListener('drop', (e) => {
+    const files = Array.from(e.dataTransfer?.files || []);
+    if (files.length === 0) return;
+    e.preventDefault();
+    attachFiles(files);
+  });
+
+  notePreview.addEventListener('click', (e) => {
+    const file = e.target.closest('a.attachment-link');
+    if (file) {
+      e.preventDefault();
+      const id = file.dataset.attachment;
+      const meta = getNote(state.selectedId)?.attachments.find((a) => a.id === id);
+      downloadAttachment(meta || { id, name: file.textContent });
+      return;
     }
-    // Force selection if requested
-    if (forceSelectId != null) {
-      // nothing extra; items were rendered with active class based on id
+    const link = e.target.closest('a.wiki-link');
+    if (!link) return;
+    e.preventDefault();
+    openWikiLink(link.dataset.title);
+  });
+
+  noteContent.addEventListener(
+    'input',
+    debounce(() => saveEditor({ content: noteContent.value }), 250),
+  );
+
+  conflictMine.addEventListener('click', () => {
+    resolveConflict(noteTitle.value, noteContent.value);
+  });
+
+  conflictTheirs.addEventListener('click', () => {
+    renderEditor(getNote(state.selectedId));
+  });
+
+  conflictMerge.addEventListener('click', () => {
+    const theirs = getNote(state.selectedId);
+    const base = state.editorBase;
+    if (!theirs || !base) return;
+    const merged = mergeLines(base.content, noteContent.value, theirs.content);
+    const title = noteTitle.value !== base.title ? noteTitle.value : theirs.title;
+    resolveConflict(title, merged.text);
+    if (merged.conflicts) {
+      toast(`Merged with ${merged.conflicts} conflicting section${merged.conflicts === 1 ? '' : 's'}; look for the <<<<<<< markers`);
     }
+  });
+
+  // Live updates from other tabs and from the sync server
+  watchExternalChanges(onStoreChangedElsewhere);
+
+  const syncEngine = syncUrl ? createSyncEngine({ baseUrl: syncUrl, onRemoteChanges: onStoreChangedElsewhere }) : null;
+  if (syncEngine) {
+    syncEngine.onStatus(renderSyncStatus);
+    syncBadge.addEventListener('click', () => syncEngine.syncNow());
   }
 
-  function renderEditor(note) {
-    if (!note) {
-      editor.classList.add('empty');
-      emptyState.style.display = 'flex';
-      noteTitle.value = '';
-      noteContent.value = '';
-      tagControl.setTags([]);
+  function onStoreChangedElsewhere({ changedIds, locked }) {
+    if (locked) {
+      // Another tab changed the encryption; reading or writing with this tab's key would be wrong.
+      window.location.reload();
+      return;
+    }
+    applyTheme(getSettings());
+    refreshNotebookTree();
+    refreshTagList();
+    refreshNotesListOnlySelection();
+    reminders.reschedule();
+    if (!state.selectedId || !changedIds.includes(state.selectedId)) return;
+    const remote = getNote(state.selectedId);
+    if (!remote) {
+      toast('The open note was deleted in another tab');
+      selectFirstRemaining();
+    } else if (remote.encrypted || state.unlocked) {
+      relockChanged(remote);
+    } else if (state.conflict || hasUnsavedEdits()) {
+      showConflict(remote);
+    } else {
+      renderEditor(remote);
+    }
+  }
+
+  function renderSyncStatus(status) {
+    const pending = status.pending ? ` · ${status.pending} pending` : '';
+    const labels = {
+      idle: status.lastSyncedAt ? 'Synced' : 'Not synced yet',
+      syncing: 'Syncing…',
+      offline: 'Offline',
+      error: 'Sync error',
+    };
+    syncBadge.textContent = labels[status.state] + pending;
+    syncBadge.dataset.state = status.state;
+    syncBadge.title = status.error
+      ? `${status.error}. Click to retry.`
+      : status.lastSyncedAt
+        ? `Last synced ${formatDateTime(status.lastSyncedAt)}. Click to sync now.`
+        : 'Click to sync now.';
+  }
+
+  noteToolbar.querySelector('#historyBtn').addEventListener('click', () => {
+    setHistoryOpen(!state.historyOpen);
+  });
+
+  historyCloseBtn.addEventListener('click', () => setHistoryOpen(false));
+
+  historyRestoreBtn.addEventListener('click', () => {
+    if (!state.selectedId || !state.historyRevisionId) return;
+    const restored = restoreRevision(state.selectedId, state.historyRevisionId);
+    if (restored) {
+      state.historyRevisionId = null;
+      renderEditor(restored);
+      refreshTagList();
+      refreshNotesListOnlySelection();
+    }
+  });
+
+  noteToolbar.querySelector('#deleteBtn').addEventListener('click', () => {
+    if (!state.selectedId) return;
+    const delId = state.selectedId;
+    const ok = deleteNote(delId);
+    if (ok) {
+      selectFirstRemaining();
+    }
+  });
+
+  noteToolbar.querySelector('#downloadBtn').addEventListener('click', () => {
+    const note = state.selectedId ? getNote(state.selectedId) : null;
+    if (!note) return;
+    if (note.encrypted && state.unlocked?.id !== note.id) {
+      toast('Unlock the note to download it');
+      return;
+    }
+    const plain = { ...note, content: editorContent(note) };
+    downloadFile(fileNameFor(note.title), noteToMarkdown(plain), 'text/markdown;charset=utf-8');
+  });
+
+  // Encrypted notes
+  const encryptBtn = noteToolbar.querySelector('#encryptBtn');
+  let encryptedSave = Promise.resolve(); // saves of encrypted content, applied in order
+
+  encryptBtn.addEventListener('click', () => {
+    const note = state.selectedId ? getNote(state.selectedId) : null;
+    if (!note || note.deletedAt) return;
+    if (!note.encrypted) {
+      if (hasUnsavedEdits()) saveEditor({ title: noteTitle.value, content: noteContent.value });
+      openPasswordDialog({
+        title: 'Encrypt note',
+        description:
+          'The content of this note will be encrypted with its own password; its title and tags stay visible. ' +
+          'Its revision history is deleted. If you forget the password, the content cannot be recovered.',
+        submitLabel: 'Encrypt',
+        busyLabel: 'Encrypting…',
+        confirm: true,
+        onSubmit: async (password) => {
+          const updated = await encryptNote(note.id, password);
+          if (state.selectedId === note.id) renderEditor(updated);
+          refreshNotesListOnlySelection();
+          toast('Note encrypted');
+        },
+      });
+      return;
+    }
+    showMenu(encryptBtn, [
+      { label: 'Lock note', onSelect: lockOpenNote, disabled: state.unlocked?.id !== note.id },
+      {
+        label: 'Remove encryption…',
+        onSelect: () =>
+          openPasswordDialog({
+            title: 'Remove encryption',
+            description: 'Enter the password of this note to store its content as plain text again.',
+            submitLabel: 'Remove encryption',
+            busyLabel: 'Decrypting…',
+            onSubmit: async (password) => {
+              await encryptedSave;
+              const updated = await removeNoteEncryption(note.id, password);
+              if (state.unlocked?.id === note.id) state.unlocked = null;
+              if (state.selectedId === note.id) renderEditor(updated);
+              refreshNotesListOnlySelection();
+              toast('Encryption removed');
+            },
+          }),
+      },
+    ]);
+  });
+
+  unlockForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const id = state.selectedId;
+    if (!id || !unlockInput.value) return;
+    unlockError.textContent = '';
+    unlockBtn.disabled = true;
+    try {
+      const { content, key } = await unlockNote(id, unlockInput.value);
+      if (state.selectedId !== id) return;
+      state.unlocked = { id, key, content };
+      renderEditor(getNote(id));
+      noteContent.focus();
+    } catch (err) {
+      unlockError.textContent = err.code === 'wrong-passphrase' ? 'That password is not correct.' : err.message;
+    } finally {
+      unlockBtn.disabled = false;
+    }
+  });
+
+  function lockOpenNote() {
+    if (!state.unlocked) return;
+    if (hasUnsavedEdits()) saveEditor({ title: noteTitle.value, content: noteContent.value });
+    const { id } = state.unlocked;
+    state.unlocked = null;
+    if (state.selectedId === id) renderEditor(getNote(id));
+  }
+
+  function saveEncryptedContent(fields) {
+    const { id, key } = state.unlocked || {};
+    if (!key || id !== state.selectedId) return;
+    encryptedSave = encryptedSave
+      .then(() => updateEncryptedNote(id, fields, key))
+      .then((note) => {
+        if (!note || state.unlocked?.id !== id) return;
+        if (typeof fields.content === 'string') state.unlocked.content = fields.content;
+        markSaved(note);
+        refreshNotesListOnlySelection();
+      })
+      .catch((err) => toast(`Could not save the encrypted note: ${err.message}`, { kind: 'error' }));
+  }
+
+  /** The text the editor shows for a note: decrypted content while unlocked, nothing while locked. */
+  function editorContent(note) {
+    if (!note.encrypted) return note.content;
+    return state.unlocked?.id === note.id ? state.unlocked.content : '';
+  }
+
+  /** Encrypted content cannot be compared or merged line by line; show the stored version, locked again. */
+  function relockChanged(remote) {
+    if (state.unlocked) toast('This note was changed elsewhere; unlock it again to see the changes');
+    state.unlocked = null;
+    renderEditor(remote);
+  }
+
+  noteToolbar.querySelector('#restoreBtn').addEventListener('click', () => {
+    if (!state.selectedId) return;
+    if (restoreNote(state.selectedId)) {
+      selectFirstRemaining();
+    }
+  });
+
+  noteToolbar.querySelector('#purgeBtn').addEventListener('click', () => {
+    if (!state.selectedId) return;
+    const note = getNote(state.selectedId);
+    if (!note || !window.confirm(`Delete “${note.title || 'Untitled'}” forever? This cannot be undone.`)) return;
+    if (purgeNote(note.id)) {
+      selectFirstRemaining();
+    }
+  });
+
+  noteToolbar.querySelector('#favToggleBtn').addEventListener('click', () => {
+    if (!state.selectedId) return;
+    const updated = toggleFavorite(state.selectedId);
+    if (updated) {
+      if (state.editorBase && !state.conflict) state.editorBase.updatedAt = updated.updatedAt;
+      refreshNotesList();
+      renderFavorite(updated);
+    }
+  });
+
+  const pinBtn = noteToolbar.querySelector('#pinBtn');
+  pinBtn.addEventListener('click', () => {
+    if (!state.selectedId) return;
+    const updated = togglePinned(state.selectedId);
+    if (updated) {
+      if (state.editorBase && !state.conflict) state.editorBase.updatedAt = updated.updatedAt;
+      refreshNotesList();
+      renderPin(updated);
+    }
+  });
+
+  function renderPin(note) {
+    pinBtn.classList.toggle('active', Boolean(note.pinned));
+    pinBtn.setAttribute('aria-pressed', note.pinned ? 'true' : 'false');
+    pinBtn.title = note.pinned ? 'Unpin' : 'Pin to top';
+  }
+
+  // Reminders
+  noteToolbar.querySelector('#attachBtn').addEventListener('click', async () => {
+    attachFiles(await pickFiles({ multiple: true }));
+  });
+
+  const reminderBtn = noteToolbar.querySelector('#reminderBtn');
+  const reminders = createReminderScheduler({ onFire: deliverReminders });
+
+  reminderBtn.addEventListener('click', () => {
+    const note = state.selectedId ? getNote(state.selectedId) : null;
+    if (!note || note.deletedAt) return;
+    openReminderPicker(reminderBtn, { remindAt: note.remindAt, onSet: (at) => applyReminder(note.id, at) });
+  });
+
+  function renderReminder(note) {
+    reminderBtn.classList.toggle('active', Boolean(note.remindAt));
+    reminderBtn.title = note.remindAt ? `Reminder: ${formatDateTime(note.remindAt)}` : 'Set reminder';
+  }
+
+  function reminderChanged(updated) {
+    if (updated.id === state.selectedId) {
+      if (state.editorBase && !state.conflict) state.editorBase.updatedAt = updated.updatedAt;
+      renderReminder(updated);
+    }
+    refreshNotesListOnlySelection();
+    reminders.reschedule();
+  }
+
+  function applyReminder(id, at) {
+    const updated = setReminder(id, at);
+    if (!updated) return;
+    reminderChanged(updated);
+    if (!at) {
+      toast('Reminder removed');
+      return;
+    }
+    // Ask while handling the user's click; browsers ignore permission requests made later from a timer.
+    if (window.Notification?.permission === 'default') {
+      Promise.resolve(window.Notification.requestPermission()).catch(() => {});
+    }
+    toast(`Reminder set for ${formatDateTime(updated.remindAt)}`);
+  }
+
+  function snooze(id, minutes) {
+    const updated = snoozeReminder(id, minutes);
+    if (!updated) return;
+    reminderChanged(updated);
+    toast(`Snoozed until ${formatDateTime(updated.remindAt)}`);
+  }
+
+  function reminderActions(note) {
+    return [
+      { label: 'Open', onSelect: () => openNote(note.id) },
+      { label: 'Snooze 10 min', onSelect: () => snooze(note.id, 10) },
+      { label: 'Done', onSelect: () => applyReminder(note.id, null) },
+    ];
+  }
+
+  function showReminder(note) {
+    const title = note.title || 'Untitled';
+    if (window.Notification?.permission === 'granted') {
+      const body = note.encrypted ? 'Encrypted note' : makeSnippet(stripMarkdown(note.content), [], 120);
+      const notification = new window.Notification(title, { body, tag: `reminder-${note.id}` });
+      notification.addEventListener('click', () => {
+        window.focus();
+        openNote(note.id);
+        notification.close();
+      });
+      return;
+    }
+    toast(`Reminder: ${title}`, { timeout: 0, actions: reminderActions(note) });
+  }
+
+  function deliverReminders(notes, { missed }) {
+    // Only remindedAt changed, so the open editor is still current and the scheduler re-arms itself;
+    // the list is redrawn so these rows show as due.
+    refreshNotesListOnlySelection();
+    if (!missed) {
+      notes.forEach(showReminder);
+    } else if (notes.length === 1) {
+      toast(`Missed reminder: ${notes[0].title || 'Untitled'} (${formatDateTime(notes[0].remindAt)})`, {
+        timeout: 0,
+        actions: reminderActions(notes[0]),
+      });
+    } else {
+      toast(`You missed ${notes.length} reminders while the app was closed`, {
+        timeout: 0,
+        actions: [
+          { label: 'Show', onSelect: () => filterReminders.click() },
+          { label: 'Later', onSelect: () => {} },
+        ],
+      });
+    }
+  }
+
+  // Notebooks
+  function promptNewNotebook(parentId) {
+    const name = window.prompt(parentId ? 'Name of the new sub-notebook' : 'Name of the new notebook');
+    if (!name || !name.trim()) return;
+    const notebook = createNotebook({ name, parentId });
+    if (parentId) updateNotebook(parentId, { collapsed: false });
+    state.notebookId = notebook.id;
+    refresh();
+  }
+
+  function renameNotebook(notebook) {
+    const name = window.prompt('Rename notebook', notebook.name);
+    if (!name || !name.trim() || name.trim() === notebook.name) return;
+    updateNotebook(notebook.id, { name });
+    refreshNotebookTree();
+    renderNotebookSelect(getNote(state.selectedId));
+  }
+
+  function removeNotebook(notebook) {
+    const where = notebook.parentId ? 'its parent notebook' : 'the top level';
+    if (!window.confirm(`Delete the notebook “${notebook.name}”? Its notes and sub-notebooks move to ${where}.`)) return;
+    deleteNotebook(notebook.id);
+    if (state.notebookId === notebook.id) state.notebookId = notebook.parentId;
+    refresh();
+  }
+
+  function notebookMenu(anchor, notebook) {
+    showMenu(anchor, [
+      { label: 'New sub-notebook…', onSelect: () => promptNewNotebook(notebook.id) },
+      { label: 'Rename…', onSelect: () => renameNotebook(notebook) },
+      {
+        label: 'Move to top level',
+        disabled: !notebook.parentId,
+        onSelect: () => {
+          updateNotebook(notebook.id, { parentId: null });
+          refreshNotebookTree();
+          renderNotebookSelect(getNote(state.selectedId));
+        },
+      },
+      '-',
+      { label: 'Delete notebook…', onSelect: () => removeNotebook(notebook), danger: true },
+    ]);
+  }
+
+  /**
+   * Accept dropped notes and notebooks on a sidebar element.
+   * @param {HTMLElement} node
+   * @param {string|null} notebookId Target notebook, or null for the top level.
+   */
+  function dropTarget(node, notebookId) {
+    const accepts = (e) => {
+      const types = [...(e.dataTransfer?.types || [])];
+      return types.includes(NOTE_DRAG_TYPE) || types.includes(NOTEBOOK_DRAG_TYPE);
+    };
+    node.addEventListener('dragover', (e) => {
+      if (!accepts(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      node.classList.add('drop-target');
+    });
+    node.addEventListener('dragleave', () => node.classList.remove('drop-target'));
+    node.addEventListener('drop', (e) => {
+      node.classList.remove('drop-target');
+      if (!accepts(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+      const draggedNotebookId = e.dataTransfer.getData(NOTEBOOK_DRAG_TYPE);
+      if (noteId) {
+        const moved = moveNote(noteId, notebookId);
+        if (moved && noteId === state.selectedId) {
+          if (state.editorBase && !state.conflict) state.editorBase.updatedAt = moved.updatedAt;
+          renderNotebookSelect(moved);
+        }
+      } else if (draggedNotebookId && draggedNotebookId !== notebookId) {
+        try {
+          updateNotebook(draggedNotebookId, { parentId: notebookId });
+        } catch (err) {
+          toast(err.message, { kind: 'error' });
+          return;
+        }
+        renderNotebookSelect(getNote(state.selectedId));
+      }
+      refreshNotebookTree();
+      refreshNotesListOnlySelection();
+    });
+  }
+
+  // Commands, shortcuts and the command palette
+  const commands = [
+    { id: 'palette.open', label: 'Open command palette', run: () => openPalette() },
+    { id: 'note.new', label: 'New note', run: () => newNote() },
+    { id: 'note.today', label: 'Open today’s note', run: () => openDailyNote() },
+    { id: 'note.newFromTemplate', label: 'New note from template…', run: () => newMenuBtn.click() },
+    { id: 'template.save', label: 'Save current note as template…', run: () => saveAsTemplate() },
+    { id: 'template.manage', label: 'Manage templates…', run: () => manageTemplates() },
+    { id: 'search.focus', label: 'Focus search', run: () => search.focus() },
+    { id: 'note.favorite', label: 'Toggle favorite', run: () => noteToolbar.querySelector('#favToggleBtn').click() },
+    { id: 'note.pin', label: 'Pin or unpin note', run: () => pinBtn.click() },
+    { id: 'note.delete', label: 'Move note to trash', run: () => noteToolbar.querySelector('#deleteBtn').click() },
+    { id: 'notes.selectAll', label: 'Select all listed notes', run: () => selectAllListed() },
+    { id: 'note.next', label: 'Next note', run: () => selectAdjacent(1) },
+    { id: 'note.prev', label: 'Previous note', run: () => selectAdjacent(-1) },
+    { id: 'sidebar.toggle', label: 'Toggle sidebar', run: () => menuBtn.click() },
+    { id: 'view.edit', label: 'Editor: edit mode', run: () => setEditorMode('edit') },
+    { id: 'view.preview', label: 'Editor: preview mode', run: () => setEditorMode('preview') },
+    { id: 'view.split', label: 'Editor: split view', run: () => setEditorMode('split') },
+    { id: 'note.history', label: 'Toggle revision history', run: () => state.selectedId && setHistoryOpen(!state.historyOpen) },
+    { id: 'note.encrypt', label: 'Encrypt or lock note', run: () => encryptBtn.click() },
+    { id: 'note.remind', label: 'Set reminder…', run: () => reminderBtn.click() },
+    { id: 'note.attach', label: 'Attach files…', run: () => noteToolbar.querySelector('#attachBtn').click() },
+    { id: 'note.download', label: 'Download note as Markdown', run: () => noteToolbar.querySelector('#downloadBtn').click() },
+    ...Object.entries(FORMATS).map(([id, format]) => ({ id: `format.${id}`, label: `Format: ${format.label}`, run: () => formatFromCommand(id) })),
+    { id: 'filter.all', label: 'Show all notes', run: () => filterAll.click() },
+    { id: 'filter.favorites', label: 'Show favorites', run: () => filterFav.click() },
+    { id: 'filter.tasks', label: 'Show tasks', run: () => filterTasks.click() },
+    { id: 'filter.reminders', label: 'Show reminders', run: () => filterReminders.click() },
+    { id: 'filter.trash', label: 'Show trash', run: () => filterTrash.click() },
+    { id: 'task.toggle', label: 'Check or uncheck task at cursor', run: () => toggleTaskAtCaret() },
+    { id: 'data.exportJson', label: 'Export JSON backup', run: () => exportJsonBackup() },
+    { id: 'data.exportZip', label: 'Export all as Markdown (.zip)', run: () => exportMarkdownZip() },
+    { id: 'settings.open', label: 'Open settings', run: () => openSettings() },
+    { id: 'theme.toggle', label: 'Toggle dark theme', run: () => toggleDarkTheme() },
+    { id: 'shortcuts.edit', label: 'Customize keyboard shortcuts', run: () => editShortcuts() },
+    { id: 'app.lock', label: 'Lock notes', run: () => lockApp() },
+    { id: 'encryption.edit', label: 'Encryption settings', run: () => editEncryption() },
+  ];
+  const keymap = createKeymap(commands, getSettings().keybindings);
+
+  document.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || e.isComposing || !mount.contains(root)) return;
+    const command = keymap.match(e);
+    if (!command) return;
+    // Plain keys (no Ctrl/Cmd/Alt) stay with text fields.
+    const typing = e.target instanceof HTMLElement && e.target.closest('input, textarea, select, [contenteditable]');
+    if (typing && !e.ctrlKey && !e.metaKey && !e.altKey) return;
+    e.preventDefault();
+    command.run();
+  });
+
+  function openPalette() {
+    openCommandPalette({
+      commands: commands.filter((c) => c.id !== 'palette.open'),
+      notes: listNotes(),
+      bindingFor: keymap.bindingFor,
+      onOpenNote: (id) => openNote(id),
+    });
+  }
+
+  function openSettings() {
+    openSettingsPanel(getSettings(), (fields) => applyTheme(updateSettings(fields)), {
+      links: [
+        { label: 'Keyboard shortcuts…', onSelect: editShortcuts },
+        { label: 'Encryption…', onSelect: editEncryption },
+      ],
+    });
+  }
+
+  /** Switch between light and dark, from whichever one is showing (also when following the system). */
+  function toggleDarkTheme() {
+    const dark = document.documentElement.dataset.theme === 'dark';
+    applyTheme(updateSettings({ theme: dark ? 'light' : 'dark' }));
+  }
+
+  function editShortcuts() {
+    openShortcutEditor(keymap, (overrides) => {
+      updateSettings({ keybindings: overrides });
+      renderShortcutHints();
+    });
+  }
+
+  // Tasks
+  function toggleTaskInEditor(line, done) {
+    const content = markTask(noteContent.value, line, done);
+    if (content === noteContent.value) return;
+    const caret = [noteContent.selectionStart, noteContent.selectionEnd];
+    noteContent.value = content;
+    noteContent.setSelectionRange(...caret);
+    editHistory.record(state.selectedId, editorState());
+    renderUndoButtons();
+    saveEditor({ content });
+    if (state.editorMode !== 'edit') renderPreview();
+  }
+
+  function toggleTaskAtCaret() {
+    if (!state.selectedId || noteContent.readOnly) return;
+    const line = noteContent.value.slice(0, noteContent.selectionStart).split('\n').length - 1;
+    const task = parseTasks(noteContent.value).find((t) => t.line === line);
+    if (task) toggleTaskInEditor(line, !task.done);
+  }
+
+  function toggleListedTask(task, done) {
+    if (task.noteId === state.selectedId && hasUnsavedEdits()) {
+      saveEditor({ title: noteTitle.value, content: noteContent.value });
+    }
+    const updated = setTaskDone(task.noteId, task.line, done);
+    if (updated && task.noteId === state.selectedId && !state.conflict) renderEditor(updated);
+    refreshNotesListOnlySelection();
+  }
+
+  function openTask(task) {
+    state.selectedId = task.noteId;
+    renderEditor(getNote(task.noteId));
+    refreshNotesListOnlySelection();
+    // Put the caret on the task's line (and bring it into view in the preview).
+    const lines = noteContent.value.split('\n');
+    const start = lines.slice(0, task.line).reduce((sum, l) => sum + l.length + 1, 0);
+    if (state.editorMode !== 'preview') {
+      noteContent.focus();
+      noteContent.setSelectionRange(start, start + (lines[task.line] || '').length);
+      const lineHeight = parseFloat(window.getComputedStyle(noteContent).lineHeight) || 20;
+      noteContent.scrollTop = Math.max(0, task.line * lineHeight - noteContent.clientHeight / 3);
+    }
+    notePreview.querySelector(`.task-checkbox[data-line="${task.line}"]`)?.scrollIntoView?.({ block: 'center' });
+  }
+
+  function renderTaskList() {
+    const tasks = listTasks(listOptions());
+    if (tasks.length === 0) {
+      notesWrap.appendChild(
+        el('div', { class: 'empty-list' }, state.query ? 'No matching open tasks' : 'No open tasks. Add one to any note with "- [ ] …"'),
+      );
+      return;
+    }
+    for (const task of tasks) {
+      notesWrap.appendChild(
+        taskListItem(task, task.noteId === state.selectedId, {
+          onToggle: (done) => toggleListedTask(task, done),
+          onOpen: () => openTask(task),
+        }),
+      );
+    }
+  }
+
+  // Encryption and locking
+  let locking = false;
+  let lastActivity = Date.now();
+
+  function editEncryption() {
+    openEncryptionDialog({
+      encrypted: isStoreEncrypted(),
+      autoLockMinutes: getSettings().autoLockMinutes,
+      onEnable: async (passphrase) => {
+        await enableEncryption(passphrase);
+        lockBtn.hidden = false;
+        toast('Your notes are now encrypted on this device');
+      },
+      onChangePassphrase: async (current, next) => {
+        await changePassphrase(current, next);
+        toast('Passphrase changed');
+      },
+      onDisable: async (current) => {
+        await disableEncryption(current);
+        lockBtn.hidden = true;
+        toast('Encryption turned off');
+      },
+      onAutoLockChange: (minutes) => updateSettings({ autoLockMinutes: minutes }),
+      onLockNow: () => lockApp(),
+    });
+  }
+
+  async function lockApp() {
+    if (locking || !isStoreEncrypted()) return;
+    locking = true;
+    if (hasUnsavedEdits()) saveEditor({ title: noteTitle.value, content: noteContent.value });
+    await encryptedSave;
+    syncEngine?.stop();
+    reminders.stop();
+    await lockStore();
+    // Reloading drops every decrypted note from memory and the page; the app then starts at the lock screen.
+    window.location.reload();
+  }
+
+  function lockIfIdle() {
+    if (!isStoreEncrypted()) return;
+    const minutes = getSettings().autoLockMinutes;
+    if (minutes > 0 && Date.now() - lastActivity >= minutes * 60 * 1000) lockApp();
+  }
+
+  for (const type of ['pointerdown', 'keydown', 'wheel', 'touchstart']) {
+    document.addEventListener(type, () => (lastActivity = Date.now()), { capture: true, passive: true });
+  }
+  // Compare timestamps rather than arming a timeout, so time spent asleep or in a background tab counts.
+  setInterval(lockIfIdle, 15 * 1000);
+  document.addEventListener('visibilitychange', lockIfIdle);
+
+  function renderShortcutHints() {
+    const hint = (label, id) => {
+      const shortcut = formatShortcut(keymap.bindingFor(id));
+      return shortcut ? `${label} (${shortcut})` : label;
+    };
+    addBtn.title = hint('New note', 'note.new');
+    paletteBtn.title = hint('Command palette', 'palette.open');
+    settingsBtn.title = hint('Settings', 'settings.open');
+    lockBtn.title = hint('Lock notes', 'app.lock');
+    menuBtn.title = hint('Toggle sidebar', 'sidebar.toggle');
+    noteToolbar.querySelector('#favToggleBtn').title = hint('Toggle favorite', 'note.favorite');
+    noteToolbar.querySelector('#deleteBtn').title = hint('Move to trash', 'note.delete');
+    for (const btn of formatBar.querySelectorAll('[data-format]')) {
+      const format = FORMATS[btn.dataset.format];
+      if (format) btn.title = hint(format.label, `format.${btn.dataset.format}`);
+    }
+    undoBtn.title = `Undo (${formatShortcut('Mod+Z')})`;
+    redoBtn.title = `Redo (${formatShortcut('Mod+Shift+Z')})`;
+  }
+
+  function selectAdjacent(step) {
+    const notes = listNotes(listOptions());
+    if (notes.length === 0) return;
+    const idx = notes.findIndex((n) => n.id === state.selectedId);
+    const next = notes[Math.min(notes.length - 1, Math.max(0, idx === -1 ? 0 : idx + step))];
+    if (next.id === state.selectedId) return;
+    state.selectedId = next.id;
+    renderEditor(next);
+    refreshNotesList(next.id);
+    notesWrap.querySelector('.note-item.active')?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  // Wiki links
+  let linkSuggestion = null; // { start, items, active } while the [[link]] autocomplete is open
+
+  function updateLinkSuggest() {
+    const pos = noteContent.selectionStart;
+    const open = noteContent.readOnly || pos !== noteContent.selectionEnd ? null : openWikiLinkAt(noteContent.value, pos);
+    if (!open) {
+      closeLinkSuggest();
+      return;
+    }
+    const q = open.query.trim().toLowerCase();
+    const titles = new Map();
+    for (const n of listNotes()) {
+      if (n.id !== state.selectedId && n.title && !titles.has(n.title.toLowerCase())) titles.set(n.title.toLowerCase(), n.title);
+    }
+    const items = [...titles.values()]
+      .filter((t) => t.toLowerCase().includes(q))
+      .sort((a, b) => Number(!a.toLowerCase().startsWith(q)) - Number(!b.toLowerCase().startsWith(q)))
+      .slice(0, 8);
+    if (items.length === 0) {
+      closeLinkSuggest();
+      return;
+    }
+    linkSuggestion = { start: open.start, items, active: 0 };
+    renderLinkSuggest();
+  }
+
+  function renderLinkSuggest() {
+    linkSuggest.innerHTML = '';
+    linkSuggestion.items.forEach((title, i) => {
+      const active = i === linkSuggestion.active;
+      const item = el(
+        'button',
+        { class: `popup-menu-item ${active ? 'active' : ''}`, role: 'option', 'aria-selected': active ? 'true' : 'false' },
+        title,
+      );
+      // Keep focus in the textarea so the caret position survives the click.
+      item.addEventListener('mousedown', (e) => e.preventDefault());
+      item.addEventListener('click', () => acceptLinkSuggestion(title));
+      linkSuggest.appendChild(item);
+    });
+    // Place the list under the caret's line (ignoring soft wraps).
+    const rect = noteContent.getBoundingClientRect();
+    const style = window.getComputedStyle(noteContent);
+    const lineHeight = parseFloat(style.lineHeight) || (parseFloat(style.fontSize) || 16) * 1.4;
+    const line = noteContent.value.slice(0, linkSuggestion.start).split('\n').length;
+    const top = rect.top + (parseFloat(style.paddingTop) || 0) + line * lineHeight - noteContent.scrollTop;
+    linkSuggest.style.top = `${Math.min(Math.max(top, rect.top), rect.bottom) + 4}px`;
+    linkSuggest.style.left = `${rect.left + 12}px`;
+    linkSuggest.hidden = false;
+  }
+
+  function closeLinkSuggest() {
+    linkSuggestion = null;
+    linkSuggest.hidden = true;
+  }
+
+  function acceptLinkSuggestion(title) {
+    const { start } = linkSuggestion;
+    const pos = noteContent.selectionStart;
+    const end = noteContent.value.startsWith(']]', pos) ? pos + 2 : pos;
+    closeLinkSuggest();
+    noteContent.setRangeText(`[[${title}]]`, start, end, 'end');
+    noteContent.dispatchEvent(new window.Event('input'));
+  }
+
+  function openWikiLink(title) {
+    let target = findNoteByTitle(title);
+    if (!target) {
+      if (!window.confirm(`There is no note titled “${title}”. Create it?`)) return;
+      target = createNote({ title, notebookId: state.notebookId });
+    }
+    openNote(target.id);
+  }
+
+  function openNote(id) {
+    state.selectedId = id;
+    if (!listNotes(listOptions()).some((n) => n.id === id)) {
+      state.filter = { type: 'all', value: null };
+      state.notebookId = null;
+      state.query = '';
+      search.value = '';
+    }
+    refresh();
+  }
+
+  // Import & export
+  function dateStamp() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  async function exportJsonBackup() {
+    const backup = exportBackup();
+    backup.attachments = await exportAttachments();
+    downloadFile(`notes-backup-${dateStamp()}.json`, JSON.stringify(backup, null, 2), 'application/json');
+  }
+
+  async function exportMarkdownZip() {
+    const notes = listNotes();
+    downloadFile(`notes-${dateStamp()}.zip`, notesToZip(notes, await attachmentFiles(notes)), 'application/zip');
+  }
+
+  /**
+   * Read the attachments of notes for a zip export.
+   * @param {import('../store.js').Note[]} notes
+   * @returns {Promise<Map<string, {name: string, data: Uint8Array}>>}
+   */
+  async function attachmentFiles(notes) {
+    const files = new Map();
+    for (const a of notes.flatMap((n) => n.attachments)) {
+      if (files.has(a.id)) continue;
+      const blob = await getAttachmentBlob(a.id);
+      if (blob) files.set(a.id, { name: a.name, data: new Uint8Array(await blob.arrayBuffer()) });
+    }
+    return files;
+  }
+
+  async function restoreJsonBackup(mode) {
+    const [file] = await pickFiles({ accept: '.json,application/json' });
+    if (!file) return;
+    if (mode === 'replace' && !window.confirm('Replace all current notes with the backup? Notes not in the backup will be lost.')) {
+      return;
+    }
+    try {
+      const backup = JSON.parse(await file.text());
+      const result = importBackup(backup, { mode });
+      await importAttachments(backup.attachments);
+      toast(
+        mode === 'replace'
+          ? `Restored ${result.added} notes from backup`
+          : `Backup merged: ${result.added} added, ${result.updated} updated, ${result.unchanged} unchanged`,
+      );
+    } catch (err) {
+      toast(`Could not restore backup: ${err.message}`, { kind: 'error' });
+      return;
+    }
+    state.selectedId = null;
+    refresh();
+  }
+
+  async function importMarkdown(directory) {
+    const files = await pickFiles({
+      accept: directory ? '' : '.md,.markdown,.txt,.zip,text/markdown,text/plain,application/zip',
+      multiple: true,
+      directory,
+    });
+    if (files.length === 0) return;
+    let imported;
+    try {
+      imported = await readImportFiles(files);
+    } catch (err) {
+      toast(`Import failed: ${err.message}`, { kind: 'error' });
+      return;
+    }
+    let last = null;
+    const failed = [...imported.failed];
+    // Files from the attachments/ folder of a zip export go back into the notes that link to them.
+    const attachmentsByPath = new Map(imported.attachments.map((a) => [a.path, a]));
+    for (const fields of imported.notes) {
+      const paths = attachmentPaths(fields.content).filter((p) => attachmentsByPath.has(p));
+      let attachments = [];
+      try {
+        attachments = await storeAttachmentFiles(paths.map((p) => attachmentsByPath.get(p)));
+      } catch (err) {
+        for (const p of paths) failed.push({ name: p, reason: err.message });
+      }
+      const ids = new Map(attachments.map((a, i) => [paths[i], a.id]));
+      last = createNote({ ...fields, content: relinkAttachments(fields.content, ids), attachments });
+    }
+    // Any .json file in the selection is taken for a backup; one that is not fails on its own.
+    let added = imported.notes.length;
+    let updated = 0;
+    for (const backup of imported.backups) {
+      try {
+        const result = importBackup(backup.data, { mode: 'merge' });
+        await importAttachments(backup.data.attachments);
+        added += result.added;
+        updated += result.updated;
+      } catch (err) {
+        failed.push({ name: backup.name, reason: err.message });
+      }
+    }
+    const parts = [`Imported ${added} note${added === 1 ? '' : 's'}`];
+    if (updated) parts.push(`${updated} updated`);
+    if (imported.skipped.length) parts.push(`${imported.skipped.length} file(s) skipped`);
+    if (failed.length) {
+      const first = failed[0];
+      parts.push(`${failed.length} file(s) could not be imported (${first.name}: ${first.reason}${failed.length > 1 ? ', …' : ''})`);
+    }
+    toast(parts.join(', '), { kind: failed.length ? 'error' : 'info' });
+    state.filter = { type: 'all', value: null };
+    if (last) state.selectedId = last.id;
+    refresh();
+  }
+
+  // Saving and conflicts
+  function hasUnsavedEdits() {
+    const base = state.editorBase;
+    return Boolean(base) && (noteTitle.value !== base.title || noteContent.value !== base.content);
+  }
+
+  function markSaved(note) {
+    state.editorBase = { id: note.id, updatedAt: note.updatedAt, title: note.title, content: editorContent(note) };
+  }
+
+  function saveEditor(fields) {
+    if (!state.selectedId || state.conflict) return;
+    const current = getNote(state.selectedId);
+    if (!current || current.deletedAt) return;
+    if (state.editorBase && current.updatedAt !== state.editorBase.updatedAt) {
+      // Changed elsewhere since it was loaded; don't overwrite without asking.
+      showConflict(current);
+      return;
+    }
+    if (current.encrypted && 'content' in fields) {
+      saveEncryptedContent(fields);
+      return;
+    }
+    markSaved(updateNote(state.selectedId, fields));
+    refreshNotesListOnlySelection();
+    if (state.historyOpen) renderHistory();
+  }
+
+  function showConflict(remote) {
+    if (remote.encrypted || state.unlocked) {
+      relockChanged(remote);
+      return;
+    }
+    if (remote.title === noteTitle.value && remote.content === noteContent.value) {
+      markSaved(remote);
+      return;
+    }
+    state.conflict = true;
+    conflictBar.hidden = false;
+  }
+
+  function resolveConflict(title, content) {
+    state.conflict = false;
+    conflictBar.hidden = true;
+    const updated = updateNote(state.selectedId, { title, content });
+    if (updated) renderEditor(updated);
+    refreshNotesListOnlySelection();
+  }
+
+  function onTagsChanged(tags) {
+    if (!state.selectedId) return;
+    const current = getNote(state.selectedId);
+    if (!current || current.deletedAt || current.tags.join('\n') === tags.join('\n')) return;
+    const updated = updateNote(state.selectedId, { tags });
+    if (state.editorBase && !state.conflict) state.editorBase.updatedAt = updated.updatedAt;
+    refreshTagList();
+    refreshNotesListOnlySelection();
+  }
+
+  function setEditorMode(mode) {
+    state.editorMode = mode;
+    editorBody.dataset.mode = mode;
+    formatBar.hidden = mode === 'preview';
+    for (const btn of modeSwitch.children) {
+      const active = btn.dataset.mode === mode;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    }
+    if (mode !== 'edit') renderPreview();
+  }
+
+  function setHistoryOpen(open) {
+    state.historyOpen = open;
+    state.historyRevisionId = null;
+    editorBody.classList.toggle('history-open', open);
+    noteToolbar.querySelector('#historyBtn').setAttribute('aria-pressed', open ? 'true' : 'false');
+    renderHistory();
+  }
+
+  // Rendering
+  function renderPreview() {
+    notePreview.innerHTML = renderMarkdown(noteContent.value);
+    for (const img of notePreview.querySelectorAll('img.attachment-image')) {
+      showAttachmentImage(img, img.dataset.attachment);
+    }
+    for (const link of notePreview.querySelectorAll('a.wiki-link')) {
+      const missing = !findNoteByTitle(link.dataset.title);
+      link.classList.toggle('missing', missing);
+      link.title = missing ? 'No such note yet; click to create it' : 'Open note';
+    }
+    for (const box of notePreview.querySelectorAll('.task-checkbox')) {
+      box.disabled = noteContent.readOnly;
+    }
+    for (const due of notePreview.querySelectorAll('.task-due')) {
+      const done = due.closest('.task-item')?.querySelector('.task-checkbox')?.checked;
+      const status = done ? null : dueStatus(due.getAttribute('datetime'));
+      due.classList.toggle('overdue', status === 'overdue');
+      due.classList.toggle('today', status === 'today');
+    }
+  }
+
+  // Formatting and undo
+  function editorState() {
+    return { value: noteContent.value, start: noteContent.selectionStart, end: noteContent.selectionEnd };
+  }
+
+  /**
+   * Put a new editor state in place as an edit: only the changed span is replaced, and the input event
+   * records it in the undo history, updates the preview and schedules the save.
+   * @param {{value: string, start: number, end: number}|null} next
+   * @returns {boolean} Whether there was a state to apply.
+   */
+  function replaceContent(next) {
+    if (!next) return false;
+    const prev = noteContent.value;
+    let head = 0;
+    while (head < prev.length && head < next.value.length && prev[head] === next.value[head]) head++;
+    let tail = 0;
+    const room = Math.min(prev.length, next.value.length) - head;
+    while (tail < room && prev[prev.length - 1 - tail] === next.value[next.value.length - 1 - tail]) tail++;
+    noteContent.setRangeText(next.value.slice(head, next.value.length - tail), head, prev.length - tail);
+    noteContent.setSelectionRange(next.start, next.end);
+    noteContent.dispatchEvent(new window.Event('input'));
+    return true;
+  }
+
+  function applyFormat(id) {
+    if (!state.selectedId || noteContent.readOnly || state.editorMode === 'preview') return;
+    noteContent.focus();
+    replaceContent(FORMATS[id].apply(editorState()));
+  }
+
+  /** Shortcuts and the palette format the note unless another text field has the focus. */
+  function formatFromCommand(id) {
+    const focused = document.activeElement;
+    if (focused !== noteContent && focused?.closest?.('input, textarea, select')) return;
+    applyFormat(id);
+  }
+
+  function stepHistory(direction) {
+    if (!state.selectedId || noteContent.readOnly) return;
+    const snapshot = direction < 0 ? editHistory.undo(state.selectedId) : editHistory.redo(state.selectedId);
+    if (snapshot) {
+      noteContent.focus();
+      replaceContent(snapshot);
+    }
+    renderUndoButtons();
+  }
+
+  function renderUndoButtons() {
+    undoBtn.disabled = !state.selectedId || !editHistory.canUndo(state.selectedId);
+    redoBtn.disabled = !state.selectedId || !editHistory.canRedo(state.selectedId);
+  }
+
+  // Attachments
+  /**
+   * Load an attachment's blob into an <img>, marking it as missing if the blob is gone.
+   * @param {HTMLImageElement} img
+   * @param {string} id
+   */
+  function showAttachmentImage(img, id) {
+    const missing = () => {
+      img.classList.add('missing');
+      img.title = 'Attachment not found';
+    };
+    attachmentUrl(id)
+      .then((url) => (url ? (img.src = url) : missing()))
+      .catch(missing);
+  }
+
+  function attachmentLink(attachment) {
+    const label = attachment.name.replace(/[[\]]/g, '');
+    return `${attachment.type.startsWith('image/') ? '!' : ''}[${label}](attachment:${attachment.id})`;
+  }
+
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function insertIntoContent(text) {
+    const { selectionStart: start, selectionEnd: end, value } = noteContent;
+    const lead = start > 0 && value[start - 1] !== '\n' ? '\n' : '';
+    noteContent.setRangeText(lead + text, start, end, 'end');
+    noteContent.dispatchEvent(new window.Event('input'));
+  }
+
+  /** Attach files to the open note and link them at the caret. */
+  async function attachFiles(files) {
+    const note = state.selectedId ? getNote(state.selectedId) : null;
+    if (!note || files.length === 0 || note.deletedAt || noteContent.readOnly) return;
+    const links = [];
+    for (const file of files) {
+      try {
+        links.push(attachmentLink(await addAttachment(note.id, file)));
+      } catch (err) {
+        toast(`Could not attach ${file.name}: ${err.message}`, { kind: 'error' });
+        break;
+      }
+    }
+    if (links.length === 0 || state.selectedId !== note.id) return;
+    const updated = getNote(note.id);
+    if (state.editorBase && !state.conflict) state.editorBase.updatedAt = updated.updatedAt;
+    renderAttachments(updated);
+    insertIntoContent(links.join('\n'));
+  }
+
+  async function downloadAttachment(attachment) {
+    const blob = await getAttachmentBlob(attachment.id).catch(() => null);
+    if (!blob) {
+      toast(`The file of “${attachment.name}” is missing`, { kind: 'error' });
+      return;
+    }
+    downloadFile(attachment.name, blob);
+  }
+
+  function removeNoteAttachment(attachment) {
+    const linked = noteContent.value.includes(`attachment:${attachment.id}`);
+    if (!window.confirm(`Remove “${attachment.name}” from this note?${linked ? ' Links to it in the note will stop working.' : ''}`)) return;
+    const updated = removeAttachment(state.selectedId, attachment.id);
+    if (!updated) return;
+    if (state.editorBase && !state.conflict) state.editorBase.updatedAt = updated.updatedAt;
+    renderAttachments(updated);
+    if (state.editorMode !== 'edit') renderPreview();
+  }
+
+  function renderAttachments(note) {
+    attachmentsList.innerHTML = '';
+    const attachments = note?.attachments || [];
+    attachmentsCount.textContent = String(attachments.length);
+    if (attachments.length === 0) {
+      attachmentsList.appendChild(el('div', { class: 'tag-empty' }, 'Paste or drop files into the note to attach them'));
+      return;
+    }
+    const editable = !note.deletedAt && !noteContent.readOnly;
+    for (const a of attachments) {
+      const thumb = el('span', { class: 'attachment-thumb' });
+      if (a.type.startsWith('image/')) {
+        const img = el('img', { alt: '' });
+        showAttachmentImage(img, a.id);
+        thumb.appendChild(img);
+      } else {
+        thumb.appendChild(icon('paperclip', 16));
+      }
+      const open = el('button', { class: 'attachment-name', title: `Download ${a.name}` }, a.name);
+      open.addEventListener('click', () => downloadAttachment(a));
+      const insert = el('button', { class: 'icon-btn', title: 'Link it at the cursor', disabled: !editable }, icon('add', 14));
+      insert.addEventListener('click', () => insertIntoContent(attachmentLink(a)));
+      const remove = el('button', { class: 'icon-btn danger', title: `Remove ${a.name}`, disabled: !editable }, icon('close', 14));
+      remove.addEventListener('click', () => removeNoteAttachment(a));
+      attachmentsList.appendChild(
+        el('div', { class: 'attachment-row' }, thumb, open, el('span', { class: 'attachment-size' }, formatSize(a.size)), insert, remove),
+      );
+    }
+  }
+
+  function renderBacklinks(note) {
+    backlinksList.innerHTML = '';
+    const links = note && !note.deletedAt ? listBacklinks(note.id) : [];
+    backlinksCount.textContent = String(links.length);
+    if (links.length === 0) {
+      backlinksList.appendChild(el('div', { class: 'tag-empty' }, 'No notes link here yet'));
+      return;
+    }
+    for (const n of links) {
+      const item = el('button', { class: 'backlink-item' }, n.title || 'Untitled');
+      item.addEventListener('click', () => openNote(n.id));
+      backlinksList.appendChild(item);
+    }
+  }
+
+  function renderHistory() {
+    historyList.innerHTML = '';
+    historyDiff.innerHTML = '';
+    historyRestoreBtn.disabled = true;
+    const note = state.historyOpen && state.selectedId ? getNote(state.selectedId) : null;
+    if (!note) return;
+
+    const revisions = listRevisions(note.id);
+    if (revisions.length === 0) {
+      historyList.appendChild(el('div', { class: 'tag-empty' }, 'No earlier versions yet'));
+      return;
+    }
+    if (!revisions.some((r) => r.id === state.historyRevisionId)) {
+      state.historyRevisionId = revisions[0].id;
+    }
+    revisions.forEach((r) => {
+      const active = r.id === state.historyRevisionId;
+      const item = el(
+        'button',
+        { class: `history-item ${active ? 'active' : ''}`, 'aria-pressed': active ? 'true' : 'false' },
+        el('span', {}, formatDateTime(r.savedAt)),
+        el('span', { class: 'history-item-title' }, r.title || 'Untitled'),
+      );
+      item.addEventListener('click', () => {
+        state.historyRevisionId = r.id;
+        renderHistory();
+      });
+      historyList.appendChild(item);
+    });
+
+    // Show what changed from the selected revision to the next newer state.
+    const idx = revisions.findIndex((r) => r.id === state.historyRevisionId);
+    const from = revisions[idx];
+    const to = idx > 0 ? revisions[idx - 1] : note;
+    historyDiff.appendChild(
+      el('div', { class: 'history-diff-head' }, `Changes since this version → ${idx > 0 ? formatDateTime(to.savedAt) : 'current'}`),
+    );
+    if (from.title !== to.title) {
+      historyDiff.appendChild(el('div', { class: 'diff-title' }, `Title: “${from.title}” → “${to.title}”`));
+    }
+    historyDiff.appendChild(diffView(diffLines(from.content, to.content)));
+    historyRestoreBtn.disabled = false;
+  }
+
+  function refresh() {
+    // Start a new store with a Welcome note, once: not again after the last note is trashed or purged.
+    if (!getSettings().welcomeSeeded) {
+      if (listNotes().length === 0 && listNotes({ trashed: true }).length === 0) {
+        const welcome = createNote({
+          title: 'Welcome',
+          content:
+            'This is your notes app.\n\n- Create notes with the New button\n- Search using the search bar\n- Organize with tags and favorites\n\nEnjoy!',
+          tags: ['welcome'],
+          favorite: true,
+        });
+        state.selectedId = welcome.id;
+      }
+      updateSettings({ welcomeSeeded: true });
+    }
+
+    // Restored backups bring their settings along.
+    applyTheme(getSettings());
+    refreshNotebookTree();
+    refreshTagList();
+    refreshNotesList();
+    renderEditor(getNote(state.selectedId));
+    root.classList.toggle('sidebar-collapsed', !state.sidebarOpen);
+  }
+
+  function refreshNotebookTree() {
+    const rows = notebookTree(listNotebooks());
+    if (state.notebookId && !rows.some((r) => r.notebook.id === state.notebookId)) {
+      state.notebookId = null;
+    }
+    notebooksWrap.innerHTML = '';
+    if (rows.length === 0) {
+      notebooksWrap.appendChild(el('div', { class: 'tag-empty' }, 'No notebooks yet'));
+      return;
+    }
+    let hiddenBelow = Infinity; // depth under a collapsed notebook
+    for (const { notebook: nb, depth, total, hasChildren } of rows) {
+      if (depth > hiddenBelow) continue;
+      hiddenBelow = hasChildren && nb.collapsed ? depth : Infinity;
+      const active = state.notebookId === nb.id;
+      const twisty = el(
+        'button',
+        {
+          class: `notebook-twisty ${nb.collapsed ? '' : 'open'}`,
+          title: nb.collapsed ? 'Expand' : 'Collapse',
+          'aria-label': nb.collapsed ? 'Expand' : 'Collapse',
+          hidden: !hasChildren,
+        },
+        icon('chevron', 14),
+      );
+      const nameBtn = el(
+        'button',
+        { class: 'notebook-name', title: nb.name },
+        icon('folder', 16),
+        el('span', { class: 'notebook-label' }, nb.name),
+        el('span', { class: 'tag-count' }, total),
+      );
+      const moreBtn = el('button', { class: 'icon-btn notebook-more', title: 'Notebook actions' }, icon('more', 16));
+      const row = el(
+        'div',
+        {
+          class: `notebook-row ${active ? 'active' : ''}`,
+          role: 'treeitem',
+          'aria-selected': active ? 'true' : 'false',
+          'aria-expanded': hasChildren ? String(!nb.collapsed) : null,
+          draggable: 'true',
+          style: `padding-left: ${depth * 16}px`,
+        },
+        twisty,
+        nameBtn,
+        moreBtn,
+      );
+      twisty.addEventListener('click', () => {
+        updateNotebook(nb.id, { collapsed: !nb.collapsed });
+        refreshNotebookTree();
+      });
+      nameBtn.addEventListener('click', () => {
+        state.notebookId = active ? null : nb.id;
+        if (state.filter.type === 'trash') state.filter = { type: 'all', value: null };
+        refreshNotebookTree();
+        refreshNotesList();
+      });
+      moreBtn.addEventListener('click', () => notebookMenu(moreBtn, nb));
+      row.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        notebookMenu(moreBtn, nb);
+      });
+      row.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData(NOTEBOOK_DRAG_TYPE, nb.id);
+        e.dataTransfer.effectAllowed = 'move';
+      });
+      dropTarget(row, nb.id);
+      notebooksWrap.appendChild(row);
+    }
+  }
+
+  function refreshTagList() {
+    const tags = listTags();
+    tagsWrap.innerHTML = '';
+    if (tags.length === 0) {
+      tagsWrap.appendChild(el('div', { class: 'tag-empty' }, 'No tags yet'));
+      return;
+    }
+    for (const t of tags) {
+      const btn = el(
+        'button',
+        { class: 'tag-btn', title: t.tag },
+        t.depth ? '' : '#',
+        t.name,
+        el('span', { class: 'tag-count' }, t.count),
+      );
+      const moreBtn = el('button', { class: 'icon-btn tag-more', title: 'Tag actions' }, icon('more', 16));
+      const row = el('div', { class: 'tag-row', style: `padding-left: ${t.depth * 16}px` }, btn, moreBtn);
+      btn.addEventListener('click', () => {
+        state.filter = { type: 'tag', value: t.tag };
+        refreshTagList();
+        refreshNotesList();
+      });
+      moreBtn.addEventListener('click', () => tagMenu(moreBtn, t.tag));
+      row.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        tagMenu(moreBtn, t.tag);
+      });
+      if (state.filter.type === 'tag' && state.filter.value === t.tag) btn.classList.add('active');
+      tagsWrap.appendChild(row);
+    }
+  }
+
+  function tagMenu(anchor, tag) {
+    showMenu(anchor, [
+      { label: 'Rename…', onSelect: () => promptRenameTag(tag) },
+      { label: 'Merge into…', onSelect: () => promptMergeTag(tag) },
+      '-',
+      { label: 'Delete from all notes…', onSelect: () => removeTag(tag), danger: true },
+    ]);
+  }
+
+  function promptRenameTag(tag) {
+    const to = window.prompt(`Rename “${tag}” (use / to nest, e.g. work/meetings)`, tag);
+    if (to == null || to.trim() === tag) return;
+    applyTagChange(() => renameTag(tag, to), (filter) => retag(filter, tag, to));
+  }
+
+  function promptMergeTag(tag) {
+    const to = window.prompt(`Merge “${tag}” into which tag?`);
+    if (to == null || !to.trim()) return;
+    applyTagChange(() => mergeTags([tag], to), (filter) => retag(filter, tag, to));
+  }
+
+  function removeTag(tag) {
+    const count = listTags().find((t) => t.tag === tag)?.count || 0;
+    const msg = `Remove “${tag}” and the tags nested below it from ${count} note${count === 1 ? '' : 's'}?`;
+    if (!window.confirm(msg)) return;
+    applyTagChange(() => deleteTag(tag), (filter) => (tagMatches(filter, tag) ? null : filter));
+  }
+
+  /**
+   * Run a store-wide tag operation, then follow it in the tag filter and the open note.
+   * @param {() => number} op
+   * @param {(filterTag: string) => string|null} mapFilter New value for an active tag filter (null clears it).
+   */
+  function applyTagChange(op, mapFilter) {
+    let changed;
+    try {
+      changed = op();
+    } catch (err) {
+      toast(err.message, { kind: 'error' });
+      return;
+    }
+    if (state.filter.type === 'tag') {
+      const next = mapFilter(state.filter.value);
+      state.filter = next ? { type: 'tag', value: next } : { type: 'all', value: null };
+    }
+    const open = state.selectedId ? getNote(state.selectedId) : null;
+    if (open && state.editorBase && !state.conflict && open.updatedAt !== state.editorBase.updatedAt) {
+      state.editorBase.updatedAt = open.updatedAt;
+      tagControl.setTags(open.tags);
+    }
+    refreshTagList();
+    refreshNotesListOnlySelection();
+    toast(`Updated ${changed} note${changed === 1 ? '' : 's'}`);
+  }
+
+  function refreshNotesListOnlySelection() {
+    // Update list to reflect new title/snippet/fav markers, but keep selection intact
+    const selId = state.selectedId;
+    refreshNotesList(selId);
+  }
+
+  /**
+   * Local-time bounds of a 'YYYY-MM-DD' day.
+   * @param {string} day
+   * @returns {{from: Date, to: Date}}
+   */
+  function dayRange(day) {
+    const [y, m, d] = day.split('-').map(Number);
+    return { from: new Date(y, m - 1, d), to: new Date(y, m - 1, d + 1) };
+  }
+
+  function listOptions() {
+    return {
+      ...(state.filter.type === 'day' ? dayRange(state.filter.value) : {}),
+      query: state.query,
+      favorites: state.filter.type === 'favorites',
+      reminders: state.filter.type === 'reminders',
+      tag: state.filter.type === 'tag' ? state.filter.value : undefined,
+      notebookId: state.filter.type === 'trash' ? undefined : state.notebookId || undefined,
+      trashed: state.filter.type === 'trash',
+    };
+  }
+
+  function selectFirstRemaining() {
+    const remain = listNotes(listOptions());
+    state.selectedId = remain.length ? remain[0].id : null;
+    refresh();
+  }
+
+  function trashBar(count) {
+    const days = getSettings().trashRetentionDays;
+    const retention = el(
+      'select',
+      { class: 'trash-retention', 'aria-label': 'Auto-delete trashed notes after' },
+      [7, 14, 30, 60, 90, 0].map((d) =>
+        el('option', { value: String(d), selected: d === days }, d ? `after ${d} days` : 'never'),
+      ),
+    );
+    retention.addEventListener('change', () => {
+      updateSettings({ trashRetentionDays: Number(retention.value) });
+    });
+    const emptyBtn = el('button', { class: 'icon-btn danger', disabled: count === 0 }, icon('trash', 16), ' Empty trash');
+    emptyBtn.addEventListener('click', () => {
+      if (!window.confirm(`Permanently delete ${count} note${count === 1 ? '' : 's'} in the trash?`)) return;
+      emptyTrash();
+      state.selectedId = null;
+      refresh();
+    });
+    return el('div', { class: 'trash-bar' }, el('label', {}, 'Auto-delete ', retention), emptyBtn);
+  }
+
+  function dayBar(day) {
+    const clear = el('button', { class: 'icon-btn', title: 'Show all notes' }, icon('close', 14));
+    clear.addEventListener('click', () => {
+      state.filter = { type: 'all', value: null };
+      refresh();
+    });
+    const label = dayRange(day).from.toLocaleDateString([], { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+    return el('div', { class: 'day-bar' }, el('span', {}, `Created or edited on ${label}`), clear);
+  }
+
+  function sortBar() {
+    const { noteSort } = getSettings();
+    const select = el(
+      'select',
+      { class: 'note-sort', 'aria-label': 'Sort notes by' },
+      NOTE_SORTS.map((s) => el('option', { value: s, selected: s === noteSort }, SORT_LABELS[s])),
+    );
+    select.addEventListener('change', () => {
+      updateSettings({ noteSort: select.value });
+      refreshNotesListOnlySelection();
+    });
+    const hint = noteSort === 'manual' && state.query ? el('span', { class: 'note-sort-hint' }, 'Clear the search to reorder') : null;
+    return el('div', { class: 'note-sort-bar' }, el('label', {}, 'Sort ', select), hint);
+  }
+
+  /**
+   * Let notes be dragged onto a list item to place them before or after it (manual sort order).
+   * @param {HTMLElement} item
+   * @param {string} noteId
+   */
+  function reorderTarget(item, noteId) {
+    const placement = (e) => {
+      const rect = item.getBoundingClientRect();
+      return e.clientY > rect.top + rect.height / 2 ? 'after' : 'before';
+    };
+    const clear = () => item.classList.remove('drop-before', 'drop-after');
+    item.addEventListener('dragover', (e) => {
+      if (![...(e.dataTransfer?.types || [])].includes(NOTE_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      const where = placement(e);
+      item.classList.toggle('drop-before', where === 'before');
+      item.classList.toggle('drop-after', where === 'after');
+    });
+    item.addEventListener('dragleave', clear);
+    item.addEventListener('drop', (e) => {
+      clear();
+      const dragged = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+      if (!dragged) return;
+      e.preventDefault();
+      if (reorderNote(dragged, noteId, placement(e))) refreshNotesListOnlySelection();
+    });
+  }
+
+  // Multi-select and bulk actions
+  function multiSelectable() {
+    return !['tasks', 'trash'].includes(state.filter.type);
+  }
+
+  /**
+   * Update the selection for a ctrl/cmd-click (toggle one note) or shift-click (select a range from the anchor).
+   * @param {string} id
+   * @param {{range?: boolean, toggle?: boolean}} how
+   */
+  function changeSelection(id, { range = false, toggle = false }) {
+    const ids = listNotes(listOptions()).map((n) => n.id);
+    // The open note counts as selected when a multi-selection starts from it.
+    if (state.selection.size === 0 && state.selectedId && ids.includes(state.selectedId)) {
+      state.selection.add(state.selectedId);
+      state.selectionAnchor = state.selectedId;
+    }
+    if (range && state.selectionAnchor && ids.includes(state.selectionAnchor)) {
+      const [from, to] = [ids.indexOf(state.selectionAnchor), ids.indexOf(id)].sort((a, b) => a - b);
+      if (!toggle) state.selection.clear();
+      ids.slice(from, to + 1).forEach((x) => state.selection.add(x));
+    } else {
+      if (state.selection.has(id)) state.selection.delete(id);
+      else state.selection.add(id);
+      state.selectionAnchor = id;
+    }
+    refreshNotesListOnlySelection();
+  }
+
+  function clearSelection() {
+    state.selection.clear();
+    state.selectionAnchor = null;
+    refreshNotesListOnlySelection();
+  }
+
+  function selectAllListed() {
+    if (!multiSelectable()) return;
+    state.selection = new Set(listNotes(listOptions()).map((n) => n.id));
+    refreshNotesListOnlySelection();
+  }
+
+  function selectedNotes() {
+    return listNotes(listOptions()).filter((n) => state.selection.has(n.id));
+  }
+
+  /**
+   * Run a bulk store operation on the selected notes, then refresh the list and the open note.
+   * @param {(ids: string[]) => void} action
+   * @param {{keepSelection?: boolean}} [options]
+   */
+  function runBulk(action, { keepSelection = true } = {}) {
+    if (hasUnsavedEdits()) saveEditor({ title: noteTitle.value, content: noteContent.value });
+    const ids = selectedNotes().map((n) => n.id);
+    try {
+      action(ids);
+    } catch (err) {
+      toast(err.message, { kind: 'error' });
+      return;
+    }
+    if (!keepSelection) {
+      state.selection.clear();
+      state.selectionAnchor = null;
+    }
+    refreshTagList();
+    const open = state.selectedId ? getNote(state.selectedId) : null;
+    if (open && ids.includes(open.id) && !state.conflict) {
+      if (open.deletedAt && state.filter.type !== 'trash') {
+        selectFirstRemaining();
+        return;
+      }
+      renderEditor(open);
+    }
+    refreshNotesListOnlySelection();
+  }
+
+  function bulkAddTag() {
+    const count = state.selection.size;
+    const tag = window.prompt(`Tag to add to ${count} note${count === 1 ? '' : 's'}`);
+    if (!tag || !tag.trim()) return;
+    runBulk((ids) => {
+      const changed = tagNotes(ids, { add: [tag] });
+      toast(`Tagged ${changed} note${changed === 1 ? '' : 's'}`);
+    });
+  }
+
+  function bulkRemoveTag(anchor) {
+    const tags = [...new Set(selectedNotes().flatMap((n) => n.tags))].sort();
+    if (tags.length === 0) {
+      toast('The selected notes have no tags');
+      return;
+    }
+    showMenu(
+      anchor,
+      tags.map((tag) => ({
+        label: tag,
+        onSelect: () =>
+          runBulk((ids) => {
+            const changed = tagNotes(ids, { remove: [tag] });
+            toast(`Removed “${tag}” from ${changed} note${changed === 1 ? '' : 's'}`);
+          }),
+      })),
+    );
+  }
+
+  async function bulkExport() {
+    const notes = selectedNotes();
+    const locked = notes.filter((n) => n.encrypted).length;
+    const plain = notes.filter((n) => !n.encrypted);
+    downloadFile(`notes-selection-${dateStamp()}.zip`, notesToZip(plain, await attachmentFiles(plain)), 'application/zip');
+    if (locked) toast(`Left out ${locked} encrypted note${locked === 1 ? '' : 's'}`);
+  }
+
+  function bulkMerge() {
+    const notes = selectedNotes();
+    const into = notes[0]?.title || 'Untitled';
+    if (!window.confirm(`Merge ${notes.length} notes into “${into}”? The other notes are moved to the trash.`)) return;
+    runBulk(
+      (ids) => {
+        const merged = mergeNotes(ids);
+        state.selectedId = merged.id;
+        renderEditor(merged);
+        toast(`Merged ${ids.length} notes into “${into}”`);
+      },
+      { keepSelection: false },
+    );
+  }
+
+  function bulkBar() {
+    const notes = selectedNotes();
+    const allFavorite = notes.length > 0 && notes.every((n) => n.favorite);
+    const button = (label, iconName, onClick, attrs = {}) => {
+      const btn = el('button', { class: 'icon-btn', ...attrs }, iconName ? icon(iconName, 16) : null, label);
+      btn.addEventListener('click', () => onClick(btn));
+      return btn;
+    };
+    const clear = el('button', { class: 'icon-btn', title: 'Clear selection' }, icon('close', 16));
+    clear.addEventListener('click', clearSelection);
+    return el(
+      'div',
+      { class: 'bulk-bar', role: 'toolbar', 'aria-label': 'Bulk actions' },
+      el('span', { class: 'bulk-count' }, `${notes.length} selected`),
+      clear,
+      el(
+        'div',
+        { class: 'bulk-actions' },
+        button('Add tag', 'tag', bulkAddTag),
+        button('Remove tag', null, bulkRemoveTag, { 'aria-haspopup': 'menu' }),
+        button(allFavorite ? 'Unfavorite' : 'Favorite', allFavorite ? 'star' : 'star-fill', () =>
+          runBulk((ids) => setFavorite(ids, !allFavorite)),
+        ),
+        button('Export', 'download', bulkExport),
+        button('Merge', null, bulkMerge, { disabled: notes.length < 2, title: 'Merge into the first selected note' }),
+        button('Trash', 'trash', () =>
+          runBulk(
+            (ids) => {
+              const moved = trashNotes(ids);
+              toast(`Moved ${moved} note${moved === 1 ? '' : 's'} to the trash`);
+            },
+            { keepSelection: false },
+          ),
+          { class: 'icon-btn danger' },
+        ),
+      ),
+    );
+  }
+
+  function refreshNotesList(forceSelectId = null) {
+    const notes = listNotes(listOptions());
+    const terms = highlightTerms(state.query);
+    notesWrap.innerHTML = '';
+    const counts = getNoteCounts();
+    trashCount.textContent = String(counts.trashed);
+    trashCount.hidden = counts.trashed === 0;
+    taskCount.textContent = String(counts.openTasks);
+    taskCount.hidden = counts.openTasks === 0;
+    reminderCount.textContent = String(counts.reminders);
+    reminderCount.hidden = counts.reminders === 0;
+    if (state.filter.type === 'tasks') {
+      renderTaskList();
+      return;
+    }
+    calendar.render(state.filter.type === 'day' ? state.filter.value : null);
+    if (state.filter.type === 'trash') {
+      notesWrap.appendChild(trashBar(counts.trashed));
+    }
+    if (state.filter.type === 'day') {
+      notesWrap.appendChild(dayBar(state.filter.value));
+    }
+    // Only notes still listed stay selected.
+    const listed = new Set(notes.map((n) => n.id));
+    if (!multiSelectable()) state.selection.clear();
+    for (const id of state.selection) if (!listed.has(id)) state.selection.delete(id);
+    notesWrap.classList.toggle('selecting', state.selection.size > 0);
+    if (state.selection.size) {
+      notesWrap.appendChild(bulkBar());
+    } else if (state.filter.type !== 'reminders') {
+      notesWrap.appendChild(sortBar());
+    }
+    const reorderable = getSettings().noteSort === 'manual' && !state.query && !['trash', 'reminders'].includes(state.filter.type);
+    if (notes.length === 0) {
+      const empty =
+        state.filter.type === 'reminders' && !state.query
+          ? 'No reminders. Set one with the bell in the note toolbar.'
+          : state.filter.type === 'day' && !state.query
+            ? 'No notes were created or edited on this day.'
+            : 'No notes found';
+      notesWrap.appendChild(el('div', { class: 'empty-list' }, empty));
+    } else {
+      notes.forEach((n) => {
+        const item = noteListItem(n, n.id === state.selectedId, (e) => {
+          if (multiSelectable() && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+            changeSelection(n.id, { range: e.shiftKey, toggle: e.ctrlKey || e.metaKey });
+            return;
+          }
+          state.selection.clear();
+          state.selectionAnchor = n.id;
+          state.selectedId = n.id;
+          renderEditor(n);
+          refreshNotesList(n.id);
+        }, terms);
+        if (reorderable) reorderTarget(item, n.id);
+        if (!multiSelectable()) {
+          notesWrap.appendChild(item);
+          return;
+        }
+        const checked = state.selection.has(n.id);
+        const box = el('input', { type: 'checkbox', class: 'note-select', checked, 'aria-label': `Select ${n.title || 'Untitled'}` });
+        box.addEventListener('click', (e) => changeSelection(n.id, { range: e.shiftKey, toggle: true }));
+        notesWrap.appendChild(el('div', { class: `note-row ${checked ? 'selected' : ''}` }, box, item));
+      });
+    }
+
+    // If no selection, select the first
+    if (!state.selectedId && notes.length) {
+      state.selectedId = notes[0].id;
+    }
+    // Force selection if requested
+    if (forceSelectId != null) {
+      // nothing extra; items were rendered with active class based on id
+    }
+  }
+
+  function renderEditor(note) {
+    // Leaving an unlocked note locks it again, and forgets the plain text in its undo history.
+    if (state.unlocked && state.unlocked.id !== note?.id) {
+      editHistory.forget(state.unlocked.id);
+      state.unlocked = null;
+    }
+    if (!note) {
+      state.editorBase = null;
+      state.conflict = false;
+      conflictBar.hidden = true;
+      editor.classList.add('empty');
+      emptyState.style.display = 'flex';
+      noteTitle.value = '';
+      noteContent.value = '';
+      notePreview.innerHTML = '';
+      tagControl.setTags([]);
+      closeLinkSuggest();
       return;
     }
     editor.classList.remove('empty');
     emptyState.style.display = 'none';
+    const trashed = Boolean(note.deletedAt);
+    editor.classList.toggle('trashed', trashed);
+    const locked = note.encrypted && state.unlocked?.id !== note.id;
+    noteTitle.readOnly = trashed;
+    noteContent.readOnly = trashed || locked;
+    editorBody.classList.toggle('locked', locked);
+    unlockInput.value = '';
+    unlockError.textContent = '';
+    encryptBtn.classList.toggle('active', note.encrypted);
+    encryptBtn.title = note.encrypted ? 'Encrypted note' : 'Encrypt note';
+    state.conflict = false;
+    conflictBar.hidden = true;
+    markSaved(note);
+    // Keep the caret in place when the open note is refreshed (e.g. by another tab).
+    const caret = document.activeElement === noteContent ? [noteContent.selectionStart, noteContent.selectionEnd] : null;
     noteTitle.value = note.title || '';
-    noteContent.value = note.content || '';
+    noteContent.value = editorContent(note) || '';
+    if (caret) noteContent.setSelectionRange(...caret);
+    if (locked) editHistory.forget(note.id);
+    else editHistory.load(note.id, editorState());
+    renderUndoButtons();
+    if (state.editorMode !== 'edit') renderPreview();
     tagControl.setTags(note.tags || []);
+    renderNotebookSelect(note);
+    renderFavorite(note);
+    renderPin(note);
+    renderReminder(note);
+    renderAttachments(note);
+    renderBacklinks(note);
+    if (state.historyOpen) renderHistory();
+  }
+
+  function renderNotebookSelect(note) {
+    notebookSelect.innerHTML = '';
+    notebookSelect.appendChild(el('option', { value: '' }, 'No notebook'));
+    for (const { notebook, depth } of notebookTree(listNotebooks())) {
+      notebookSelect.appendChild(el('option', { value: notebook.id }, `${'\u00a0\u00a0'.repeat(depth)}${notebook.name}`));
+    }
+    notebookSelect.value = note?.notebookId || '';
+    notebookSelect.disabled = !note || Boolean(note.deletedAt);
+  }
+
+  function renderFavorite(note) {
     const favBtn = noteToolbar.querySelector('#favToggleBtn');
     favBtn.classList.toggle('active', !!note.favorite);
     favBtn.setAttribute('aria-pressed', note.favorite ? 'true' : 'false');
   }
 
   // Initial render
+  renderShortcutHints();
+  setEditorMode(state.editorMode);
   refresh();
+
+  if (syncEngine) {
+    renderSyncStatus(syncEngine.getStatus());
+    syncEngine.start();
+  }
+  reminders.start();
+
+  // Text shared to the installed app (manifest share_target) becomes a new note.
+  watchShareLaunches((shared) => {
+    const note = createNote({ ...shared, notebookId: state.notebookId });
+    openNote(note.id);
+    toast('Saved shared content as a new note');
+  });
 }
@@ -0,0 +1,108 @@
+//
+// Month calendar for the sidebar: days with notes created or edited on them are marked, and clicking
+// a day selects it (clicking it again clears the selection).
+//
+import { el, icon } from './components.js';
+import { todayKey } from '../tasks.js';
+
+/**
+ * Local midnight of the first day of a month.
+ * @param {number} year
+ * @param {number} month 0-based
+ * @returns {Date}
+ */
+function monthStart(year, month) {
+  return new Date(year, month, 1);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create the sidebar calendar.
+ */
+/**
+ * options: { getActivity(from, to) → { 'YYYY-MM-DD': { created, edited } }, onSelect(day|null) }.
+ * Returns { root, render(selectedDay) }: render() redraws the shown month, highlighting `selectedDay`
+ * ('YYYY-MM-DD' or null) and showing its month the first time a day outside it is selected.
+ */
+export function createCalendar({ getActivity, onSelect }) {
+  const now = new Date();
+  let shown = { year: now.getFullYear(), month: now.getMonth() };
+  let selected = null;
+  /** What the grid last showed; a save that leaves it the same does not rebuild it. */
+  let drawn = '';
+
+  const label = el('button', { class: 'calendar-label', title: 'Back to this month', 'aria-live': 'polite' });
+  const prev = el('button', { class: 'icon-btn calendar-nav prev', title: 'Previous month' }, icon('chevron', 14));
+  const next = el('button', { class: 'icon-btn calendar-nav', title: 'Next month' }, icon('chevron', 14));
+  const grid = el('div', { class: 'calendar-grid', role: 'grid' });
+  const root = el('div', { class: 'calendar' }, el('div', { class: 'calendar-head' }, prev, label, next), grid);
+
+  const step = (delta) => {
+    const d = monthStart(shown.year, shown.month + delta);
+    shown = { year: d.getFullYear(), month: d.getMonth() };
+    draw();
+  };
+  prev.addEventListener('click', () => step(-1));
+  next.addEventListener('click', () => step(1));
+  label.addEventListener('click', () => {
+    const today = new Date();
+    shown = { year: today.getFullYear(), month: today.getMonth() };
+    draw();
+  });
+
+  function draw() {
+    const first = monthStart(shown.year, shown.month);
+    const after = monthStart(shown.year, shown.month + 1);
+    const activity = getActivity(first, after);
+    const today = todayKey();
+    const showing = JSON.stringify([shown, selected, today, activity]);
+    if (showing === drawn) return;
+    drawn = showing;
+    label.textContent = first.toLocaleDateString([], { month: 'long', year: 'numeric' });
+    grid.innerHTML = '';
+    // Weekday headings, starting on Monday.
+    for (let i = 0; i < 7; i++) {
+      const day = new Date(2024, 0, 1 + i); // 2024-01-01 was a Monday
+      grid.appendChild(el('span', { class: 'calendar-weekday', 'aria-hidden': 'true' }, day.toLocaleDateString([], { weekday: 'narrow' })));
+    }
+    const offset = (first.getDay() + 6) % 7;
+    for (let i = 0; i < offset; i++) grid.appendChild(el('span', { class: 'calendar-blank' }));
+    for (let d = new Date(first); d < after; d.setDate(d.getDate() + 1)) {
+      const key = todayKey(d);
+      const counts = activity[key];
+      const parts = [];
+      if (counts?.created) parts.push(`${counts.created} created`);
+      if (counts?.edited) parts.push(`${counts.edited} edited`);
+      const classes = [
+        'calendar-day',
+        counts?.created ? 'has-created' : '',
+        counts?.edited ? 'has-edited' : '',
+        key === today ? 'today' : '',
+        key === selected ? 'selected' : '',
+      ];
+      const btn = el(
+        'button',
+        {
+          class: classes.filter(Boolean).join(' '),
+          'aria-pressed': key === selected ? 'true' : 'false',
+          'aria-label': `${d.toLocaleDateString([], { dateStyle: 'full' })}${parts.length ? `: ${parts.join(', ')}` : ''}`,
+          title: parts.join(', ') || null,
+        },
+        String(d.getDate()),
+      );
+      btn.addEventListener('click', () => onSelect(key === selected ? null : key));
+      grid.appendChild(btn);
+    }
+  }
+
+  function render(selectedDay = null) {
+    if (selectedDay && selectedDay !== selected) {
+      const [y, m] = selectedDay.split('-').map(Number);
+      shown = { year: y, month: m - 1 };
+    }
+    selected = selectedDay;
+    draw();
+  }
+
+  return { root, render };
+}
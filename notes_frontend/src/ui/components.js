@@ -100,9 +100,114 @@ export function icon(name, size = 20) {
     case 'menu':
       svg.appendChild(p('M3 6h18M3 12h18M3 18h18'));
       break;
+    case 'more':
+      svg.appendChild(p('M5 12h.01M12 12h.01M19 12h.01'));
+      break;
+    case 'download':
+      svg.appendChild(p('M12 3v12'));
+      svg.appendChild(p('M7 10l5 5 5-5'));
+      svg.appendChild(p('M5 21h14'));
+      break;
     case 'close':
       svg.appendChild(p('M6 6l12 12M6 18L18 6'));
       break;
+    case 'edit':
+      svg.appendChild(p('M12 20h9'));
+      svg.appendChild(p('M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4z'));
+      break;
+    case 'eye':
+      svg.appendChild(p('M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z'));
+      svg.appendChild(p('M12 15a3 3 0 1 0 0-6 3 3 0 0 0 0 6z'));
+      break;
+    case 'restore':
+      svg.appendChild(p('M3 12a9 9 0 1 0 3-6.7L3 8'));
+      svg.appendChild(p('M3 3v5h5'));
+      break;
+    case 'history':
+      svg.appendChild(p('M3 12a9 9 0 1 0 3-6.7L3 8'));
+      svg.appendChild(p('M3 3v5h5'));
+      svg.appendChild(p('M12 7v5l3 3'));
+      break;
+    case 'folder':
+      svg.appendChild(p('M3 6a2 2 0 0 1 2-2h4l2 2h8a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z'));
+      break;
+    case 'chevron':
+      svg.appendChild(p('M9 6l6 6-6 6'));
+      break;
+    case 'command':
+      svg.appendChild(
+        p('M18 3a3 3 0 0 0-3 3v12a3 3 0 0 0 3 3 3 3 0 0 0 3-3 3 3 0 0 0-3-3H6a3 3 0 0 0-3 3 3 3 0 0 0 3 3 3 3 0 0 0 3-3V6a3 3 0 0 0-3-3 3 3 0 0 0-3 3 3 3 0 0 0 3 3h12a3 3 0 0 0 3-3 3 3 0 0 0-3-3z'),
+      );
+      break;
+    case 'pin':
+      svg.appendChild(p('M12 17v5'));
+      svg.appendChild(p('M9 3h6l-1 7 4 4v3H6v-3l4-4z'));
+      break;
+    case 'calendar':
+      svg.appendChild(p('M4 5h16v16H4z'));
+      svg.appendChild(p('M4 10h16'));
+      svg.appendChild(p('M8 3v4M16 3v4'));
+      break;
+    case 'bell':
+      svg.appendChild(p('M6 8a6 6 0 0 1 12 0c0 7 3 9 3 9H3s3-2 3-9'));
+      svg.appendChild(p('M10.3 21a1.94 1.94 0 0 0 3.4 0'));
+      break;
+    case 'check':
+      svg.appendChild(p('M9 11l3 3 8-8'));
+      svg.appendChild(p('M20 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11'));
+      break;
+    case 'paperclip':
+      svg.appendChild(p('M21 11l-8.5 8.5a5 5 0 0 1-7-7L14 4a3.5 3.5 0 0 1 5 5l-8.5 8.5a2 2 0 0 1-3-3L15 7'));
+      break;
+    case 'bold':
+      svg.appendChild(p('M7 5h6a3.5 3.5 0 0 1 0 7H7zM7 12h7a3.5 3.5 0 0 1 0 7H7z'));
+      break;
+    case 'italic':
+      svg.appendChild(p('M10 5h8M6 19h8M15 5l-6 14'));
+      break;
+    case 'heading':
+      svg.appendChild(p('M6 4v16M18 4v16M6 12h12'));
+      break;
+    case 'list':
+      svg.appendChild(p('M9 6h11M9 12h11M9 18h11'));
+      svg.appendChild(p('M4 6h.01M4 12h.01M4 18h.01'));
+      break;
+    case 'list-ordered':
+      svg.appendChild(p('M10 6h10M10 12h10M10 18h10'));
+      svg.appendChild(p('M4 4h1v4M4 8h2M4 14.5a1 1 0 0 1 2 0c0 1-2 1.5-2 3.5h2'));
+      break;
+    case 'code':
+      svg.appendChild(p('M8 7l-5 5 5 5M16 7l5 5-5 5'));
+      break;
+    case 'quote':
+      svg.appendChild(p('M4 11h5v6H4zM4 11c0-3 1-5 4-6M14 11h5v6h-5zM14 11c0-3 1-5 4-6'));
+      break;
+    case 'link':
+      svg.appendChild(p('M10 14a4 4 0 0 0 6 0l3-3a4 4 0 0 0-6-6l-1 1'));
+      svg.appendChild(p('M14 10a4 4 0 0 0-6 0l-3 3a4 4 0 0 0 6 6l1-1'));
+      break;
+    case 'undo':
+      svg.appendChild(p('M9 14L4 9l5-5'));
+      svg.appendChild(p('M4 9h10a6 6 0 0 1 0 12h-3'));
+      break;
+    case 'redo':
+      svg.appendChild(p('M15 14l5-5-5-5'));
+      svg.appendChild(p('M20 9H10a6 6 0 0 0 0 12h3'));
+      break;
+    case 'settings':
+      svg.appendChild(p('M12 9a3 3 0 1 0 0 6 3 3 0 0 0 0-6z'));
+      svg.appendChild(
+        p('M19.4 15a1.7 1.7 0 0 0 .3 1.8l.1.1a2 2 0 1 1-2.8 2.8l-.1-.1a1.7 1.7 0 0 0-1.8-.3 1.7 1.7 0 0 0-1 1.5V21a2 2 0 1 1-4 0v-.1a1.7 1.7 0 0 0-1.1-1.5 1.7 1.7 0 0 0-1.8.3l-.1.1a2 2 0 1 1-2.8-2.8l.1-.1a1.7 1.7 0 0 0 .3-1.8 1.7 1.7 0 0 0-1.5-1H3a2 2 0 1 1 0-4h.1a1.7 1.7 0 0 0 1.5-1.1 1.7 1.7 0 0 0-.3-1.8l-.1-.1a2 2 0 1 1 2.8-2.8l.1.1a1.7 1.7 0 0 0 1.8.3H9a1.7 1.7 0 0 0 1-1.5V3a2 2 0 1 1 4 0v.1a1.7 1.7 0 0 0 1 1.5 1.7 1.7 0 0 0 1.8-.3l.1-.1a2 2 0 1 1 2.8 2.8l-.1.1a1.7 1.7 0 0 0-.3 1.8V9a1.7 1.7 0 0 0 1.5 1H21a2 2 0 1 1 0 4h-.1a1.7 1.7 0 0 0-1.5 1z'),
+      );
+      break;
+    case 'lock':
+      svg.appendChild(p('M5 11h14v10H5z'));
+      svg.appendChild(p('M8 11V7a4 4 0 0 1 8 0v4'));
+      break;
+    case 'columns':
+      svg.appendChild(p('M4 4h16v16H4z'));
+      svg.appendChild(p('M12 4v16'));
+      break;
     default:
       svg.appendChild(p('M12 12m-10,0a10,10 0 1,0 20,0a10,10 0 1,0 -20,0'));
   }
@@ -121,3 +226,176 @@ export function debounce(fn, wait = 250) {
     t = setTimeout(() => fn(...args), wait);
   };
 }
+
+/**
+ * PUBLIC INTERFACE
+ * Show a popup menu next to an anchor element.
+ */
+/**
+ * Opens a menu below `anchor` with items [{ label, onSelect, danger?, disabled? }] ('-' for a separator).
+ * The menu closes on selection, outside click or Escape. Returns a function that closes it.
+ */
+export function showMenu(anchor, items) {
+  const menu = el('div', { class: 'popup-menu', role: 'menu' });
+  let close;
+  for (const item of items) {
+    if (item === '-') {
+      menu.appendChild(el('div', { class: 'popup-menu-sep', role: 'separator' }));
+      continue;
+    }
+    const btn = el(
+      'button',
+      { class: `popup-menu-item ${item.danger ? 'danger' : ''}`, role: 'menuitem', disabled: Boolean(item.disabled) },
+      item.label,
+    );
+    btn.addEventListener('click', () => {
+      close();
+      item.onSelect();
+    });
+    menu.appendChild(btn);
+  }
+  close = showPopover(anchor, menu);
+  return close;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Show a popup panel next to an anchor element.
+ */
+/**
+ * Positions `panel` below `anchor` and focuses its first enabled control. The panel closes on an outside
+ * click or Escape. Returns a function that closes it.
+ */
+export function showPopover(anchor, panel) {
+  const rect = anchor.getBoundingClientRect();
+  panel.style.top = `${rect.bottom + 4}px`;
+  panel.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 240))}px`;
+  document.body.appendChild(panel);
+  panel.querySelector('button:not([disabled]), input:not([disabled])')?.focus();
+
+  function onDocClick(e) {
+    if (!panel.contains(e.target) && !anchor.contains(e.target)) close();
+  }
+  function onKey(e) {
+    if (e.key === 'Escape') close();
+  }
+  function close() {
+    if (!panel.isConnected) return;
+    panel.remove();
+    document.removeEventListener('mousedown', onDocClick);
+    document.removeEventListener('keydown', onKey);
+  }
+  document.addEventListener('mousedown', onDocClick);
+  document.addEventListener('keydown', onKey);
+  return close;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Save data as a file download.
+ */
+/** Triggers a browser download of `data` (string, bytes or Blob) under `filename`. */
+export function downloadFile(filename, data, type = 'application/octet-stream') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = el('a', { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Ask the user to pick files.
+ */
+/** Opens a file picker and resolves to the chosen File[] (empty if cancelled). options: { accept, multiple, directory }. */
+export function pickFiles({ accept = '', multiple = false, directory = false } = {}) {
+  return new Promise((resolve) => {
+    const input = el('input', { type: 'file', accept, multiple, class: 'sr-only' });
+    if (directory) input.setAttribute('webkitdirectory', '');
+    input.addEventListener('change', () => {
+      resolve(Array.from(input.files || []));
+      input.remove();
+    });
+    input.addEventListener('cancel', () => {
+      resolve([]);
+      input.remove();
+    });
+    document.body.appendChild(input);
+    input.click();
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Show a short-lived notification.
+ */
+/**
+ * Displays `message` in a toast stack at the bottom of the page; options: { kind: 'info'|'error', timeout (0 keeps
+ * it until an action is chosen), action: { label, onSelect }, or actions: [{ label, onSelect }] }. Returns the toast node.
+ */
+export function toast(message, { kind = 'info', timeout = 4000, action, actions = action ? [action] : [] } = {}) {
+  let stack = document.querySelector('.toast-stack');
+  if (!stack) {
+    stack = el('div', { class: 'toast-stack', role: 'status', 'aria-live': 'polite' });
+    document.body.appendChild(stack);
+  }
+  const node = el('div', { class: `toast toast-${kind}` }, el('span', {}, message));
+  for (const item of actions) {
+    const btn = el('button', { class: 'toast-action' }, item.label);
+    btn.addEventListener('click', () => {
+      node.remove();
+      item.onSelect();
+    });
+    node.appendChild(btn);
+  }
+  stack.appendChild(node);
+  if (timeout > 0) setTimeout(() => node.remove(), timeout);
+  return node;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Show a modal dialog.
+ */
+/**
+ * Opens `content` in a dialog over the page; options: { title?, className?, onClose? }. Closes on Escape,
+ * the close button or a click outside. Key presses inside do not reach page-level shortcuts.
+ * Returns { root, close }.
+ */
+export function openModal(content, { title, className = '', onClose } = {}) {
+  const closeBtn = el('button', { class: 'icon-btn', title: 'Close' }, icon('close', 16));
+  const dialog = el(
+    'div',
+    { class: `modal ${className}`, role: 'dialog', 'aria-modal': 'true', 'aria-label': title || null },
+    title ? el('div', { class: 'modal-head' }, el('h2', { class: 'modal-title' }, title), closeBtn) : null,
+    content,
+  );
+  const backdrop = el('div', { class: 'modal-backdrop' }, dialog);
+  const previousFocus = document.activeElement;
+  let open = true;
+
+  function close() {
+    if (!open) return;
+    open = false;
+    backdrop.remove();
+    if (previousFocus && typeof previousFocus.focus === 'function') previousFocus.focus();
+    onClose?.();
+  }
+
+  closeBtn.addEventListener('click', close);
+  backdrop.addEventListener('mousedown', (e) => {
+    if (e.target === backdrop) close();
+  });
+  backdrop.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape' && !e.defaultPrevented) {
+      e.preventDefault();
+      close();
+    }
+  });
+  document.body.appendChild(backdrop);
+  dialog.querySelector('input, select, textarea, button:not(.icon-btn)')?.focus();
+  return { root: dialog, close };
+}
@@ -0,0 +1,229 @@
+//
+// Keyboard shortcuts: a registry of command bindings with user overrides, plus the dialog to remap them.
+// Shortcuts are written as "Mod+Shift+K", where Mod is Cmd on macOS and Ctrl elsewhere.
+//
+import { el, openModal } from './components.js';
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent || '');
+
+const MODIFIERS = ['Mod', 'Ctrl', 'Alt', 'Shift'];
+
+const KEY_NAMES = { ' ': 'Space', Esc: 'Escape', Up: 'ArrowUp', Down: 'ArrowDown', Left: 'ArrowLeft', Right: 'ArrowRight' };
+
+const KEY_SYMBOLS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Backspace: '⌫', Delete: 'Del', Enter: '↵' };
+
+/** Built-in bindings by command id; users can override them in settings.keybindings. */
+export const DEFAULT_BINDINGS = {
+  'palette.open': 'Mod+K',
+  'note.new': 'Alt+N',
+  'search.focus': 'Mod+Shift+F',
+  'note.favorite': 'Alt+S',
+  'note.delete': 'Alt+Delete',
+  'note.next': 'Alt+ArrowDown',
+  'note.prev': 'Alt+ArrowUp',
+  'sidebar.toggle': 'Mod+\\',
+  'task.toggle': 'Mod+Enter',
+  'note.today': 'Alt+T',
+  'format.bold': 'Mod+B',
+  'format.italic': 'Mod+I',
+  'format.code': 'Mod+E',
+  'format.heading1': 'Mod+Alt+1',
+  'format.heading2': 'Mod+Alt+2',
+  'format.heading3': 'Mod+Alt+3',
+  'format.numberedList': 'Mod+Shift+7',
+  'format.bulletList': 'Mod+Shift+8',
+  'format.checklist': 'Mod+Shift+9',
+};
+
+/**
+ * Normalize a key name: single characters upper-cased, aliases resolved.
+ * @param {string} key
+ * @returns {string}
+ */
+function normalizeKey(key) {
+  const k = KEY_NAMES[key] || key;
+  return k.length === 1 ? k.toUpperCase() : k;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Put a shortcut string in canonical form.
+ */
+/** Returns e.g. "Mod+Shift+K" for "shift+mod+k" (modifiers in a fixed order), or '' for an empty or modifier-only shortcut. */
+export function normalizeShortcut(shortcut) {
+  const parts = String(shortcut || '')
+    .split(/\+(?!$)/)
+    .map((p) => p.trim())
+    .filter(Boolean);
+  const mods = new Set();
+  let key = '';
+  for (const p of parts) {
+    const mod = MODIFIERS.find((m) => m.toLowerCase() === p.toLowerCase());
+    if (mod) mods.add(mod);
+    else key = normalizeKey(p);
+  }
+  if (!key) return '';
+  return [...MODIFIERS.filter((m) => mods.has(m)), key].join('+');
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Describe a keyboard event as a shortcut string.
+ */
+/** Returns the canonical shortcut for a keydown event, or null while only modifier keys are held. */
+export function eventToShortcut(e) {
+  if (['Control', 'Shift', 'Alt', 'Meta', 'OS', 'AltGraph'].includes(e.key)) return null;
+  // Prefer the physical key for letters and digits, since Alt/Option changes e.key on some layouts.
+  const code = /^Key([A-Z])$/.exec(e.code || '') || /^Digit(\d)$/.exec(e.code || '');
+  const key = code ? code[1] : normalizeKey(e.key);
+  const mods = [];
+  if (IS_MAC ? e.metaKey : e.ctrlKey) mods.push('Mod');
+  if (IS_MAC && e.ctrlKey) mods.push('Ctrl');
+  if (e.altKey) mods.push('Alt');
+  if (e.shiftKey) mods.push('Shift');
+  return [...mods, key].join('+');
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Format a shortcut for display.
+ */
+/** Returns "⌘⇧K" on macOS or "Ctrl+Shift+K" elsewhere; '' for no shortcut. */
+export function formatShortcut(shortcut) {
+  if (!shortcut) return '';
+  const parts = shortcut.split(/\+(?!$)/);
+  if (IS_MAC) {
+    const mac = { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧' };
+    return parts.map((p) => mac[p] || KEY_SYMBOLS[p] || p).join('');
+  }
+  return parts.map((p) => (p === 'Mod' ? 'Ctrl' : KEY_SYMBOLS[p] || p)).join('+');
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Create a keymap for a list of commands.
+ */
+/**
+ * commands: [{ id, label, run }]; overrides: { [commandId]: shortcut } ('' unbinds a default).
+ * Returns { commands, bindingFor(id), overrides(), set(id, shortcut), reset(id?), match(event) }.
+ * set() takes the shortcut away from any other command using it and returns that command's id (or null).
+ */
+export function createKeymap(commands, overrides = {}) {
+  let custom = {};
+  for (const [id, shortcut] of Object.entries(overrides || {})) {
+    custom[id] = normalizeShortcut(shortcut);
+  }
+
+  const bindingFor = (id) => (id in custom ? custom[id] : DEFAULT_BINDINGS[id] || '');
+
+  function set(id, shortcut) {
+    const s = normalizeShortcut(shortcut);
+    let displaced = null;
+    if (s) {
+      for (const c of commands) {
+        if (c.id !== id && bindingFor(c.id) === s) {
+          custom[c.id] = '';
+          displaced = c.id;
+        }
+      }
+    }
+    custom[id] = s;
+    if (s === (DEFAULT_BINDINGS[id] || '')) delete custom[id];
+    return displaced;
+  }
+
+  return {
+    commands,
+    bindingFor,
+    overrides: () => ({ ...custom }),
+    set,
+    reset(id) {
+      if (id) return set(id, DEFAULT_BINDINGS[id] || '');
+      custom = {};
+      return null;
+    },
+    match(e) {
+      const s = eventToShortcut(e);
+      return s ? commands.find((c) => bindingFor(c.id) === s) || null : null;
+    },
+  };
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Show the dialog for remapping shortcuts.
+ */
+/** Lists every command with its binding; click a binding and press keys to change it. Calls onChange(keymap.overrides()) after each change. */
+export function openShortcutEditor(keymap, onChange) {
+  const list = el('div', { class: 'shortcut-list' });
+  const resetAll = el('button', { class: 'btn btn-secondary' }, 'Reset all to defaults');
+  const hint = el(
+    'p',
+    { class: 'shortcut-hint' },
+    'Click a shortcut, then press the new key combination. Backspace removes it, Escape cancels.',
+  );
+
+  function changed() {
+    onChange(keymap.overrides());
+    render();
+  }
+
+  function record(btn, command) {
+    btn.textContent = 'Press keys…';
+    btn.classList.add('recording');
+    const onKey = (e) => {
+      e.preventDefault();
+      if (e.key === 'Escape') return stop(false);
+      if ((e.key === 'Backspace' || e.key === 'Delete') && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
+        keymap.set(command.id, '');
+        return stop(true);
+      }
+      const shortcut = eventToShortcut(e);
+      if (!shortcut) return;
+      const displaced = keymap.set(command.id, shortcut);
+      if (displaced) {
+        const other = keymap.commands.find((c) => c.id === displaced);
+        hint.textContent = `${formatShortcut(shortcut)} was removed from “${other?.label || displaced}”.`;
+      }
+      stop(true);
+    };
+    const stop = (didChange) => {
+      btn.removeEventListener('keydown', onKey);
+      btn.removeEventListener('blur', onBlur);
+      if (didChange) changed();
+      else render();
+    };
+    const onBlur = () => stop(false);
+    btn.addEventListener('keydown', onKey);
+    btn.addEventListener('blur', onBlur);
+  }
+
+  function render() {
+    list.innerHTML = '';
+    for (const command of keymap.commands) {
+      const shortcut = keymap.bindingFor(command.id);
+      const isDefault = shortcut === (DEFAULT_BINDINGS[command.id] || '');
+      const btn = el(
+        'button',
+        { class: 'shortcut-key', title: 'Change shortcut' },
+        shortcut ? el('kbd', {}, formatShortcut(shortcut)) : el('span', { class: 'shortcut-none' }, 'None'),
+      );
+      btn.addEventListener('click', () => record(btn, command));
+      const reset = el('button', { class: 'icon-btn shortcut-reset', title: 'Reset to default', disabled: isDefault }, '↺');
+      reset.addEventListener('click', () => {
+        keymap.reset(command.id);
+        changed();
+      });
+      list.appendChild(el('div', { class: 'shortcut-row' }, el('span', {}, command.label), btn, reset));
+    }
+  }
+
+  resetAll.addEventListener('click', () => {
+    keymap.reset();
+    hint.textContent = 'All shortcuts were reset to their defaults.';
+    changed();
+  });
+
+  render();
+  return openModal(el('div', { class: 'shortcut-editor' }, hint, list, resetAll), { title: 'Keyboard shortcuts' });
+}
@@ -0,0 +1,259 @@
+//
+// Passphrase UI: the lock screen shown before an encrypted store is opened, the dialog that
+// turns encryption on or off, changes the passphrase and sets the auto-lock delay, and the
+// password prompts for single encrypted notes.
+//
+import { el, icon, openModal } from './components.js';
+
+/** Shortest passphrase accepted when encryption is turned on or the passphrase is changed. */
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/** Choices for the idle auto-lock, in minutes (0 never locks). */
+const AUTO_LOCK_CHOICES = [0, 1, 5, 15, 30, 60];
+
+/**
+ * Build a labelled password field.
+ * @param {string} label
+ * @param {string} autocomplete
+ * @returns {{row: HTMLElement, input: HTMLInputElement}}
+ */
+function passwordField(label, autocomplete) {
+  const input = el('input', { class: 'lock-input', type: 'password', autocomplete, 'aria-label': label });
+  return { row: el('label', { class: 'lock-field' }, el('span', { class: 'label' }, label), input), input };
+}
+
+/**
+ * Describe an error from the store or ./encryption.js for the user.
+ * @param {Error} err
+ * @param {string} [secret] What the user typed: 'passphrase' (the whole store) or 'password' (one note).
+ * @returns {string}
+ */
+function errorMessage(err, secret = 'passphrase') {
+  return err?.code === 'wrong-passphrase' ? `That ${secret} is not correct.` : err?.message || String(err);
+}
+
+/**
+ * Check a new passphrase and its confirmation.
+ * @param {string} passphrase
+ * @param {string} confirmation
+ * @returns {string} A problem to show, or '' if the passphrase can be used.
+ */
+function validateNewPassphrase(passphrase, confirmation) {
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+  }
+  if (passphrase !== confirmation) {
+    return 'The passphrases do not match.';
+  }
+  return '';
+}
+
+/**
+ * Disable a button while an async action runs, showing `busyLabel`; errors go to `errorNode`.
+ * @param {HTMLButtonElement} button
+ * @param {string} busyLabel
+ * @param {HTMLElement} errorNode
+ * @param {() => Promise<void>} action
+ * @param {string} [secret] See errorMessage().
+ */
+async function runBusy(button, busyLabel, errorNode, action, secret) {
+  const label = button.textContent;
+  button.disabled = true;
+  button.textContent = busyLabel;
+  errorNode.textContent = '';
+  try {
+    await action();
+  } catch (err) {
+    errorNode.textContent = errorMessage(err, secret);
+  } finally {
+    button.disabled = false;
+    button.textContent = label;
+  }
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Show the lock screen until the store is unlocked.
+ */
+/**
+ * Replaces the contents of `mount` with a passphrase prompt and calls unlock(passphrase) on submit.
+ * A rejection is shown and the prompt stays; once unlock resolves, the prompt is removed and the returned
+ * Promise resolves.
+ */
+export function showLockScreen(mount, unlock) {
+  return new Promise((resolve) => {
+    const { input } = passwordField('Passphrase', 'current-password');
+    input.placeholder = 'Passphrase';
+    const error = el('p', { class: 'lock-error', role: 'alert' });
+    const submit = el('button', { class: 'btn btn-primary', type: 'submit' }, 'Unlock');
+    const form = el(
+      'form',
+      { class: 'lock-card' },
+      el('div', { class: 'lock-icon' }, icon('lock', 28)),
+      el('h1', { class: 'lock-title' }, 'Notes are locked'),
+      el('p', { class: 'lock-hint' }, 'Enter your passphrase to decrypt your notes.'),
+      input,
+      error,
+      submit,
+    );
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (!input.value) return;
+      runBusy(submit, 'Unlocking…', error, async () => {
+        await unlock(input.value);
+        screen.remove();
+        resolve();
+      }).then(() => {
+        if (screen.isConnected) {
+          input.select();
+          input.focus();
+        }
+      });
+    });
+    const screen = el('div', { class: 'lock-screen' }, form);
+    mount.innerHTML = '';
+    mount.appendChild(screen);
+    input.focus();
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Open the encryption settings dialog.
+ */
+/**
+ * options: { encrypted, autoLockMinutes, onEnable(passphrase), onChangePassphrase(current, next),
+ * onDisable(current), onAutoLockChange(minutes), onLockNow() }. The async callbacks may reject to show an
+ * error in the dialog; the dialog closes after a successful enable, change or disable. Returns the modal's { root, close }.
+ */
+export function openEncryptionDialog(options) {
+  const { encrypted, autoLockMinutes } = options;
+  const error = el('p', { class: 'lock-error', role: 'alert' });
+  const body = el('div', { class: 'lock-dialog' });
+  let modal = null;
+
+  if (!encrypted) {
+    const next = passwordField('Passphrase', 'new-password');
+    const confirm = passwordField('Repeat passphrase', 'new-password');
+    const enable = el('button', { class: 'btn btn-primary', type: 'submit' }, 'Encrypt notes');
+    const form = el('form', { class: 'lock-form' }, next.row, confirm.row, error, enable);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const problem = validateNewPassphrase(next.input.value, confirm.input.value);
+      if (problem) {
+        error.textContent = problem;
+        return;
+      }
+      runBusy(enable, 'Encrypting…', error, async () => {
+        await options.onEnable(next.input.value);
+        modal.close();
+      });
+    });
+    body.append(
+      el(
+        'p',
+        { class: 'lock-hint' },
+        'Encrypt the notes stored in this browser with a passphrase. You will need it to open the app. ',
+        el('strong', {}, 'If you forget it, your notes cannot be recovered.'),
+      ),
+      form,
+    );
+    modal = openModal(body, { title: 'Encryption', className: 'lock-modal' });
+    return modal;
+  }
+
+  const current = passwordField('Current passphrase', 'current-password');
+  const next = passwordField('New passphrase', 'new-password');
+  const confirm = passwordField('Repeat new passphrase', 'new-password');
+  const change = el('button', { class: 'btn btn-primary', type: 'submit' }, 'Change passphrase');
+  const disable = el('button', { class: 'btn btn-secondary danger', type: 'button' }, 'Turn off encryption');
+  const lockNow = el('button', { class: 'btn btn-secondary', type: 'button' }, icon('lock', 16), ' Lock now');
+  const autoLock = el(
+    'select',
+    { class: 'notebook-select', 'aria-label': 'Lock automatically after' },
+    AUTO_LOCK_CHOICES.map((m) =>
+      el('option', { value: String(m), selected: m === autoLockMinutes }, m === 0 ? 'Never' : `${m} minute${m === 1 ? '' : 's'} idle`),
+    ),
+  );
+  const form = el('form', { class: 'lock-form' }, current.row, next.row, confirm.row, error, el('div', { class: 'lock-actions' }, change, disable));
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!current.input.value) {
+      error.textContent = 'Enter your current passphrase.';
+      return;
+    }
+    const problem = validateNewPassphrase(next.input.value, confirm.input.value);
+    if (problem) {
+      error.textContent = problem;
+      return;
+    }
+    runBusy(change, 'Re-encrypting…', error, async () => {
+      await options.onChangePassphrase(current.input.value, next.input.value);
+      modal.close();
+    });
+  });
+  disable.addEventListener('click', () => {
+    if (!current.input.value) {
+      error.textContent = 'Enter your current passphrase to turn off encryption.';
+      return;
+    }
+    runBusy(disable, 'Decrypting…', error, async () => {
+      await options.onDisable(current.input.value);
+      modal.close();
+    });
+  });
+  autoLock.addEventListener('change', () => options.onAutoLockChange(Number(autoLock.value)));
+  lockNow.addEventListener('click', () => {
+    modal.close();
+    options.onLockNow();
+  });
+
+  body.append(
+    el('div', { class: 'lock-row' }, el('span', { class: 'label' }, 'Lock automatically after'), autoLock, lockNow),
+    el('h3', { class: 'lock-subtitle' }, 'Change passphrase'),
+    form,
+  );
+  modal = openModal(body, { title: 'Encryption', className: 'lock-modal' });
+  return modal;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Ask for a password in a dialog.
+ */
+/**
+ * options: { title, description?, submitLabel, busyLabel?, confirm?, onSubmit(password) }. With confirm, the
+ * password is entered twice and must be at least the minimum length (for setting a new password). onSubmit may
+ * reject to show an error; the dialog closes once it resolves. Returns the modal's { root, close }.
+ */
+export function openPasswordDialog({ title, description, submitLabel, busyLabel = 'Working…', confirm = false, onSubmit }) {
+  const password = passwordField('Password', confirm ? 'new-password' : 'current-password');
+  const repeat = confirm ? passwordField('Repeat password', 'new-password') : null;
+  const error = el('p', { class: 'lock-error', role: 'alert' });
+  const submit = el('button', { class: 'btn btn-primary', type: 'submit' }, submitLabel);
+  const form = el('form', { class: 'lock-form' }, password.row, repeat?.row, error, submit);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const problem = confirm ? validateNewPassphrase(password.input.value, repeat.input.value) : password.input.value ? '' : 'Enter the password.';
+    if (problem) {
+      error.textContent = problem.replace('passphrases', 'passwords');
+      return;
+    }
+    runBusy(
+      submit,
+      busyLabel,
+      error,
+      async () => {
+        await onSubmit(password.input.value);
+        modal.close();
+      },
+      'password',
+    );
+  });
+  const modal = openModal(el('div', { class: 'lock-dialog' }, description ? el('p', { class: 'lock-hint' }, description) : null, form), {
+    title,
+    className: 'lock-modal',
+  });
+  return modal;
+}
@@ -0,0 +1,147 @@
+//
+// Command palette: one fuzzy-searchable list of app commands and note titles.
+//
+import { el, icon, openModal } from './components.js';
+import { formatShortcut } from './keybindings.js';
+
+const MAX_RESULTS = 50;
+
+/**
+ * PUBLIC INTERFACE
+ * Fuzzy-match a query against a text.
+ */
+/**
+ * Matches when every query character appears in order in the text (case-insensitive, spaces ignored).
+ * Returns { score, indices } (higher is better; consecutive and word-start matches score more), or null.
+ */
+export function fuzzyMatch(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, '');
+  const t = String(text || '').toLowerCase();
+  if (!q) return { score: 0, indices: [] };
+  const indices = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return null;
+    score += 1;
+    if (indices.length && at === indices[indices.length - 1] + 1) score += 3;
+    if (at === 0 || /[\s/_.-]/.test(t[at - 1])) score += 2;
+    indices.push(at);
+    from = at + 1;
+  }
+  // Prefer shorter texts and earlier matches among equals.
+  return { score: score - t.length * 0.01 - indices[0] * 0.05, indices };
+}
+
+/**
+ * Render text with the matched characters wrapped in <mark>.
+ * @param {string} text
+ * @param {number[]} indices
+ * @returns {(string|HTMLElement)[]}
+ */
+function markMatches(text, indices) {
+  const hit = new Set(indices);
+  const out = [];
+  let run = '';
+  let runHit = false;
+  [...text].forEach((ch, i) => {
+    if (hit.has(i) !== runHit && run) {
+      out.push(runHit ? el('mark', {}, run) : run);
+      run = '';
+    }
+    runHit = hit.has(i);
+    run += ch;
+  });
+  if (run) out.push(runHit ? el('mark', {}, run) : run);
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Open the command palette.
+ */
+/**
+ * options: { commands: [{ id, label, run }], notes: Note[], bindingFor(id), onOpenNote(id) }.
+ * Commands and note titles are searched together; Enter runs the highlighted entry. Returns the modal's { root, close }.
+ */
+export function openCommandPalette({ commands, notes, bindingFor, onOpenNote }) {
+  const input = el('input', {
+    class: 'palette-input',
+    type: 'text',
+    placeholder: 'Type a command or note title…',
+    'aria-label': 'Search commands and notes',
+    role: 'combobox',
+    'aria-expanded': 'true',
+  });
+  const list = el('div', { class: 'palette-list', role: 'listbox' });
+  let results = [];
+  let active = 0;
+
+  const entries = [
+    ...commands.map((c) => ({ kind: 'command', label: c.label, shortcut: bindingFor(c.id), run: () => c.run() })),
+    ...notes.map((n) => ({ kind: 'note', label: n.title || 'Untitled', run: () => onOpenNote(n.id) })),
+  ];
+
+  function search() {
+    const query = input.value.trim();
+    if (!query) {
+      results = entries.slice(0, commands.length + 10).map((entry) => ({ entry, indices: [] }));
+    } else {
+      results = entries
+        .map((entry) => ({ entry, match: fuzzyMatch(query, entry.label) }))
+        .filter((r) => r.match)
+        .sort((a, b) => b.match.score - a.match.score)
+        .slice(0, MAX_RESULTS)
+        .map((r) => ({ entry: r.entry, indices: r.match.indices }));
+    }
+    active = 0;
+    render();
+  }
+
+  function render() {
+    list.innerHTML = '';
+    if (results.length === 0) {
+      list.appendChild(el('div', { class: 'empty-list' }, 'No matching commands or notes'));
+      return;
+    }
+    results.forEach(({ entry, indices }, i) => {
+      const item = el(
+        'button',
+        { class: `palette-item ${i === active ? 'active' : ''}`, role: 'option', 'aria-selected': i === active ? 'true' : 'false' },
+        icon(entry.kind === 'note' ? 'edit' : 'chevron', 16),
+        el('span', { class: 'palette-label' }, markMatches(entry.label, indices)),
+        entry.shortcut ? el('kbd', {}, formatShortcut(entry.shortcut)) : null,
+      );
+      item.addEventListener('mousedown', (e) => e.preventDefault());
+      item.addEventListener('click', () => choose(i));
+      list.appendChild(item);
+    });
+    list.children[active]?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  function choose(i) {
+    const picked = results[i];
+    if (!picked) return;
+    modal.close();
+    picked.entry.run();
+  }
+
+  input.addEventListener('input', search);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      active = (active + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+      render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(active);
+    }
+  });
+
+  const modal = openModal(el('div', { class: 'palette-body' }, input, list), { className: 'palette' });
+  search();
+  input.focus();
+  return modal;
+}
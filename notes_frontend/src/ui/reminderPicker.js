@@ -0,0 +1,110 @@
+//
+// Reminder picker: the popover behind the bell button in the note toolbar, with quick choices
+// ("in 1 hour", "tomorrow morning", …), a date/time field and a way to remove the reminder.
+//
+import { el, showPopover } from './components.js';
+
+/**
+ * Format a Date for a datetime-local input (local time, minutes precision).
+ * @param {Date} date
+ * @returns {string}
+ */
+function toLocalInput(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Return `date` on a given local hour, `days` later.
+ * @param {Date} date
+ * @param {number} days
+ * @param {number} hour
+ * @returns {Date}
+ */
+function atHour(date, days, hour) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  d.setHours(hour, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Quick choices offered above the date/time field.
+ * @param {Date} now
+ * @returns {{label: string, at: Date}[]}
+ */
+function presets(now) {
+  const out = [
+    { label: 'In 10 minutes', at: new Date(now.getTime() + 10 * 60 * 1000) },
+    { label: 'In 1 hour', at: new Date(now.getTime() + 60 * 60 * 1000) },
+  ];
+  if (now.getHours() < 17) out.push({ label: 'This evening', at: atHour(now, 0, 18) });
+  out.push({ label: 'Tomorrow morning', at: atHour(now, 1, 9) });
+  // Next Monday (a week from today if today is Monday).
+  out.push({ label: 'Next week', at: atHour(now, ((8 - now.getDay()) % 7) || 7, 9) });
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Open the reminder picker below an anchor element.
+ */
+/**
+ * options: { remindAt (ISO string or null), onSet(date) }. onSet receives the chosen Date, or null when the
+ * reminder is removed; the picker closes afterwards. Returns a function that closes the picker.
+ */
+export function openReminderPicker(anchor, { remindAt, onSet }) {
+  const now = new Date();
+  const current = remindAt ? new Date(remindAt) : null;
+  const input = el('input', {
+    type: 'datetime-local',
+    class: 'reminder-input',
+    'aria-label': 'Reminder date and time',
+    value: toLocalInput(current && current > now ? current : atHour(now, 1, 9)),
+  });
+  const error = el('p', { class: 'reminder-error', role: 'alert' });
+  const form = el('form', { class: 'reminder-form' }, input, el('button', { class: 'btn btn-primary', type: 'submit' }, 'Set'));
+  const panel = el(
+    'div',
+    { class: 'popup-menu reminder-picker', role: 'dialog', 'aria-label': 'Reminder' },
+    el('div', { class: 'reminder-picker-title' }, current ? `Reminder: ${current.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}` : 'Remind me'),
+  );
+  let close;
+
+  function choose(at) {
+    close();
+    onSet(at);
+  }
+
+  for (const preset of presets(now)) {
+    const btn = el(
+      'button',
+      { class: 'popup-menu-item', type: 'button' },
+      el('span', {}, preset.label),
+      el('span', { class: 'reminder-preset-time' }, preset.at.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })),
+    );
+    btn.addEventListener('click', () => choose(preset.at));
+    panel.appendChild(btn);
+  }
+  panel.append(el('div', { class: 'popup-menu-sep', role: 'separator' }), form, error);
+  if (current) {
+    const remove = el('button', { class: 'popup-menu-item danger', type: 'button' }, 'Remove reminder');
+    remove.addEventListener('click', () => choose(null));
+    panel.appendChild(remove);
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const at = new Date(input.value);
+    if (!input.value || Number.isNaN(at.getTime())) {
+      error.textContent = 'Pick a date and time.';
+    } else if (at <= new Date()) {
+      error.textContent = 'Pick a time in the future.';
+    } else {
+      choose(at);
+    }
+  });
+
+  close = showPopover(anchor, panel);
+  return close;
+}
@@ -0,0 +1,140 @@
+//
+// Template dialogs: the form asking for a template's custom fields when a note is created from it,
+// and the template manager for editing, renaming and deleting templates.
+//
+import { el, icon, openModal } from './components.js';
+
+/**
+ * Build a labelled form field.
+ * @param {string} label
+ * @param {HTMLElement} control
+ * @returns {HTMLElement}
+ */
+function field(label, control) {
+  return el('label', { class: 'template-field' }, el('span', { class: 'label' }, label), control);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Ask for the custom fields of a template.
+ */
+/**
+ * Shows one text box per field name and resolves to { [name]: value } on submit, or null if the dialog is
+ * closed without creating the note.
+ */
+export function promptTemplateFields(template, fields) {
+  return new Promise((resolve) => {
+    let values = null;
+    const inputs = fields.map((name) => el('input', { class: 'template-input', type: 'text', 'aria-label': name }));
+    const form = el(
+      'form',
+      { class: 'template-form' },
+      fields.map((name, i) => field(name, inputs[i])),
+      el('div', { class: 'template-actions' }, el('button', { class: 'btn btn-primary', type: 'submit' }, 'Create note')),
+    );
+    const modal = openModal(form, {
+      title: `New ${template.name}`,
+      className: 'template-modal',
+      onClose: () => resolve(values),
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      values = Object.fromEntries(fields.map((name, i) => [name, inputs[i].value]));
+      modal.close();
+    });
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Open the template manager.
+ */
+/**
+ * options: { listTemplates() → Template[], onSave(id, { name, title, content, tags, favorite }), onDelete(id) }.
+ * Lists the templates with Edit and Delete; Edit opens a form for every template field. onSave may throw to
+ * show an error. Returns the modal's { root, close }.
+ */
+export function openTemplateManager({ listTemplates, onSave, onDelete }) {
+  const body = el('div', { class: 'template-manager' });
+
+  function showList() {
+    const templates = listTemplates();
+    body.innerHTML = '';
+    if (templates.length === 0) {
+      body.appendChild(
+        el('p', { class: 'template-hint' }, 'No templates yet. Write a note the way new notes should start, then choose “Save current note as template…” from the New menu.'),
+      );
+      return;
+    }
+    for (const template of templates) {
+      const edit = el('button', { class: 'icon-btn', title: `Edit ${template.name}` }, icon('edit', 16));
+      const remove = el('button', { class: 'icon-btn danger', title: `Delete ${template.name}` }, icon('trash', 16));
+      edit.addEventListener('click', () => showEditor(template));
+      remove.addEventListener('click', () => {
+        if (!window.confirm(`Delete the template “${template.name}”? Notes created from it are kept.`)) return;
+        onDelete(template.id);
+        showList();
+      });
+      body.appendChild(
+        el(
+          'div',
+          { class: 'template-row' },
+          el('span', { class: 'template-name' }, template.name),
+          template.tags.length ? el('span', { class: 'template-tags' }, template.tags.join(', ')) : null,
+          edit,
+          remove,
+        ),
+      );
+    }
+  }
+
+  function showEditor(template) {
+    const name = el('input', { class: 'template-input', type: 'text', value: template.name });
+    const title = el('input', { class: 'template-input', type: 'text', value: template.title, placeholder: 'e.g. Meeting {{date}}' });
+    const tags = el('input', { class: 'template-input', type: 'text', value: template.tags.join(', '), placeholder: 'comma, separated' });
+    const favorite = el('input', { type: 'checkbox', checked: template.favorite });
+    const content = el('textarea', { class: 'template-input template-content', rows: '10' });
+    content.value = template.content;
+    const error = el('p', { class: 'lock-error', role: 'alert' });
+    const cancel = el('button', { class: 'btn btn-secondary', type: 'button' }, 'Cancel');
+    cancel.addEventListener('click', showList);
+    const form = el(
+      'form',
+      { class: 'template-form' },
+      field('Name', name),
+      field('Note title', title),
+      field('Tags', tags),
+      el('label', { class: 'template-check' }, favorite, ' Start as favorite'),
+      field('Content', content),
+      el(
+        'p',
+        { class: 'template-hint' },
+        'Placeholders: {{date}}, {{time}}, {{datetime}}, {{weekday}}, {{cursor}} (where typing starts). Any other {{name}} is asked for when a note is created.',
+      ),
+      error,
+      el('div', { class: 'template-actions' }, cancel, el('button', { class: 'btn btn-primary', type: 'submit' }, 'Save template')),
+    );
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      try {
+        onSave(template.id, {
+          name: name.value,
+          title: title.value,
+          content: content.value,
+          tags: tags.value.split(',').map((t) => t.trim()).filter(Boolean),
+          favorite: favorite.checked,
+        });
+      } catch (err) {
+        error.textContent = err.message;
+        return;
+      }
+      showList();
+    });
+    body.innerHTML = '';
+    body.appendChild(form);
+    name.focus();
+  }
+
+  showList();
+  return openModal(body, { title: 'Templates', className: 'template-modal' });
+}
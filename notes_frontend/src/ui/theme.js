@@ -0,0 +1,225 @@
+//
+// Appearance: light/dark/system theme, accent color and editor font. They are applied to the document root as
+// a data-theme attribute and CSS custom properties, which ../style.css builds its palette from. The choices are
+// kept in the store's settings; the last applied ones are also cached in localStorage so that a page load starts
+// in the right theme before the store is open (including the lock screen of an encrypted store).
+//
+import { el, openModal } from './components.js';
+
+const CACHE_KEY = 'notes_app_theme';
+
+/** Theme choices, by settings.theme value. */
+export const THEMES = { system: 'System', light: 'Light', dark: 'Dark' };
+
+/** Editor typefaces, by settings.editorFontFamily value. */
+export const EDITOR_FONTS = {
+  sans: { label: 'Sans-serif', stack: 'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif' },
+  serif: { label: 'Serif', stack: 'ui-serif, Georgia, Cambria, "Times New Roman", Times, serif' },
+  mono: { label: 'Monospace', stack: 'ui-monospace, SFMono-Regular, Menlo, Consolas, monospace' },
+};
+
+/** Range of settings.editorFontSize, in pixels. */
+export const EDITOR_FONT_SIZES = { min: 12, max: 24 };
+
+/** Accent colors offered as swatches next to the color picker. */
+const ACCENT_SWATCHES = ['#2d6cdf', '#7c3aed', '#db2777', '#dc2626', '#ea580c', '#16a34a', '#0d9488'];
+
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+/** @type {MediaQueryList|null|undefined} */
+let darkQuery;
+/** @type {Appearance|null} The appearance last applied, re-applied when the system theme changes. */
+let current = null;
+
+/**
+ * The appearance fields of the settings, with invalid or missing values replaced by the defaults.
+ * @param {Object} settings
+ * @returns {Appearance}
+ */
+function appearanceOf(settings = {}) {
+  const size = Math.round(Number(settings.editorFontSize));
+  return {
+    theme: Object.hasOwn(THEMES, settings.theme) ? settings.theme : 'system',
+    accentColor: HEX_COLOR_RE.test(settings.accentColor || '') ? settings.accentColor.toLowerCase() : '',
+    editorFontSize: Number.isFinite(size) ? Math.min(EDITOR_FONT_SIZES.max, Math.max(EDITOR_FONT_SIZES.min, size)) : 15,
+    editorFontFamily: Object.hasOwn(EDITOR_FONTS, settings.editorFontFamily) ? settings.editorFontFamily : 'sans',
+  };
+}
+
+/**
+ * The `prefers-color-scheme: dark` media query, listened to once; null where matchMedia is unavailable.
+ * @returns {MediaQueryList|null}
+ */
+function systemDarkQuery() {
+  if (darkQuery === undefined) {
+    darkQuery = typeof window.matchMedia === 'function' ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+    darkQuery?.addEventListener?.('change', () => {
+      if (current?.theme === 'system') applyTheme(current);
+    });
+  }
+  return darkQuery;
+}
+
+/**
+ * Text color that stays readable on a background color: dark on light accents, white otherwise.
+ * @param {string} hex '#rrggbb'
+ * @returns {string}
+ */
+function readableOn(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  // Above this relative luminance, near-black text contrasts more than white does.
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 0.18 ? '#111827' : '#ffffff';
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Apply the appearance settings to the page.
+ */
+/**
+ * Reads theme, accentColor, editorFontSize and editorFontFamily from `settings` (see DEFAULT_SETTINGS in
+ * ../store.js); a 'system' theme follows the OS setting, also when it changes later. Returns the applied values.
+ */
+export function applyTheme(settings) {
+  const appearance = appearanceOf(settings);
+  current = appearance;
+  const root = document.documentElement;
+  const dark = appearance.theme === 'dark' || (appearance.theme === 'system' && Boolean(systemDarkQuery()?.matches));
+  root.dataset.theme = dark ? 'dark' : 'light';
+  if (appearance.accentColor) {
+    root.style.setProperty('--color-primary', appearance.accentColor);
+    root.style.setProperty('--color-on-primary', readableOn(appearance.accentColor));
+  } else {
+    root.style.removeProperty('--color-primary');
+    root.style.removeProperty('--color-on-primary');
+  }
+  root.style.setProperty('--editor-font-size', `${appearance.editorFontSize}px`);
+  root.style.setProperty('--editor-font-family', EDITOR_FONTS[appearance.editorFontFamily].stack);
+  // The browser UI (title bar, mobile address bar) takes the accent color too.
+  const meta = document.querySelector('meta[name="theme-color"]');
+  const primary = window.getComputedStyle?.(root).getPropertyValue('--color-primary').trim();
+  if (meta && primary) meta.setAttribute('content', primary);
+  try {
+    if (typeof localStorage !== 'undefined') localStorage.setItem(CACHE_KEY, JSON.stringify(appearance));
+  } catch {
+    // Storage full or unavailable: the next load just starts in the default theme.
+  }
+  return appearance;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Apply the appearance cached by the last applyTheme() call.
+ */
+/** For use before the store is open; falls back to the defaults when nothing is cached. */
+export function restoreTheme() {
+  let cached = {};
+  try {
+    cached = JSON.parse((typeof localStorage !== 'undefined' && localStorage.getItem(CACHE_KEY)) || '{}') || {};
+  } catch {
+    // Unreadable cache: use the defaults.
+  }
+  return applyTheme(cached);
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Show the settings panel.
+ */
+/**
+ * Appearance controls for `settings`, applied as they change: onChange(fields) gets the changed settings fields
+ * and should store and apply them. options.links: [{ label, onSelect }] buttons to other settings dialogs,
+ * which close the panel first. Returns { root, close }.
+ */
+export function openSettingsPanel(settings, onChange, { links = [] } = {}) {
+  let appearance = appearanceOf(settings);
+  const change = (fields) => {
+    appearance = { ...appearance, ...fields };
+    onChange(fields);
+    render();
+  };
+
+  const themeGroup = el(
+    'div',
+    { class: 'theme-options', role: 'radiogroup', 'aria-label': 'Theme' },
+    Object.entries(THEMES).map(([value, label]) => {
+      const btn = el('button', { class: 'theme-option', type: 'button', role: 'radio', dataset: { theme: value } }, label);
+      btn.addEventListener('click', () => change({ theme: value }));
+      return btn;
+    }),
+  );
+
+  const swatches = ACCENT_SWATCHES.map((color) => {
+    const btn = el('button', { class: 'accent-swatch', type: 'button', title: color, style: `--swatch: ${color}` });
+    btn.addEventListener('click', () => change({ accentColor: color }));
+    return btn;
+  });
+  const picker = el('input', { class: 'accent-picker', type: 'color', 'aria-label': 'Custom accent color' });
+  picker.addEventListener('input', () => change({ accentColor: picker.value }));
+  const resetAccent = el('button', { class: 'btn btn-secondary', type: 'button' }, 'Default');
+  resetAccent.addEventListener('click', () => change({ accentColor: '' }));
+
+  const fontSelect = el(
+    'select',
+    { class: 'settings-select', 'aria-label': 'Editor font' },
+    Object.entries(EDITOR_FONTS).map(([value, font]) => el('option', { value }, font.label)),
+  );
+  fontSelect.addEventListener('change', () => change({ editorFontFamily: fontSelect.value }));
+
+  const sizeInput = el('input', {
+    class: 'settings-range',
+    type: 'range',
+    min: String(EDITOR_FONT_SIZES.min),
+    max: String(EDITOR_FONT_SIZES.max),
+    step: '1',
+    'aria-label': 'Editor font size',
+  });
+  const sizeValue = el('output', { class: 'settings-value' });
+  sizeInput.addEventListener('input', () => change({ editorFontSize: Number(sizeInput.value) }));
+
+  const row = (label, ...controls) => el('div', { class: 'settings-row' }, el('span', { class: 'settings-label' }, label), el('div', { class: 'settings-control' }, ...controls));
+
+  function render() {
+    for (const btn of themeGroup.children) btn.setAttribute('aria-checked', String(btn.dataset.theme === appearance.theme));
+    for (const btn of swatches) btn.classList.toggle('active', btn.title === appearance.accentColor);
+    picker.value = appearance.accentColor || window.getComputedStyle?.(document.documentElement).getPropertyValue('--color-primary').trim() || '#2d6cdf';
+    resetAccent.disabled = !appearance.accentColor;
+    fontSelect.value = appearance.editorFontFamily;
+    sizeInput.value = String(appearance.editorFontSize);
+    sizeValue.textContent = `${appearance.editorFontSize}px`;
+  }
+
+  const linkButtons = links.map(({ label, onSelect }) => {
+    const btn = el('button', { class: 'btn btn-secondary', type: 'button' }, label);
+    btn.addEventListener('click', () => {
+      modal.close();
+      onSelect();
+    });
+    return btn;
+  });
+
+  const content = el(
+    'div',
+    { class: 'settings-panel' },
+    el('h3', { class: 'settings-heading' }, 'Appearance'),
+    row('Theme', themeGroup),
+    row('Accent color', el('div', { class: 'accent-swatches' }, ...swatches), picker, resetAccent),
+    row('Editor font', fontSelect),
+    row('Editor font size', sizeInput, sizeValue),
+    linkButtons.length ? el('div', { class: 'settings-links' }, ...linkButtons) : null,
+  );
+  render();
+  const modal = openModal(content, { title: 'Settings', className: 'settings-modal' });
+  return modal;
+}
+
+/**
+ Appearance settings
+ @typedef {Object} Appearance
+ @property {'system'|'light'|'dark'} theme
+ @property {string} accentColor '#rrggbb', or '' for the theme's own primary color
+ @property {number} editorFontSize Pixels
+ @property {'sans'|'serif'|'mono'} editorFontFamily
+ */
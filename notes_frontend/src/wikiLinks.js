@@ -0,0 +1,58 @@
+//
+// Wiki-style links between notes: `[[Note Title]]` or `[[Note Title|shown text]]` in note content.
+// Links refer to notes by title (case-insensitive); the store resolves them to ids and keeps them
+// pointing at the right note when a title changes.
+//
+
+const WIKI_LINK_RE = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g;
+
+/**
+ * PUBLIC INTERFACE
+ * Normalize a title for link matching.
+ */
+/** Returns the trimmed, lowercased title; links match a note when the keys are equal. */
+export function titleKey(title) {
+  return String(title || '').trim().toLowerCase();
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Find the wiki links in a text.
+ */
+/** Returns [{ title, alias, start, end }] for each `[[...]]` link; start/end are offsets of the whole link. */
+export function parseWikiLinks(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(WIKI_LINK_RE)) {
+    const title = m[1].trim();
+    if (!title) continue;
+    out.push({ title, alias: m[2] ? m[2].trim() : null, start: m.index, end: m.index + m[0].length });
+  }
+  return out;
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Point links at a renamed note.
+ */
+/** Returns the text with every link to `from` rewritten to `to`, keeping aliases. */
+export function renameWikiLinks(text, from, to) {
+  const key = titleKey(from);
+  return String(text || '').replace(WIKI_LINK_RE, (m, title, alias) => {
+    if (titleKey(title) !== key) return m;
+    return alias ? `[[${to}|${alias}]]` : `[[${to}]]`;
+  });
+}
+
+/**
+ * PUBLIC INTERFACE
+ * Detect a link being typed at the caret.
+ */
+/** Returns { start, query } when the caret follows an unclosed `[[` on the same line (start is the offset of `[[`), otherwise null. */
+export function openWikiLinkAt(text, caret) {
+  const before = String(text || '').slice(0, caret);
+  const start = before.lastIndexOf('[[');
+  if (start === -1) return null;
+  const query = before.slice(start + 2);
+  if (/[[\]|\n]/.test(query)) return null;
+  return { start, query };
+}
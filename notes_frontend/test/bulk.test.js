@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createNote,
+  deleteNote,
+  encryptNote,
+  getNote,
+  initStore,
+  listNotes,
+  listRevisions,
+  mergeNotes,
+  restoreRevision,
+  setFavorite,
+  tagNotes,
+  trashNotes,
+} from '../src/store.js';
+
+test('tagNotes adds tags and removes them with the tags nested below them', async () => {
+  await initStore({ storage: 'memory' });
+  const a = createNote({ tags: ['work', 'work/meetings', 'home'] });
+  const b = createNote({ tags: ['workshop'] });
+  const c = createNote({ tags: ['urgent'] });
+  assert.equal(tagNotes([a.id, b.id, c.id], { add: [' urgent '], remove: ['work'] }), 2, 'c already has the tag');
+  assert.deepEqual(getNote(a.id).tags, ['home', 'urgent']);
+  assert.deepEqual(getNote(b.id).tags, ['workshop', 'urgent']);
+  assert.deepEqual(getNote(c.id).tags, ['urgent']);
+  assert.equal(setFavorite([a.id, b.id], true), 2);
+  assert.equal(setFavorite([a.id, b.id], true), 0);
+});
+
+test('trashNotes skips notes already in the trash', async () => {
+  await initStore({ storage: 'memory' });
+  const a = createNote({ title: 'A' });
+  const b = createNote({ title: 'B' });
+  deleteNote(a.id);
+  const trashedAt = getNote(a.id).deletedAt;
+  assert.equal(trashNotes([a.id, b.id, 'missing']), 1);
+  assert.equal(getNote(a.id).deletedAt, trashedAt);
+  assert.ok(getNote(b.id).deletedAt);
+  assert.deepEqual(listNotes(), []);
+});
+
+test('mergeNotes appends the other notes and points links to them at the result', async () => {
+  await initStore({ storage: 'memory' });
+  const attachment = { id: 'att-1', name: 'photo.png', type: 'image/png', size: 3 };
+  const first = createNote({ title: 'Trip', content: 'Plan\n', tags: ['travel'] });
+  const second = createNote({ title: 'Packing', content: '- socks', tags: ['travel', 'lists'], favorite: true, attachments: [attachment] });
+  const linking = createNote({ title: 'Index', content: 'See [[Packing]] and [[Packing|the list]].' });
+
+  const merged = mergeNotes([first.id, second.id]);
+  assert.equal(merged.id, first.id);
+  assert.equal(merged.content, 'Plan\n\n## Packing\n\n- socks');
+  assert.deepEqual(merged.tags, ['travel', 'lists']);
+  assert.equal(merged.favorite, true);
+  assert.deepEqual(merged.attachments.map((a) => a.id), ['att-1']);
+  assert.ok(getNote(second.id).deletedAt);
+  assert.equal(getNote(linking.id).content, 'See [[Trip]] and [[Trip|the list]].');
+
+  // The first note's state before the merge is kept as a revision.
+  const [before] = listRevisions(first.id);
+  restoreRevision(first.id, before.id);
+  assert.equal(getNote(first.id).content, 'Plan\n');
+  assert.deepEqual(getNote(first.id).tags, ['travel']);
+});
+
+test('mergeNotes needs two notes outside the trash and refuses encrypted ones', async () => {
+  await initStore({ storage: 'memory' });
+  const a = createNote({ title: 'A' });
+  const b = createNote({ title: 'B' });
+  const c = createNote({ title: 'C', content: 'secret' });
+  deleteNote(b.id);
+  assert.throws(() => mergeNotes([a.id]), /at least two/);
+  assert.throws(() => mergeNotes([a.id, b.id]), /at least two/);
+  await encryptNote(c.id, 'pw');
+  assert.throws(() => mergeNotes([a.id, c.id]), /Encrypted notes cannot be merged/);
+  assert.equal(getNote(a.id).content, '');
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNote, deleteNote, getOrCreateDailyNote, initStore, listNoteActivity, listNotes, updateNote } from '../src/store.js';
+
+test('getOrCreateDailyNote returns the same note for the same day', async () => {
+  await initStore({ storage: 'memory' });
+  const day = new Date(2024, 4, 31, 9, 0);
+  const first = getOrCreateDailyNote(day);
+  assert.equal(first.created, true);
+  assert.equal(first.note.title, '2024-05-31');
+  assert.deepEqual(first.note.tags, ['daily']);
+
+  const again = getOrCreateDailyNote(new Date(2024, 4, 31, 23, 59));
+  assert.equal(again.created, false);
+  assert.equal(again.note.id, first.note.id);
+  assert.equal(listNotes().length, 1);
+
+  deleteNote(first.note.id);
+  assert.notEqual(getOrCreateDailyNote(day).note.id, first.note.id, 'a trashed daily note is not reused');
+});
+
+test('listNotes({ from, to }) keeps notes created or edited in the range, `to` excluded', async () => {
+  await initStore({ storage: 'memory' });
+  const at = (iso) => ({ createdAt: iso, updatedAt: iso });
+  createNote({ title: 'Before', ...at('2024-05-30T23:59:59.999Z') });
+  createNote({ title: 'Start', ...at('2024-05-31T00:00:00.000Z') });
+  createNote({ title: 'End', ...at('2024-06-01T00:00:00.000Z') });
+  createNote({ title: 'Edited', createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-05-31T12:00:00.000Z' });
+  const range = { from: '2024-05-31T00:00:00.000Z', to: new Date('2024-06-01T00:00:00.000Z'), sort: 'title' };
+  assert.deepEqual(listNotes(range).map((n) => n.title), ['Edited', 'Start']);
+  assert.deepEqual(listNotes({ from: Date.parse('2024-06-01T00:00:00.000Z') }).map((n) => n.title), ['End']);
+});
+
+test('listNoteActivity counts creations and later edits per local day', async () => {
+  await initStore({ storage: 'memory' });
+  const may = (d, h) => new Date(2024, 4, d, h).toISOString();
+  createNote({ createdAt: may(1, 9), updatedAt: may(1, 18) });
+  const note = createNote({ createdAt: may(1, 10), updatedAt: may(3, 8) });
+  const from = new Date(2024, 4, 1);
+  const to = new Date(2024, 5, 1);
+  assert.deepEqual(listNoteActivity(from, to), { '2024-05-01': { created: 2, edited: 0 }, '2024-05-03': { created: 0, edited: 1 } });
+
+  deleteNote(note.id);
+  assert.deepEqual(listNoteActivity(from, to), { '2024-05-01': { created: 1, edited: 0 } }, 'recomputed after a write');
+  updateNote(createNote({ createdAt: may(2, 9) }).id, { title: 'edited today' });
+  assert.equal(listNoteActivity(from, to)['2024-05-02'].edited, 0, 'edited outside the range');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, mergeLines } from '../src/diff.js';
+
+const lines = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix}${i}`);
+
+test('diffLines marks removed and added lines around the unchanged ones', () => {
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nB\nc\nd'), [
+    { type: 'same', text: 'a' },
+    { type: 'del', text: 'b' },
+    { type: 'add', text: 'B' },
+    { type: 'same', text: 'c' },
+    { type: 'add', text: 'd' },
+  ]);
+  assert.deepEqual(diffLines('', 'x'), [
+    { type: 'del', text: '' },
+    { type: 'add', text: 'x' },
+  ]);
+});
+
+test('diffLines replaces the whole changed block when the LCS table would be too large', () => {
+  // 2001 × 2001 differing lines exceed MAX_CELLS; a full diff would keep the shared middle line.
+  const before = [...lines('a', 1000), 'shared', ...lines('a', 1000).reverse()].join('\n');
+  const after = [...lines('b', 1000), 'shared', ...lines('b', 1000).reverse()].join('\n');
+  const parts = diffLines(before, after);
+  assert.equal(parts.filter((p) => p.type === 'same').length, 0);
+  assert.deepEqual(parts.slice(999, 1002).map((p) => p.type), ['del', 'del', 'del']);
+  assert.equal(parts.length, 4002);
+  assert.ok(diffLines(before, before.replace('a5', 'x')).some((p) => p.text === 'shared' && p.type === 'same'));
+});
+
+test('mergeLines combines edits to different parts of the text', () => {
+  const { text, conflicts } = mergeLines('a\nb\nc\nd\ne', 'a\nB\nc\nd\ne', 'a\nb\nc\nD\ne\nf');
+  assert.equal(text, 'a\nB\nc\nD\ne\nf');
+  assert.equal(conflicts, 0);
+});
+
+test('mergeLines takes an edit made on both sides once', () => {
+  assert.deepEqual(mergeLines('a\nb\nc', 'a\nB\nc', 'a\nB\nc'), { text: 'a\nB\nc', conflicts: 0 });
+  assert.deepEqual(mergeLines('a\nb', 'a\nb', 'a\nb\nc'), { text: 'a\nb\nc', conflicts: 0 });
+});
+
+test('mergeLines marks edits to adjacent lines as a conflict', () => {
+  const { text, conflicts } = mergeLines('a\nb\nc\nd', 'a\nB\nc\nd', 'a\nb\nC\nd');
+  assert.equal(conflicts, 1);
+  assert.equal(text, ['a', '<<<<<<< mine', 'B', 'c', '=======', 'b', 'C', '>>>>>>> theirs', 'd'].join('\n'));
+});
+
+test('mergeLines marks two insertions at the same point as a conflict', () => {
+  const { text, conflicts } = mergeLines('a\nc', 'a\nmine\nc', 'a\ntheirs\nc');
+  assert.equal(conflicts, 1);
+  assert.equal(text, ['a', '<<<<<<< mine', 'mine', '=======', 'theirs', '>>>>>>> theirs', 'c'].join('\n'));
+});
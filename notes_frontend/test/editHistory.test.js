@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditHistory } from '../src/editHistory.js';
+
+const at = (value) => ({ value, start: value.length, end: value.length });
+
+/** Type `text` one character at a time, `gap` ms apart, as merged edits. */
+function type(history, key, from, text, { t0, gap }) {
+  let value = from;
+  [...text].forEach((ch, i) => {
+    value += ch;
+    history.record(key, at(value), { merge: true, now: t0 + i * gap });
+  });
+  return value;
+}
+
+test('typing within a second of the previous keystroke is one undo step', () => {
+  const history = createEditHistory();
+  history.load('n', at(''));
+  type(history, 'n', '', 'hello', { t0: 10_000, gap: 200 });
+  assert.deepEqual(history.undo('n'), at(''));
+  assert.equal(history.undo('n'), null);
+  assert.deepEqual(history.redo('n'), at('hello'));
+});
+
+test('a pause of a second or more starts a new step', () => {
+  const history = createEditHistory();
+  history.load('n', at(''));
+  type(history, 'n', '', 'ab', { t0: 10_000, gap: 200 });
+  type(history, 'n', 'ab', 'cd', { t0: 11_200, gap: 200 });
+  assert.deepEqual(history.undo('n'), at('ab'));
+  assert.deepEqual(history.undo('n'), at(''));
+});
+
+test('continuous typing is split into steps of at most five seconds', () => {
+  const history = createEditHistory();
+  history.load('n', at(''));
+  // 30 keystrokes 300 ms apart: the 18th comes 5.1 s after the first and starts a new step.
+  type(history, 'n', '', 'x'.repeat(30), { t0: 10_000, gap: 300 });
+  assert.deepEqual(history.undo('n'), at('x'.repeat(17)));
+  assert.deepEqual(history.undo('n'), at(''));
+});
+
+test('edits that are not typing, and typing after an undo, are separate steps', () => {
+  const history = createEditHistory();
+  history.load('n', at('a'));
+  history.record('n', at('a**b**'), { now: 10_000 });
+  history.record('n', at('a**b**c'), { merge: true, now: 10_100 });
+  assert.deepEqual(history.undo('n'), at('a**b**'));
+  history.record('n', at('a**b**d'), { merge: true, now: 10_200 });
+  history.record('n', at('a**b**de'), { merge: true, now: 10_300 });
+  // The undone state does not absorb "d"; "d" and "e" are one step that replaced the undone "c".
+  assert.deepEqual(history.undo('n'), at('a**b**'));
+  assert.deepEqual(history.redo('n'), at('a**b**de'));
+  assert.equal(history.canRedo('n'), false);
+  history.undo('n');
+  assert.deepEqual(history.undo('n'), at('a'));
+});
+
+test('a selection change does not add a step, and the history is kept per key up to the limit', () => {
+  const history = createEditHistory({ limit: 3 });
+  history.load('n', at('a'));
+  history.record('n', { value: 'a', start: 0, end: 1 });
+  assert.equal(history.canUndo('n'), false);
+  for (const v of ['b', 'c', 'd']) history.record('n', at(v));
+  history.load('other', at('x'));
+  assert.deepEqual(history.undo('n'), at('c'));
+  assert.deepEqual(history.undo('n'), at('b'));
+  assert.equal(history.undo('n'), null, 'the oldest state was dropped');
+  assert.equal(history.canUndo('other'), false);
+  history.forget('n');
+  assert.equal(history.undo('n'), null);
+});
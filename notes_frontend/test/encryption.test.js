@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decryptText, deriveKey, encryptText, isEncrypted, readEnvelope, unlockKey } from '../src/encryption.js';
+import { createMemoryAdapter } from '../src/storage/index.js';
+import {
+  createNote,
+  encryptNote,
+  flushStore,
+  getNote,
+  initStore,
+  listNotes,
+  listRevisions,
+  unlockNote,
+  updateEncryptedNote,
+  updateNote,
+} from '../src/store.js';
+
+// A low work factor keeps the tests fast; the envelope records whatever count was used.
+const FAST = { iterations: 1000 };
+
+test('text round-trips through an envelope that records the KDF parameters', async () => {
+  const keyInfo = await deriveKey('correct horse', FAST);
+  const text = await encryptText('Secret plans ✓', keyInfo);
+  const envelope = readEnvelope(text);
+  assert.equal(envelope.format, 'notes-encrypted');
+  assert.deepEqual(envelope.kdf, { name: 'PBKDF2', hash: 'SHA-256', iterations: 1000, salt: keyInfo.salt });
+  assert.ok(!text.includes('Secret'));
+  assert.equal(await decryptText(text, keyInfo), 'Secret plans ✓');
+  assert.notEqual(await encryptText('Secret plans ✓', keyInfo), text, 'each encryption uses a fresh IV');
+});
+
+test('unlockKey re-derives the key from the envelope and rejects a wrong passphrase', async () => {
+  const text = await encryptText('hello', await deriveKey('pass one', FAST));
+  const keyInfo = await unlockKey('pass one', text);
+  assert.equal(await decryptText(text, keyInfo), 'hello');
+  await assert.rejects(unlockKey('pass two', text), { code: 'wrong-passphrase' });
+  await assert.rejects(decryptText(text, await deriveKey('pass one', FAST)), { code: 'wrong-passphrase' }, 'another salt');
+});
+
+test('tampered data and newer formats are rejected', async () => {
+  const keyInfo = await deriveKey('pw', FAST);
+  const envelope = JSON.parse(await encryptText('hello', keyInfo));
+  const data = (envelope.data[0] === 'A' ? 'B' : 'A') + envelope.data.slice(1);
+  const tampered = JSON.stringify({ ...envelope, data });
+  await assert.rejects(decryptText(tampered, keyInfo), { code: 'wrong-passphrase' });
+  await assert.rejects(decryptText(JSON.stringify({ ...envelope, v: 2 }), keyInfo), /newer than this app supports/);
+});
+
+test('plain text and other JSON are not envelopes', () => {
+  assert.equal(readEnvelope('hello'), null);
+  assert.equal(readEnvelope('{"notes":[]}'), null);
+  assert.equal(readEnvelope('{"format":"notes-encrypted"}'), null);
+  assert.equal(isEncrypted(''), false);
+  assert.equal(isEncrypted(null), false);
+});
+
+test('an encrypted store only opens with its passphrase', async () => {
+  const adapter = createMemoryAdapter();
+  await initStore({ adapter });
+  createNote({ title: 'Diary', content: 'dear diary' });
+  await flushStore();
+  const keyInfo = await deriveKey('open sesame', FAST);
+  adapter.setItem('notes_app_v1', await encryptText(adapter.getItem('notes_app_v1'), keyInfo));
+
+  await assert.rejects(initStore({ adapter }), { code: 'locked' });
+  await assert.rejects(initStore({ adapter, passphrase: 'nope' }), { code: 'wrong-passphrase' });
+  await initStore({ adapter, passphrase: 'open sesame' });
+  assert.deepEqual(listNotes().map((n) => n.content), ['dear diary']);
+  assert.ok(isEncrypted(adapter.getItem('notes_app_v1')));
+});
+
+test('an encrypted note hides its content from search and drops its history', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ title: 'Bank', content: 'pin 1234 zucchini', updatedAt: '2024-01-01T00:00:00.000Z' });
+  updateNote(note.id, { content: 'pin 4321 zucchini' });
+  assert.equal(listRevisions(note.id).length, 1);
+  assert.deepEqual(listNotes({ query: 'zucchini' }).map((n) => n.id), [note.id]);
+
+  const encrypted = await encryptNote(note.id, 'hunter2');
+  assert.equal(encrypted.encrypted, true);
+  assert.ok(!encrypted.content.includes('zucchini'));
+  assert.deepEqual(listNotes({ query: 'zucchini' }), []);
+  assert.deepEqual(listNotes({ query: 'Bank' }).map((n) => n.id), [note.id], 'the title stays readable');
+  assert.deepEqual(listRevisions(note.id), []);
+  assert.throws(() => updateNote(note.id, { content: 'plain text' }), /updateEncryptedNote/);
+  await assert.rejects(encryptNote(note.id, 'again'), /already encrypted/);
+});
+
+test('an encrypted note is edited through its unlock key and rejects a wrong password', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ title: 'Diary', content: 'day one' });
+  await encryptNote(note.id, 'hunter2');
+  await assert.rejects(unlockNote(note.id, 'wrong'), { code: 'wrong-passphrase' });
+
+  const { content, key } = await unlockNote(note.id, 'hunter2');
+  assert.equal(content, 'day one');
+  await updateEncryptedNote(note.id, { title: 'Diary 2024', content: 'day two' }, key);
+  assert.equal(getNote(note.id).title, 'Diary 2024');
+  assert.ok(!getNote(note.id).content.includes('day two'));
+  assert.equal((await unlockNote(note.id, 'hunter2')).content, 'day two');
+  assert.deepEqual(listRevisions(note.id), []);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { continueList, indent, insertLink, setHeading, toggleBlock, toggleCode, toggleInline } from '../src/formatting.js';
+
+/** Editor state from text with the selection marked by `|` (a caret) or `«` … `»`. */
+function s(text) {
+  const caret = text.indexOf('|');
+  if (caret !== -1) return { value: text.replace('|', ''), start: caret, end: caret };
+  const start = text.indexOf('«');
+  const end = text.indexOf('»') - 1;
+  return { value: text.replace('«', '').replace('»', ''), start, end };
+}
+
+test('toggleInline wraps the selection without its surrounding spaces, and unwraps it again', () => {
+  const bold = toggleInline(s('a« word »b'), '**');
+  assert.deepEqual(bold, { value: 'a **word** b', start: 4, end: 8 });
+  assert.deepEqual(toggleInline(bold, '**'), { value: 'a word b', start: 2, end: 6 });
+  assert.deepEqual(toggleInline(s('a «**word**» b'), '**'), { value: 'a word b', start: 2, end: 6 });
+  assert.deepEqual(toggleInline(s('a|b'), '_'), { value: 'a__b', start: 2, end: 2 });
+});
+
+test('toggleCode uses a code span within a line and a fence across lines', () => {
+  assert.equal(toggleCode(s('run «npm test» now')).value, 'run `npm test` now');
+  const fenced = toggleCode(s('«a\nb»'));
+  assert.deepEqual(fenced, { value: '```\na\nb\n```', start: 0, end: 11 });
+  assert.equal(toggleCode(fenced).value, 'a\nb');
+});
+
+test('toggleBlock adds, replaces and removes list and quote markers', () => {
+  assert.deepEqual(toggleBlock(s('«one\n\n  two»'), 'number'), { value: '1. one\n\n  2. two', start: 0, end: 16 });
+  assert.equal(toggleBlock(s('«- a\n- b»'), 'bullet').value, 'a\nb');
+  assert.equal(toggleBlock(s('«- a\nb»'), 'bullet').value, '- a\n- b', 'mixed lines all get the marker');
+  assert.equal(toggleBlock(s('«1. a\n> b»'), 'task').value, '- [ ] a\n- [ ] b');
+  assert.deepEqual(toggleBlock(s('ab|c'), 'quote'), { value: '> abc', start: 4, end: 4 });
+  assert.equal(toggleBlock(s('x\n«- [ ] a»\ny'), 'task').value, 'x\na\ny');
+});
+
+test('setHeading replaces any heading marker and level 0 removes it', () => {
+  assert.equal(setHeading(s('## Ti|tle'), 1).value, '# Title');
+  assert.equal(setHeading(s('# Ti|tle'), 0).value, 'Title');
+});
+
+test('insertLink uses the selection as the label, or a selected URL as the target', () => {
+  assert.deepEqual(insertLink(s('see «docs» now')), { value: 'see [docs](url) now', start: 11, end: 14 });
+  assert.deepEqual(insertLink(s('«https://example.com»')), { value: '[](https://example.com)', start: 1, end: 1 });
+  assert.deepEqual(insertLink(s('|')), { value: '[](url)', start: 1, end: 1 });
+});
+
+test('continueList starts the next item and ends the list on an empty one', () => {
+  assert.deepEqual(continueList(s('- a|')), { value: '- a\n- ', start: 6, end: 6 });
+  assert.equal(continueList(s('  9) a|')).value, '  9) a\n  10) ');
+  assert.equal(continueList(s('- [x] done|')).value, '- [x] done\n- [ ] ');
+  assert.equal(continueList(s('> quote|')).value, '> quote\n> ');
+  assert.deepEqual(continueList(s('a\n- |')), { value: 'a\n', start: 2, end: 2 });
+  assert.equal(continueList(s('plain|')), null);
+  assert.equal(continueList(s('|- a')), null, 'caret before the marker');
+  assert.equal(continueList(s('```\n- a|')), null, 'inside a code block');
+  assert.equal(continueList(s('«- a»')), null, 'a selection');
+});
+
+test('indent moves list items and selected lines, and inserts spaces elsewhere', () => {
+  assert.deepEqual(indent(s('- it|em')), { value: '  - item', start: 6, end: 6 });
+  assert.deepEqual(indent(s('  - it|em'), true), { value: '- item', start: 4, end: 4 });
+  assert.deepEqual(indent(s('ab|c')), { value: 'ab  c', start: 4, end: 4 });
+  assert.equal(indent(s('«a\n\nb»')).value, '  a\n\n  b');
+  assert.equal(indent(s('«  a\n\tb\nc»'), true).value, 'a\nb\nc');
+  assert.equal(indent(s('a|'), true), null, 'nothing to outdent');
+});
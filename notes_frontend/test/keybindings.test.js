@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_BINDINGS, createKeymap, normalizeShortcut } from '../src/ui/keybindings.js';
+
+const commands = [
+  { id: 'palette.open', label: 'Command palette' },
+  { id: 'note.new', label: 'New note' },
+  { id: 'note.favorite', label: 'Toggle favorite' },
+];
+
+test('normalizeShortcut puts modifiers in a fixed order and names keys consistently', () => {
+  assert.equal(normalizeShortcut('shift+mod+k'), 'Mod+Shift+K');
+  assert.equal(normalizeShortcut(' Alt + ctrl + Esc '), 'Ctrl+Alt+Escape');
+  assert.equal(normalizeShortcut('Mod+Shift+Mod+Up'), 'Mod+Shift+ArrowUp');
+  assert.equal(normalizeShortcut('Mod++'), 'Mod++');
+  assert.equal(normalizeShortcut('Mod+Shift'), '');
+  assert.equal(normalizeShortcut(''), '');
+});
+
+test('overrides replace defaults, and an empty override unbinds', () => {
+  const keymap = createKeymap(commands, { 'note.new': 'shift+alt+n', 'note.favorite': '' });
+  assert.equal(keymap.bindingFor('palette.open'), DEFAULT_BINDINGS['palette.open']);
+  assert.equal(keymap.bindingFor('note.new'), 'Alt+Shift+N');
+  assert.equal(keymap.bindingFor('note.favorite'), '');
+  assert.equal(keymap.bindingFor('unknown'), '');
+});
+
+test('set() takes a shortcut away from the command that had it', () => {
+  const keymap = createKeymap(commands);
+  assert.equal(keymap.set('note.new', 'k+mod'), 'palette.open');
+  assert.equal(keymap.bindingFor('note.new'), 'Mod+K');
+  assert.equal(keymap.bindingFor('palette.open'), '');
+  assert.deepEqual(keymap.overrides(), { 'palette.open': '', 'note.new': 'Mod+K' });
+  assert.equal(keymap.set('note.favorite', 'Alt+F'), null);
+});
+
+test('setting a command back to its default drops the override', () => {
+  const keymap = createKeymap(commands, { 'note.new': 'Alt+M' });
+  keymap.set('note.new', DEFAULT_BINDINGS['note.new']);
+  assert.deepEqual(keymap.overrides(), {});
+});
+
+test('reset() restores one command or all of them', () => {
+  const keymap = createKeymap(commands);
+  keymap.set('note.new', 'Mod+K');
+  keymap.set('note.favorite', 'Alt+F');
+
+  // Taking the default back displaces the command that was given it.
+  assert.equal(keymap.reset('palette.open'), 'note.new');
+  assert.equal(keymap.bindingFor('palette.open'), 'Mod+K');
+  assert.equal(keymap.bindingFor('note.new'), '');
+
+  keymap.reset();
+  assert.deepEqual(keymap.overrides(), {});
+  assert.equal(keymap.bindingFor('note.new'), DEFAULT_BINDINGS['note.new']);
+  assert.equal(keymap.bindingFor('note.favorite'), DEFAULT_BINDINGS['note.favorite']);
+});
+
+test('match() finds the command bound to a key press', () => {
+  const keymap = createKeymap(commands);
+  const press = (key, mods = {}) => ({ key, code: `Key${key.toUpperCase()}`, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...mods });
+  assert.equal(keymap.match(press('n', { altKey: true }))?.id, 'note.new');
+  assert.equal(keymap.match(press('n')), null);
+  assert.equal(keymap.match({ key: 'Shift', shiftKey: true }), null);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNote, deleteNote, initStore, listNotes, reorderNote, togglePinned, updateSettings } from '../src/store.js';
+
+const titles = (notes) => notes.map((n) => `${n.title}:${n.pinned}`);
+
+test('pinned notes stay on top of ranked search results', async () => {
+  await initStore({ storage: 'memory' });
+  const groceries = createNote({ title: 'Groceries', content: 'buy milk before the meeting' });
+  createNote({ title: 'Meeting notes', content: 'meeting agenda, meeting minutes' });
+  togglePinned(groceries.id);
+  // Regression: the better-scoring unpinned match used to come first.
+  assert.deepEqual(titles(listNotes({ query: 'meeting' })), ['Groceries:true', 'Meeting notes:false']);
+});
+
+test('pinned notes come first in every sort order', async () => {
+  await initStore({ storage: 'memory' });
+  const a = createNote({ title: 'Alpha', updatedAt: '2024-01-01T00:00:00.000Z' });
+  const b = createNote({ title: 'Beta', updatedAt: '2024-03-01T00:00:00.000Z' });
+  const c = createNote({ title: 'Gamma', updatedAt: '2024-02-01T00:00:00.000Z' });
+  togglePinned(a.id);
+  assert.deepEqual(listNotes({ sort: 'title' }).map((n) => n.title), ['Alpha', 'Beta', 'Gamma']);
+  updateSettings({ noteSort: 'manual' });
+  reorderNote(c.id, b.id, 'before');
+  assert.deepEqual(listNotes().map((n) => n.title)[0], 'Alpha');
+  assert.deepEqual(listNotes().map((n) => n.title).slice(1), ['Gamma', 'Beta']);
+});
+
+test('trashed notes are listed only in the trash', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ title: 'Old' });
+  createNote({ title: 'Kept' });
+  deleteNote(note.id);
+  assert.deepEqual(listNotes().map((n) => n.title), ['Kept']);
+  assert.deepEqual(listNotes({ trashed: true }).map((n) => n.title), ['Old']);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, stripMarkdown } from '../src/markdown.js';
+
+/** Every tag in the output, e.g. '<img src="x" alt="a">'; an attribute value holding a '<' or '>' shows up as a broken tag. */
+const tags = (html) => html.match(/<[^>]*>/g) || [];
+
+test('raw HTML is escaped, not passed through', () => {
+  const html = renderMarkdown('<script>alert(1)</script> <img src=x onerror=alert(1)>');
+  assert.ok(!html.includes('<script'));
+  assert.ok(!html.includes('<img'));
+  assert.ok(html.includes('&lt;script&gt;'));
+});
+
+test('unsafe link and image schemes are dropped', () => {
+  const html = renderMarkdown('[a](javascript:alert(1)) [b](java\tscript:x) ![c](data:text/html,x) [d](https://ok.example/)');
+  assert.ok(!/javascript|data:/i.test(html.replace(/>[^<]*</g, '><')));
+  assert.ok(html.includes('href="https://ok.example/"'));
+});
+
+test('attribute values cannot break out of their quotes', () => {
+  const html = renderMarkdown('[x](https://a.example/"onmouseover="alert(1)) ![y" onerror="z](u.png "t\\" onload=\\"x")');
+  // Outside quoted values, no tag has an event handler attribute.
+  for (const tag of tags(html)) assert.doesNotMatch(tag.replace(/"[^"]*"/g, '""'), /\son\w+=/i, tag);
+});
+
+test('note text cannot forge an inline placeholder', () => {
+  // Regression: U+E000 0 U+E001 in the source used to be replaced by the first held fragment.
+  const html = renderMarkdown('![a](onerror=top.onerror=alert;throw/1///) ![b](\uE0000\uE001)');
+  assert.ok(!html.includes('\uE000') && !html.includes('\uE001'));
+  assert.equal(tags(html).filter((t) => t.startsWith('<img')).length, 2);
+  for (const tag of tags(html)) assert.doesNotMatch(tag, /src="</, tag);
+  assert.ok(html.includes('<img src="0" alt="b" loading="lazy">'));
+});
+
+test('held markup is not used as a URL or inside an attribute', () => {
+  const html = renderMarkdown('![x]([[Note]]) [y](`code`) ![alt `c` [[T|"q"]]](p.png "`t`")');
+  for (const tag of tags(html)) {
+    assert.doesNotMatch(tag, /="[^"]*</, tag);
+  }
+  assert.ok(html.includes('<img src="p.png" alt="alt c &quot;q&quot;" title="t" loading="lazy">'));
+});
+
+test('common Markdown renders', () => {
+  const html = renderMarkdown('# Title\n\n**bold** _em_ `co<de>`\n\n- [x] done\n- item\n\n| a | b |\n| - | - |\n| 1 | 2 |\n\n```\n<b>\n```');
+  assert.ok(html.includes('<h1>Title</h1>'));
+  assert.ok(html.includes('<strong>bold</strong> <em>em</em> <code>co&lt;de&gt;</code>'));
+  assert.ok(/<input[^>]*type="checkbox"[^>]*checked/.test(html));
+  assert.ok(html.includes('<td>1</td>'));
+  assert.ok(html.includes('&lt;b&gt;'));
+  assert.ok(html.includes('class="wiki-link"') === false);
+});
+
+test('attachment links carry the id, not a URL', () => {
+  const html = renderMarkdown('![p](attachment:abc-1) [f](attachment:x_2)');
+  assert.ok(html.includes('<img class="attachment-image" data-attachment="abc-1" alt="p">'));
+  assert.ok(html.includes('class="attachment-link" data-attachment="x_2"'));
+});
+
+test('stripMarkdown leaves the plain text', () => {
+  assert.equal(stripMarkdown('# Hi **there** [link](https://x.example)').trim(), 'Hi there link');
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachmentPaths, markdownToNote, noteToMarkdown, notesToZip, readImportFiles, relinkAttachments } from '../src/markdownFiles.js';
+
+const file = (name, text) => new File([text], name);
+
+test('a note survives a round trip through Markdown with front matter', () => {
+  const note = { title: 'Plan: "Q3"', content: '# Goals\n\n- ship', tags: ['work/q3'], favorite: true, createdAt: '2024-01-02T03:04:05.000Z', updatedAt: '2024-02-03T04:05:06.000Z' };
+  const back = markdownToNote('plan.md', noteToMarkdown(note));
+  assert.equal(back.title, note.title);
+  assert.equal(back.content, note.content);
+  assert.deepEqual(back.tags, note.tags);
+  assert.equal(back.favorite, true);
+  assert.equal(back.createdAt, note.createdAt);
+});
+
+test('readImportFiles sorts files into notes, backups, skipped and failed', async () => {
+  const result = await readImportFiles([
+    file('a.md', '# A\n\ntext'),
+    file('b.txt', 'plain'),
+    file('backup.json', '{"format":"notes-backup","notes":[]}'),
+    file('broken.json', '{oops'),
+    file('photo.png', 'x'),
+  ]);
+  assert.deepEqual(result.notes.map((n) => n.title), ['a', 'b']);
+  assert.deepEqual(result.backups, [{ name: 'backup.json', data: { format: 'notes-backup', notes: [] } }]);
+  assert.deepEqual(result.skipped, ['photo.png']);
+  assert.deepEqual(result.failed.map((f) => f.name), ['broken.json']);
+});
+
+test('attachments in a zip export are read back and their links can be relinked', async () => {
+  const notes = [{ title: 'Trip', content: '![map](attachment:a1)\n[plan (v2)](attachment:a2)\n[gone](attachment:a3)', tags: [], updatedAt: '2024-02-03T04:05:06.000Z' }];
+  const files = new Map([
+    ['a1', { name: 'map.png', data: new Uint8Array([1, 2, 3]) }],
+    ['a2', { name: 'plan (v2).pdf', data: new Uint8Array([4]) }],
+  ]);
+  const result = await readImportFiles([file('notes.zip', notesToZip(notes, files))]);
+  assert.deepEqual(result.skipped, []);
+  assert.deepEqual(result.attachments.map((a) => [a.path, a.name, a.data.type, a.data.size]), [
+    ['attachments/map.png', 'map.png', 'image/png', 3],
+    ['attachments/plan (v2).pdf', 'plan (v2).pdf', 'application/pdf', 1],
+  ]);
+  const [note] = result.notes;
+  const paths = attachmentPaths(note.content);
+  assert.deepEqual(paths, ['attachments/map.png', 'attachments/plan (v2).pdf']);
+  const relinked = relinkAttachments(note.content, new Map([[paths[0], 'b1'], [paths[1], 'b2']]));
+  assert.equal(relinked, '![map](attachment:b1)\n[plan (v2)](attachment:b2)\n[gone](attachment:a3)');
+});
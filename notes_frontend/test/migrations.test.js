@@ -0,0 +1,59 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter } from '../src/storage/index.js';
+import { SCHEMA_VERSION, getStoreRecovery, initStore, listNotes } from '../src/store.js';
+
+const KEY = 'notes_app_v1';
+
+// Quarantining logs the error it recovers from.
+mock.method(console, 'error', () => {});
+
+async function load(stored) {
+  const adapter = createMemoryAdapter({ initial: { [KEY]: typeof stored === 'string' ? stored : JSON.stringify(stored) } });
+  await initStore({ adapter });
+  return adapter;
+}
+
+test('a v0 store is migrated to the current version and the original kept', async () => {
+  const original = { notes: [{ id: 'a', title: ' Old ', content: 'x', tags: ['work', ' work '] }] };
+  const adapter = await load(original);
+  const [note] = listNotes();
+  assert.equal(note.title, 'Old');
+  assert.deepEqual(note.tags, ['work']);
+  assert.equal(note.deletedAt, null);
+  assert.deepEqual(note.attachments, []);
+  assert.equal(JSON.parse(adapter.getItem(KEY)).version, SCHEMA_VERSION);
+  assert.deepEqual(JSON.parse(adapter.getItem(`${KEY}.backup.v0`)), original);
+  assert.equal(getStoreRecovery(), null);
+});
+
+test('malformed notes are set aside and the rest migrated', async () => {
+  const raw = JSON.stringify({ notes: [{ id: 'a', title: 'Kept' }, null, 'text', [1], { id: 'b', title: 'Also kept' }] });
+  const adapter = await load(raw);
+  assert.deepEqual(listNotes().map((n) => n.id).sort(), ['a', 'b']);
+  const recovery = getStoreRecovery();
+  assert.equal(recovery.dropped, 3);
+  assert.equal(adapter.getItem(recovery.backupKey), raw);
+  assert.equal(JSON.parse(adapter.getItem(KEY)).notes.length, 2);
+});
+
+test('malformed notes in a current-version store are set aside too', async () => {
+  await load({ version: SCHEMA_VERSION, notes: [42, { id: 'a', title: 'Kept' }] });
+  assert.deepEqual(listNotes().map((n) => n.id), ['a']);
+  assert.equal(getStoreRecovery().dropped, 1);
+});
+
+test('unparseable data is quarantined and an empty store loaded', async () => {
+  const adapter = await load('{not json');
+  assert.deepEqual(listNotes(), []);
+  const recovery = getStoreRecovery();
+  assert.equal(recovery.dropped, undefined);
+  assert.equal(adapter.getItem(recovery.backupKey), '{not json');
+});
+
+test('a store from a newer schema is quarantined, not downgraded', async () => {
+  const raw = JSON.stringify({ version: SCHEMA_VERSION + 1, notes: [] });
+  const adapter = await load(raw);
+  assert.match(getStoreRecovery().reason, /newer than this app/);
+  assert.equal(adapter.getItem(getStoreRecovery().backupKey), raw);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNote, createNotebook, deleteNotebook, getNote, initStore, listNotebooks, listNotes, moveNote, updateNotebook } from '../src/store.js';
+
+const parentOf = (id) => listNotebooks().find((nb) => nb.id === id).parentId;
+
+test('listNotes({ notebookId }) includes notes in nested notebooks', async () => {
+  await initStore({ storage: 'memory' });
+  const work = createNotebook({ name: 'Work' });
+  const meetings = createNotebook({ name: 'Meetings', parentId: work.id });
+  const home = createNotebook({ name: 'Home' });
+  createNote({ title: 'Plan', notebookId: work.id });
+  createNote({ title: 'Standup', notebookId: meetings.id });
+  createNote({ title: 'Garden', notebookId: home.id });
+  createNote({ title: 'Loose' });
+
+  assert.deepEqual(listNotes({ notebookId: work.id }).map((n) => n.title).sort(), ['Plan', 'Standup']);
+  assert.deepEqual(listNotes({ notebookId: meetings.id }).map((n) => n.title), ['Standup']);
+  assert.deepEqual(listNotebooks().map((nb) => [nb.name, nb.count]), [['Home', 1], ['Meetings', 1], ['Work', 1]]);
+});
+
+test('a deleted notebook hands its notes and sub-notebooks to its parent', async () => {
+  await initStore({ storage: 'memory' });
+  const work = createNotebook({ name: 'Work' });
+  const projects = createNotebook({ name: 'Projects', parentId: work.id });
+  const alpha = createNotebook({ name: 'Alpha', parentId: projects.id });
+  const note = createNote({ title: 'Roadmap', notebookId: projects.id });
+
+  assert.equal(deleteNotebook(projects.id), true);
+  assert.equal(getNote(note.id).notebookId, work.id);
+  assert.equal(parentOf(alpha.id), work.id);
+
+  assert.equal(deleteNotebook(work.id), true);
+  assert.equal(getNote(note.id).notebookId, null);
+  assert.equal(parentOf(alpha.id), null);
+  assert.equal(deleteNotebook(work.id), false);
+});
+
+test('a notebook cannot be moved into itself or below itself', async () => {
+  await initStore({ storage: 'memory' });
+  const a = createNotebook({ name: 'A' });
+  const b = createNotebook({ name: 'B', parentId: a.id });
+  const c = createNotebook({ name: 'C', parentId: b.id });
+
+  assert.throws(() => updateNotebook(a.id, { parentId: a.id }), /into itself/);
+  assert.throws(() => updateNotebook(a.id, { parentId: c.id }), /into itself/);
+  assert.throws(() => updateNotebook(a.id, { parentId: 'missing' }), /not found/);
+  assert.equal(parentOf(a.id), null);
+
+  updateNotebook(c.id, { parentId: null });
+  updateNotebook(a.id, { parentId: c.id });
+  assert.equal(parentOf(a.id), c.id);
+  assert.throws(() => createNotebook({ name: 'D', parentId: 'missing' }), /not found/);
+});
+
+test('moveNote files a note and rejects unknown notebooks', async () => {
+  await initStore({ storage: 'memory' });
+  const nb = createNotebook({ name: 'Inbox' });
+  const note = createNote({ title: 'Idea' });
+  assert.equal(moveNote(note.id, nb.id).notebookId, nb.id);
+  assert.equal(moveNote(note.id, 'missing'), undefined);
+  assert.equal(moveNote(note.id, null).notebookId, null);
+});
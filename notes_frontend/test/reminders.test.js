@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ackOutbox, createNote, getNote, getNoteCounts, initStore, listNoteActivity, listNotes, nextReminderAt, setReminder, takeDueReminders, takeOutbox, updateNote } from '../src/store.js';
+
+test('due reminders are taken once, oldest first', async () => {
+  await initStore({ storage: 'memory' });
+  const now = Date.parse('2024-05-01T12:00:00Z');
+  const a = createNote({ title: 'A' });
+  const b = createNote({ title: 'B' });
+  const c = createNote({ title: 'Later' });
+  setReminder(a.id, now - 1000);
+  setReminder(b.id, now - 5000);
+  setReminder(c.id, now + 60000);
+  assert.equal(nextReminderAt(), now - 5000);
+  assert.deepEqual(takeDueReminders(now).map((n) => n.title), ['B', 'A']);
+  assert.deepEqual(takeDueReminders(now), []);
+  assert.equal(nextReminderAt(), now + 60000);
+  assert.equal(getNote(a.id).remindedAt, new Date(now).toISOString());
+  assert.equal(getNoteCounts().reminders, 3, 'shown reminders stay listed until done or snoozed');
+  setReminder(a.id, null);
+  assert.equal(getNoteCounts().reminders, 2);
+});
+
+test('showing a reminder does not count as an edit', async () => {
+  await initStore({ storage: 'memory', sync: true });
+  const old = '2024-01-01T00:00:00.000Z';
+  const note = createNote({ title: 'Old note', createdAt: old, updatedAt: old });
+  const other = createNote({ title: 'Newer note', createdAt: '2024-03-01T00:00:00.000Z', updatedAt: '2024-03-01T00:00:00.000Z' });
+  setReminder(note.id, Date.now() + 1000);
+  const remindUpdatedAt = getNote(note.id).updatedAt;
+  // The other note is edited last and sorts first; a bumped updatedAt would put the reminded note back on top.
+  updateNote(other.id, { content: 'edited' });
+  const orderBefore = listNotes({ sort: 'updated' }).map((n) => n.id);
+  ackOutbox(takeOutbox().map((c) => c.changeId));
+
+  const shownAt = Date.now() + 2 * 3600e3;
+  takeDueReminders(shownAt);
+  assert.equal(getNote(note.id).updatedAt, remindUpdatedAt);
+  assert.deepEqual(Object.keys(listNoteActivity(new Date(shownAt - 3600e3), new Date(shownAt + 3600e3))), []);
+  assert.deepEqual(listNotes({ sort: 'updated' }).map((n) => n.id), orderBefore);
+
+  // The sync change still carries the time the reminder was shown.
+  const change = takeOutbox().find((c) => c.noteId === note.id);
+  assert.equal(change.fields.remindedAt, new Date(shownAt).toISOString());
+  assert.equal(change.fieldTimes.remindedAt, new Date(shownAt).toISOString());
+});
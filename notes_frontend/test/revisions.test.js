@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNote, getNote, initStore, listRevisions, restoreRevision, updateNote } from '../src/store.js';
+
+const contents = (noteId) => listRevisions(noteId).map((r) => r.content);
+
+test('edits in one burst are kept as a single revision', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ title: 'Plan', content: 'v1' });
+  updateNote(note.id, { content: 'v2' });
+  updateNote(note.id, { content: 'v3' });
+  updateNote(note.id, { title: 'Plans' });
+  assert.deepEqual(contents(note.id), ['v1']);
+  const [revision] = listRevisions(note.id);
+  assert.equal(revision.title, 'Plan');
+  assert.equal(revision.savedAt, note.updatedAt);
+});
+
+test('an edit after a pause, or one that deletes most of the text, starts a new revision', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ title: 'Plan', content: 'v1', updatedAt: '2024-01-01T00:00:00.000Z' });
+  updateNote(note.id, { content: 'v2' });
+  updateNote(note.id, { content: 'a long paragraph that is well over forty characters' });
+  assert.deepEqual(contents(note.id), ['v1']);
+  updateNote(note.id, { content: 'short' });
+  assert.deepEqual(contents(note.id), ['a long paragraph that is well over forty characters', 'v1']);
+  updateNote(note.id, { favorite: true });
+  assert.equal(listRevisions(note.id).length, 2, 'only title, content and tags count as changes');
+});
+
+test('revisions are pruned to the per-note limit, oldest first', async () => {
+  // A negative burst length makes every edit start a new burst.
+  await initStore({ storage: 'memory', revisionPolicy: { burstMaxMs: -1, maxPerNote: 3 } });
+  const note = createNote({ content: 'v0' });
+  for (let i = 1; i <= 5; i++) updateNote(note.id, { content: `v${i}` });
+  assert.deepEqual(contents(note.id), ['v4', 'v3', 'v2']);
+});
+
+test('restoring a revision keeps the replaced state as a revision of its own', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ title: 'Plan', content: 'v1', tags: ['a'] });
+  updateNote(note.id, { title: 'Plan B', content: 'v2', tags: ['b'] });
+  const [first] = listRevisions(note.id);
+
+  const restored = restoreRevision(note.id, first.id);
+  assert.deepEqual([restored.title, restored.content, restored.tags], ['Plan', 'v1', ['a']]);
+  assert.equal(getNote(note.id).content, 'v1');
+  const [undo] = listRevisions(note.id);
+  assert.deepEqual([undo.title, undo.content, undo.tags], ['Plan B', 'v2', ['b']]);
+
+  restoreRevision(note.id, undo.id);
+  assert.equal(getNote(note.id).content, 'v2');
+  assert.equal(restoreRevision(note.id, 'missing'), undefined);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIndex, highlightTerms, makeSnippet, parseQuery, searchIndex, splitMatches, tokenize } from '../src/search.js';
+
+const matched = (segments) => segments.filter((s) => s.match).map((s) => s.text);
+
+test('tokenize folds case and accents', () => {
+  assert.deepEqual(tokenize('Crème BRÛLÉE, x2!'), ['creme', 'brulee', 'x2']);
+});
+
+test('parseQuery understands phrases, fields, tags, is: and negation', () => {
+  assert.deepEqual(
+    parseQuery('"big plan" title:Road -tag:Old is:favorite -draft'),
+    [
+      { kind: 'phrase', value: ['big', 'plan'], field: undefined, negate: false },
+      { kind: 'term', value: 'road', field: 'title', negate: false, exact: false },
+      { kind: 'tag', value: 'old', negate: true },
+      { kind: 'is', value: 'favorite', negate: false },
+      { kind: 'term', value: 'draft', field: undefined, negate: true, exact: false },
+    ],
+  );
+  assert.deepEqual(highlightTerms('"big plan" road -draft'), ['big plan', 'road']);
+});
+
+test('searchIndex filters, ranks title hits first and matches prefixes', () => {
+  const notes = [
+    { id: 'a', title: 'Shopping', content: 'apples and pears', tags: [] },
+    { id: 'b', title: 'Apples', content: 'a fruit', tags: ['food'] },
+    { id: 'c', title: 'Draft', content: 'apple pie recipe', tags: [] },
+  ];
+  const index = buildIndex(notes);
+  assert.deepEqual(searchIndex(index, notes, 'apples').notes.map((n) => n.id), ['b', 'a']);
+  assert.deepEqual(searchIndex(index, notes, 'appl -draft').notes.map((n) => n.id), ['b', 'a']);
+  assert.deepEqual(searchIndex(index, notes, 'tag:food').notes.map((n) => n.id), ['b']);
+  assert.equal(searchIndex(index, notes, 'tag:food').ranked, false);
+});
+
+test('splitMatches highlights matches ignoring case and accents', () => {
+  assert.deepEqual(splitMatches('Café au lait, CAFE noir', ['cafe']), [
+    { text: 'Café', match: true },
+    { text: ' au lait, ', match: false },
+    { text: 'CAFE', match: true },
+    { text: ' noir', match: false },
+  ]);
+});
+
+test('splitMatches keeps highlighting when folding changes the length', () => {
+  // "ﬁ" folds to "fi" and "½" to "1⁄2"; decomposed accents lose a character.
+  const text = 'The ﬁnal ½ of the cafe\u0301 menu';
+  assert.deepEqual(matched(splitMatches(text, ['final', 'menu', 'cafe'])), ['ﬁnal', 'cafe\u0301', 'menu']);
+  assert.equal(splitMatches(text, ['menu']).map((s) => s.text).join(''), text);
+  // Part of a ligature highlights the whole ligature.
+  assert.deepEqual(matched(splitMatches('ﬁsh', ['f'])), ['ﬁ']);
+  assert.deepEqual(matched(splitMatches('cafe\u0301s', ['cafe'])), ['cafe\u0301']);
+  // Final sigma matches its other form.
+  assert.deepEqual(matched(splitMatches('ΟΔΟΣ οδος', ['οδοσ'])), ['ΟΔΟΣ', 'οδος']);
+});
+
+test('makeSnippet centres on a match after length-changing characters', () => {
+  const text = `${'ﬁ'.repeat(60)} needle ${'x'.repeat(60)}`;
+  assert.match(makeSnippet(text, ['needle'], 40), /^….*needle/);
+});
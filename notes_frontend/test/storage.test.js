@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createMemoryAdapter, createRestAdapter, createStorageAdapter } from '../src/storage/index.js';
+import { createKvHandler } from '../mock/kvServer.js';
+import { createNote, flushStore, getNote, initStore, listNotes, updateNote } from '../src/store.js';
+
+const kv = createKvHandler();
+const server = createServer((req, res) => kv.handle(req, res));
+const baseUrl = await new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+after(() => server.close());
+
+test('memory adapter: notes persist across a reload of the same adapter', async () => {
+  const adapter = createMemoryAdapter();
+  await initStore({ adapter });
+  const note = createNote({ title: 'Groceries', content: 'milk', tags: ['home'] });
+  updateNote(note.id, { content: 'milk, eggs' });
+  await flushStore();
+
+  await initStore({ adapter });
+  assert.deepEqual(
+    listNotes().map((n) => [n.title, n.content]),
+    [['Groceries', 'milk, eggs']],
+  );
+  assert.deepEqual(JSON.parse(adapter.getItem('notes_app_v1')).notes[0].tags, ['home']);
+});
+
+test('memory adapter: initStore({ storage: "memory" }) starts empty', async () => {
+  await initStore({ storage: 'memory' });
+  assert.deepEqual(listNotes(), []);
+});
+
+test('default adapter: falls back to memory when localStorage refuses writes', () => {
+  const stored = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => stored.get(key) ?? null,
+    setItem: (key, value) => stored.set(key, value),
+    removeItem: (key) => stored.delete(key),
+  };
+  try {
+    assert.equal(createStorageAdapter().name, 'localStorage');
+    assert.equal(stored.size, 0, 'the probe key is removed');
+    globalThis.localStorage.setItem = () => {
+      throw new Error('QuotaExceededError');
+    };
+    assert.equal(createStorageAdapter().name, 'memory');
+  } finally {
+    delete globalThis.localStorage;
+  }
+  assert.equal(createStorageAdapter().name, 'memory');
+});
+
+test('REST adapter: get, set and remove go through /kv/<key>', async () => {
+  const adapter = createRestAdapter({ baseUrl: `${baseUrl}/` });
+  assert.equal(await adapter.getItem('a b'), null);
+  await adapter.setItem('a b', 'one');
+  assert.equal(kv.items.get('a b'), 'one');
+  assert.equal(await adapter.getItem('a b'), 'one');
+  await adapter.removeItem('a b');
+  assert.equal(await adapter.getItem('a b'), null);
+});
+
+test('REST adapter: writes are applied in call order', async () => {
+  const adapter = createRestAdapter({ baseUrl });
+  await Promise.all(['1', '2', '3'].map((v) => adapter.setItem('order', v)));
+  assert.equal(kv.items.get('order'), '3');
+});
+
+test('REST adapter: failed requests reject', async () => {
+  const adapter = createRestAdapter({ baseUrl: `${baseUrl}/missing` });
+  await assert.rejects(adapter.setItem('x', 'y'), /failed with 404/);
+});
+
+test('REST adapter: the store loads and saves notes through the server', async () => {
+  await initStore({ storage: 'rest', baseUrl });
+  const note = createNote({ title: 'Remote', content: 'hello' });
+  await flushStore();
+  assert.equal(JSON.parse(kv.items.get('notes_app_v1')).notes[0].id, note.id);
+
+  await initStore({ storage: 'rest', baseUrl });
+  assert.equal(getNote(note.id).content, 'hello');
+});
@@ -0,0 +1,81 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createSyncHandler } from '../mock/syncServer.js';
+import { createSyncEngine } from '../src/sync.js';
+import { applyRemoteChanges, createNote, getNote, getSyncState, initStore, updateNote } from '../src/store.js';
+
+const sync = createSyncHandler();
+const server = createServer((req, res) => sync.handle(req, res));
+const baseUrl = await new Promise((resolve) => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+after(() => server.close());
+
+const iso = (offsetMs) => new Date(Date.now() + offsetMs).toISOString();
+
+/** Push changes as another device would. */
+async function push(changes) {
+  const res = await fetch(`${baseUrl}/sync/push`, { method: 'POST', body: JSON.stringify({ changes }) });
+  assert.equal(res.status, 200);
+}
+
+test('server: each field keeps the change with the later timestamp', async () => {
+  await push([
+    { noteId: 'n1', op: 'upsert', fields: { title: 'New title', content: 'new' }, fieldTimes: { title: iso(-1000), content: iso(-1000) } },
+    { noteId: 'n1', op: 'upsert', fields: { title: 'Stale title', content: 'old' }, fieldTimes: { title: iso(-5000), content: iso(0) } },
+  ]);
+  const note = sync.notes.get('n1');
+  assert.equal(note.title, 'New title');
+  assert.equal(note.content, 'old');
+  assert.equal(note.updatedAt, note.fieldUpdatedAt.content);
+});
+
+test('engine: local notes are pushed and remote edits are pulled', async () => {
+  await initStore({ storage: 'memory', sync: true });
+  const engine = createSyncEngine({ baseUrl });
+  const note = createNote({ title: 'Shopping', content: 'milk' });
+  await engine.syncNow();
+  assert.equal(engine.getStatus().state, 'idle');
+  assert.equal(getSyncState().pending, 0);
+  assert.equal(sync.notes.get(note.id).content, 'milk');
+
+  await push([{ noteId: note.id, op: 'upsert', fields: { content: 'milk, eggs' }, fieldTimes: { content: iso(1000) } }]);
+  const changed = [];
+  const pulling = createSyncEngine({ baseUrl, onRemoteChanges: ({ changedIds }) => changed.push(...changedIds) });
+  await pulling.syncNow();
+  assert.equal(getNote(note.id).content, 'milk, eggs');
+  assert.ok(changed.includes(note.id));
+  assert.equal(getNote('n1').title, 'New title');
+});
+
+test('merge: a newer unsent local edit wins its field, other remote fields still apply', async () => {
+  await initStore({ storage: 'memory', sync: true });
+  const note = createNote({ title: 'Draft', content: 'v1' });
+  updateNote(note.id, { content: 'local v2' });
+  const changed = applyRemoteChanges(
+    [
+      {
+        id: note.id,
+        title: 'Renamed elsewhere',
+        content: 'remote v2',
+        updatedAt: iso(1000),
+        fieldUpdatedAt: { title: iso(1000), content: iso(-60000) },
+      },
+    ],
+    '7',
+  );
+  assert.deepEqual(changed, [note.id]);
+  assert.equal(getNote(note.id).title, 'Renamed elsewhere');
+  assert.equal(getNote(note.id).content, 'local v2');
+  assert.equal(getSyncState().cursor, '7');
+});
+
+test('merge: a note purged elsewhere is removed with its unsent changes', async () => {
+  await initStore({ storage: 'memory', sync: true });
+  const note = createNote({ title: 'Gone soon' });
+  assert.equal(getSyncState().pending, 1);
+  assert.deepEqual(applyRemoteChanges([{ id: note.id, purged: true }], '8'), [note.id]);
+  assert.equal(getNote(note.id), undefined);
+  assert.equal(getSyncState().pending, 0);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTag, retag, tagMatches, tagPaths } from '../src/tags.js';
+import { createNote, deleteTag, getNote, initStore, listNotes, listTags, mergeTags, renameTag } from '../src/store.js';
+
+test('tag paths match themselves and everything nested below them', () => {
+  assert.equal(normalizeTag(' work / meetings/ '), 'work/meetings');
+  assert.ok(tagMatches('work/meetings', 'work'));
+  assert.ok(tagMatches('Work', 'work'));
+  assert.ok(!tagMatches('workshop', 'work'));
+  assert.ok(!tagMatches('work', 'work/meetings'));
+  assert.deepEqual(tagPaths('a/b/c'), ['a', 'a/b', 'a/b/c']);
+  assert.equal(retag('work/x', 'work', 'job'), 'job/x');
+  assert.equal(retag('workshop', 'work', 'job'), 'workshop');
+  assert.equal(retag('Work/x', 'work', 'a/b'), 'a/b/x');
+});
+
+test('listNotes({ tag }) includes notes with nested tags', async () => {
+  await initStore({ storage: 'memory' });
+  createNote({ title: 'Standup', tags: ['work/meetings'] });
+  createNote({ title: 'Plan', tags: ['work'] });
+  createNote({ title: 'Shop', tags: ['workshop'] });
+  assert.deepEqual(listNotes({ tag: 'work' }).map((n) => n.title).sort(), ['Plan', 'Standup']);
+  assert.deepEqual(listNotes({ tag: 'work/meetings' }).map((n) => n.title), ['Standup']);
+  assert.deepEqual(
+    listTags().map((t) => [t.tag, t.count]),
+    [['work', 2], ['work/meetings', 1], ['workshop', 1]],
+  );
+});
+
+test('renaming a tag carries the tags nested below it', async () => {
+  await initStore({ storage: 'memory' });
+  const a = createNote({ tags: ['work', 'work/x', 'home'] });
+  const b = createNote({ tags: ['workshop'] });
+  assert.equal(renameTag('work', 'job'), 1);
+  assert.deepEqual(getNote(a.id).tags, ['job', 'job/x', 'home']);
+  assert.deepEqual(getNote(b.id).tags, ['workshop']);
+  assert.throws(() => renameTag('job', ' / '), /cannot be empty/);
+});
+
+test('a rename that only changes case still applies', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ tags: ['Work', 'Work/Meetings'] });
+  assert.equal(renameTag('Work', 'work'), 1);
+  assert.deepEqual(getNote(note.id).tags, ['work', 'work/Meetings']);
+});
+
+test('merging into a nested tag moves the sources and their children under it', async () => {
+  await initStore({ storage: 'memory' });
+  const a = createNote({ tags: ['todo', 'todo/today'] });
+  const b = createNote({ tags: ['tasks', 'projects/open'] });
+  assert.equal(mergeTags(['todo', 'tasks'], 'projects/open'), 2);
+  assert.deepEqual(getNote(a.id).tags, ['projects/open', 'projects/open/today']);
+  assert.deepEqual(getNote(b.id).tags, ['projects/open'], 'duplicates are dropped');
+});
+
+test('deleting a tag removes the tags nested below it', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ tags: ['work', 'work/meetings', 'workshop'] });
+  assert.equal(deleteTag('work'), 1);
+  assert.deepEqual(getNote(note.id).tags, ['workshop']);
+  assert.equal(deleteTag('work'), 0);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dueStatus, markTask, parseTasks, taskMarkerAt } from '../src/tasks.js';
+import { createNote, deleteNote, getNote, getNoteCounts, initStore, listTasks, setTaskDone } from '../src/store.js';
+
+const content = ['# Week', '- [ ] Send report @due(2024-05-31)', '  * [x] Book room', '1. [ ] Call @due(2024-02-30)', '```', '- [ ] not a task', '```', '- [] nor this'].join('\n');
+
+test('parseTasks reads checklist items, due dates and line numbers', () => {
+  assert.deepEqual(parseTasks(content), [
+    { line: 1, done: false, text: 'Send report', due: '2024-05-31' },
+    { line: 2, done: true, text: 'Book room', due: null },
+    { line: 3, done: false, text: 'Call', due: null },
+  ]);
+});
+
+test('markTask changes only the checkbox on the given line', () => {
+  const done = markTask(content, 1, true);
+  assert.equal(done.split('\n')[1], '- [x] Send report @due(2024-05-31)');
+  assert.equal(done.replace('[x] Send', '[ ] Send'), content);
+  assert.equal(markTask(content, 2, false).split('\n')[2], '  * [ ] Book room');
+  assert.equal(markTask(content, 0, true), content, 'not a task');
+  assert.equal(markTask(content, 5, true), content, 'inside a code block');
+});
+
+test('taskMarkerAt finds the checkbox under an offset', () => {
+  const text = 'intro\n- [ ] item';
+  assert.deepEqual(taskMarkerAt(text, 9), { line: 1, done: false, start: 8 });
+  assert.equal(taskMarkerAt(text, 13), null);
+  assert.equal(dueStatus('2024-05-30', '2024-05-31'), 'overdue');
+  assert.equal(dueStatus('2024-05-31', '2024-05-31'), 'today');
+  assert.equal(dueStatus(null), null);
+});
+
+test('listTasks orders open tasks by due date, then by note and line', async () => {
+  await initStore({ storage: 'memory' });
+  const a = createNote({ title: 'A', content: '- [ ] later @due(2024-06-01)\n- [ ] someday\n- [x] done', updatedAt: '2024-01-02T00:00:00.000Z' });
+  const b = createNote({ title: 'B', content: '- [ ] sooner @due(2024-05-01)\n- [ ] also someday', updatedAt: '2024-01-01T00:00:00.000Z' });
+  const trashed = createNote({ title: 'C', content: '- [ ] gone' });
+  deleteNote(trashed.id);
+
+  assert.deepEqual(
+    listTasks().map((t) => [t.noteTitle, t.text, t.due]),
+    [
+      ['B', 'sooner', '2024-05-01'],
+      ['A', 'later', '2024-06-01'],
+      ['A', 'someday', null],
+      ['B', 'also someday', null],
+    ],
+  );
+  assert.equal(listTasks({ done: true }).length, 5);
+  assert.equal(getNoteCounts().openTasks, 4);
+  assert.equal(getNoteCounts().trashed, 1);
+
+  const updated = setTaskDone(b.id, 1, true);
+  assert.equal(updated.content, '- [ ] sooner @due(2024-05-01)\n- [x] also someday');
+  assert.equal(getNoteCounts().openTasks, 3);
+  assert.equal(setTaskDone(a.id, 2, true), getNote(a.id), 'already done');
+  assert.equal(setTaskDone(a.id, 5, true), undefined);
+  assert.equal(setTaskDone('missing', 0, true), undefined);
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyTemplate, templateFields } from '../src/templates.js';
+import { createNote, createNoteFromTemplate, createTemplate, encryptNote, initStore, listTemplates, saveNoteAsTemplate } from '../src/store.js';
+
+const now = new Date(2024, 4, 31, 9, 5);
+
+test('date and time placeholders are filled in from the given moment', () => {
+  const filled = applyTemplate({ title: 'Log {{date}}', content: '{{ Time }} / {{datetime}}' }, {}, now);
+  assert.equal(filled.title, 'Log 2024-05-31');
+  assert.equal(filled.content, '09:05 / 2024-05-31 09:05');
+  assert.equal(filled.cursor, null);
+});
+
+test('{{cursor}} is removed and its offset returned, after the other placeholders are filled in', () => {
+  const filled = applyTemplate({ title: '{{cursor}}Meeting', content: '# {{date}}\n\n- {{cursor}}\n{{cursor}}' }, {}, now);
+  assert.equal(filled.title, 'Meeting');
+  assert.equal(filled.content, '# 2024-05-31\n\n- \n');
+  assert.equal(filled.cursor, '# 2024-05-31\n\n- '.length);
+});
+
+test('custom fields are listed once, in order, and filled in case-insensitively', () => {
+  const template = { title: '{{Client}}: {{topic}}', content: 'With {{client}} on {{date}}. {{Missing}}{{cursor}}' };
+  assert.deepEqual(templateFields(template), ['Client', 'topic', 'Missing']);
+  const filled = applyTemplate(template, { CLIENT: 'Acme', topic: 'Q3' }, now);
+  assert.equal(filled.title, 'Acme: Q3');
+  assert.equal(filled.content, 'With Acme on 2024-05-31. ');
+  assert.equal(filled.cursor, filled.content.length);
+});
+
+test('createNoteFromTemplate applies the default tags and favorite', async () => {
+  await initStore({ storage: 'memory' });
+  const template = createTemplate({ name: 'Meeting', title: '{{topic}}', content: 'Notes: {{cursor}}', tags: ['meetings'], favorite: true });
+  const { note, cursor } = createNoteFromTemplate(template.id, { topic: 'Budget' }, { notebookId: null });
+  assert.equal(note.title, 'Budget');
+  assert.equal(note.content, 'Notes: ');
+  assert.equal(cursor, 7);
+  assert.deepEqual(note.tags, ['meetings']);
+  assert.equal(note.favorite, true);
+  assert.equal(createNoteFromTemplate(template.id).note.title, 'Untitled');
+  assert.equal(createNoteFromTemplate('missing'), undefined);
+});
+
+test('saveNoteAsTemplate keeps the placeholders of the note and refuses encrypted notes', async () => {
+  await initStore({ storage: 'memory' });
+  const note = createNote({ title: 'Daily {{date}}', content: '- {{cursor}}', tags: ['daily'], favorite: true });
+  const template = saveNoteAsTemplate(note.id, 'Daily');
+  assert.deepEqual(
+    [template.name, template.title, template.content, template.tags, template.favorite],
+    ['Daily', 'Daily {{date}}', '- {{cursor}}', ['daily'], true],
+  );
+  assert.deepEqual(listTemplates().map((t) => t.name), ['Daily']);
+  assert.equal(saveNoteAsTemplate('missing', 'x'), undefined);
+  await encryptNote(note.id, 'pw');
+  assert.throws(() => saveNoteAsTemplate(note.id, 'Secret'), /Encrypted notes/);
+});
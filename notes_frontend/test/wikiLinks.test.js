@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openWikiLinkAt, parseWikiLinks, renameWikiLinks } from '../src/wikiLinks.js';
+import { createNote, deleteNote, getNote, initStore, listBacklinks, updateNote } from '../src/store.js';
+
+test('parseWikiLinks reads titles, aliases and offsets', () => {
+  const text = 'See [[Plan]] and [[ Road map | the map ]], not [[]] or [[a\nb]].';
+  assert.deepEqual(parseWikiLinks(text), [
+    { title: 'Plan', alias: null, start: 4, end: 12 },
+    { title: 'Road map', alias: 'the map', start: 17, end: 41 },
+  ]);
+});
+
+test('renameWikiLinks rewrites links to a title in any case and keeps aliases', () => {
+  assert.equal(
+    renameWikiLinks('[[plan]], [[PLAN|our plan]], [[Planning]]', 'Plan', 'Roadmap'),
+    '[[Roadmap]], [[Roadmap|our plan]], [[Planning]]',
+  );
+});
+
+test('openWikiLinkAt finds a link being typed on the current line', () => {
+  assert.deepEqual(openWikiLinkAt('go to [[Pla', 11), { start: 6, query: 'Pla' });
+  assert.equal(openWikiLinkAt('go to [[Plan]] ok', 17), null);
+  assert.equal(openWikiLinkAt('[[Pl\nan', 7), null);
+});
+
+test('renaming a note rewrites links to it in other notes', async () => {
+  await initStore({ storage: 'memory' });
+  const plan = createNote({ title: 'Plan', content: 'the plan' });
+  const other = createNote({ title: 'Daily', content: 'See [[plan]] and [[Plan|it]].', updatedAt: '2024-01-01T00:00:00.000Z' });
+  const renamed = updateNote(plan.id, { title: 'Roadmap' });
+  assert.equal(getNote(other.id).content, 'See [[Roadmap]] and [[Roadmap|it]].');
+  assert.equal(getNote(other.id).updatedAt, renamed.updatedAt);
+});
+
+test('links are left alone while another note still has the old title', async () => {
+  await initStore({ storage: 'memory' });
+  const plan = createNote({ title: 'Plan' });
+  createNote({ title: 'plan', content: 'the other one' });
+  const other = createNote({ title: 'Daily', content: 'See [[Plan]].' });
+  updateNote(plan.id, { title: 'Roadmap' });
+  assert.equal(getNote(other.id).content, 'See [[Plan]].');
+});
+
+test('listBacklinks leaves out trashed notes and the note itself', async () => {
+  await initStore({ storage: 'memory' });
+  const plan = createNote({ title: 'Plan', content: 'Self link: [[Plan]]' });
+  const daily = createNote({ title: 'Daily', content: 'See [[plan|the plan]].' });
+  const old = createNote({ title: 'Old', content: '[[Plan]]' });
+  createNote({ title: 'Unrelated', content: '[[Planning]]' });
+  deleteNote(old.id);
+  assert.deepEqual(listBacklinks(plan.id).map((n) => n.id), [daily.id]);
+  assert.deepEqual(listBacklinks('missing'), []);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from '../src/zip.js';
+
+/**
+ * A one-entry archive with a deflated entry, as other zip tools write them (createZip only stores).
+ * The CRC is left at zero since readZip does not check it.
+ */
+function deflatedZip(name, text) {
+  const nameBytes = new TextEncoder().encode(name);
+  const plain = new TextEncoder().encode(text);
+  const data = deflateRawSync(plain);
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(18, data.length, true);
+  local.setUint32(22, plain.length, true);
+  local.setUint16(26, nameBytes.length, true);
+  const central = new DataView(new ArrayBuffer(46));
+  central.setUint32(0, 0x02014b50, true);
+  central.setUint16(10, 8, true);
+  central.setUint32(20, data.length, true);
+  central.setUint32(24, plain.length, true);
+  central.setUint16(28, nameBytes.length, true);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + nameBytes.length, true);
+  end.setUint32(16, 30 + nameBytes.length + data.length, true);
+  const parts = [local.buffer, nameBytes, data, central.buffer, nameBytes, end.buffer].map((p) => new Uint8Array(p));
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+test('files round-trip through createZip and readZip', async () => {
+  const binary = new Uint8Array([0, 255, 80, 75, 5, 6]);
+  const zip = createZip([
+    { name: 'Café notes.md', data: '# Café\n\nçà ✓' },
+    { name: 'attachments/raw.bin', data: binary, date: new Date('2024-05-01T10:00:00') },
+    { name: 'empty.txt', data: '' },
+  ]);
+  const entries = await readZip(zip.buffer);
+  assert.deepEqual(entries.map((e) => e.name), ['Café notes.md', 'attachments/raw.bin', 'empty.txt']);
+  assert.equal(new TextDecoder().decode(entries[0].data), '# Café\n\nçà ✓');
+  assert.deepEqual([...entries[1].data], [...binary]);
+  assert.equal(entries[2].data.length, 0);
+});
+
+test('deflated entries are inflated', async () => {
+  const text = 'Deflate me. '.repeat(50);
+  const [entry] = await readZip(deflatedZip('notes/long.md', text));
+  assert.equal(entry.name, 'notes/long.md');
+  assert.equal(new TextDecoder().decode(entry.data), text);
+});
+
+test('data that is not a zip archive is rejected', async () => {
+  await assert.rejects(readZip(new TextEncoder().encode('just some text, not an archive')), /Not a ZIP archive/);
+  await assert.rejects(readZip(new Uint8Array(0)), /Not a ZIP archive/);
+});
@@ -1,6 +1,52 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { join, relative } from 'node:path'
 import { defineConfig } from 'vite'
 
+/**
+ * Emit src/serviceWorker.js as /sw.js, precaching every file of the build (bundle and public/)
+ * under a version derived from their names and contents.
+ */
+function serviceWorkerPlugin() {
+    let publicDir = ''
+    const listFiles = (dir) =>
+        readdirSync(dir).flatMap((name) => {
+            const path = join(dir, name)
+            return statSync(path).isDirectory() ? listFiles(path) : [path]
+        })
+
+    return {
+        name: 'notes-service-worker',
+        apply: 'build',
+        enforce: 'post',
+        configResolved(config) {
+            publicDir = config.publicDir
+        },
+        generateBundle(_, bundle) {
+            const hash = createHash('sha256')
+            const files = []
+            for (const [fileName, chunk] of Object.entries(bundle)) {
+                if (fileName.endsWith('.map')) continue
+                files.push('/' + fileName)
+                hash.update(fileName).update(chunk.type === 'chunk' ? chunk.code : chunk.source)
+            }
+            if (publicDir) {
+                for (const path of listFiles(publicDir)) {
+                    const fileName = relative(publicDir, path).split('\\').join('/')
+                    files.push('/' + fileName)
+                    hash.update(fileName).update(readFileSync(path))
+                }
+            }
+            const source = readFileSync(new URL('./src/serviceWorker.js', import.meta.url), 'utf8')
+                .replace("/* __VERSION__ */ 'dev'", JSON.stringify(hash.digest('hex').slice(0, 12)))
+                .replace('/* __PRECACHE__ */ []', JSON.stringify(files.sort()))
+            this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+        },
+    }
+}
+
 export default defineConfig({
+    plugins: [serviceWorkerPlugin()],
     server: {
         host: '0.0.0.0',
         allowedHosts: ['.kavia.ai'],